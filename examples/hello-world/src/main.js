@@ -74,14 +74,9 @@ async function main() {
   });
   
   try {
-    // Mount the component
+    // Mount the component; key presses re-render it with the next frame
     await host.mount(HelloWorldComponent);
     
-    // Set up update loop for animation
-    setInterval(() => {
-      host.update();
-    }, 100);
-    
     // Handle graceful shutdown
     process.on('SIGINT', async () => {
       await host.cleanup();
@@ -21,6 +21,7 @@ export function Box(props = {}) {
     gap = 0,
     flexWrap = 'nowrap',
     overflow = 'visible',
+    focusTrap = false,
     ...rest
   } = props;
   
@@ -31,6 +32,7 @@ export function Box(props = {}) {
   const component = {
     type: 'box',
     children: normalizedChildren,
+    focusTrap,
     style: {
       width,
       height,
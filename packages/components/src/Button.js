@@ -11,6 +11,9 @@ export function Button(props = {}) {
     disabled = false,
     variant = 'default',
     focused = false,
+    autoFocus = false,
+    tabIndex,
+    focusable,
     width,
     ...rest
   } = props;
@@ -23,6 +26,9 @@ export function Button(props = {}) {
     disabled,
     variant,
     focused,
+    autoFocus,
+    tabIndex,
+    focusable,
     pressed: false,
     style: {
       width,
@@ -50,11 +56,22 @@ export function Button(props = {}) {
     // Handle key press
     handleKeyPress(key) {
       if (this.disabled || !this.focused) {
-        return;
+        return false;
       }
       
       if (key.name === 'enter' || key.name === ' ') {
         this.handleClick();
+        
+        return true;
+      }
+      
+      return false;
+    },
+    
+    // Carry over focus when a parent re-renders this button
+    restoreState(previous) {
+      if (props.focused === undefined) {
+        this.focused = previous.focused;
       }
     },
     
@@ -4,18 +4,24 @@
 
 import { ansi } from '@ferroframe/core';
 
+const CONTROL_CHARACTERS = /\p{Cc}/gu;
+
 export function Input(props = {}) {
   const {
     value = '',
     placeholder = '',
     type = 'text',
     focused = false,
+    autoFocus = false,
+    tabIndex,
+    focusable,
     disabled = false,
     width = 20,
     onChange,
     onSubmit,
     onFocus,
     onBlur,
+    onPaste,
     ...rest
   } = props;
   
@@ -26,6 +32,9 @@ export function Input(props = {}) {
     placeholder,
     inputType: type,
     focused,
+    autoFocus,
+    tabIndex,
+    focusable,
     disabled,
     cursorPosition: value.length,
     style: {
@@ -38,11 +47,12 @@ export function Input(props = {}) {
     onSubmit,
     onFocus,
     onBlur,
+    onPaste,
     
-    // Handle input change
-    handleChange(newValue) {
+    // Handle input change, leaving the cursor at the given position
+    handleChange(newValue, cursorPosition = newValue.length) {
       this.value = newValue;
-      this.cursorPosition = newValue.length;
+      this.cursorPosition = cursorPosition;
       
       if (this.onChange) {
         this.onChange(newValue);
@@ -51,8 +61,8 @@ export function Input(props = {}) {
     
     // Handle key input
     handleKeyPress(key) {
-      if (this.disabled) {
-        return;
+      if (this.disabled || !this.focused) {
+        return false;
       }
       
       if (key.name === 'enter') {
@@ -64,15 +74,16 @@ export function Input(props = {}) {
           const newValue = 
             this.value.slice(0, this.cursorPosition - 1) + 
             this.value.slice(this.cursorPosition);
-          this.cursorPosition--;
-          this.handleChange(newValue);
+          
+          this.handleChange(newValue, this.cursorPosition - 1);
         }
       } else if (key.name === 'delete') {
         if (this.cursorPosition < this.value.length) {
           const newValue = 
             this.value.slice(0, this.cursorPosition) + 
             this.value.slice(this.cursorPosition + 1);
-          this.handleChange(newValue);
+          
+          this.handleChange(newValue, this.cursorPosition);
         }
       } else if (key.name === 'left') {
         this.cursorPosition = Math.max(0, this.cursorPosition - 1);
@@ -88,9 +99,51 @@ export function Input(props = {}) {
           this.value.slice(0, this.cursorPosition) + 
           key.name + 
           this.value.slice(this.cursorPosition);
-        this.cursorPosition++;
-        this.handleChange(newValue);
+        
+        this.handleChange(newValue, this.cursorPosition + 1);
+      } else {
+        return false;
       }
+      
+      // The key was used here, so it does not bubble to containers
+      return true;
+    },
+    
+    // Handle pasted text, inserting it at the cursor
+    handlePaste(text) {
+      if (this.disabled) {
+        return;
+      }
+      
+      // onPaste may rewrite the text, or return null to reject it.
+      // By default line breaks become spaces and other control characters are dropped.
+      const inserted = this.onPaste
+        ? this.onPaste(text)
+        : text.replace(/\r\n?|\n/g, ' ').replace(CONTROL_CHARACTERS, '');
+      
+      if (typeof inserted !== 'string' || inserted === '') {
+        return;
+      }
+      
+      const newValue =
+        this.value.slice(0, this.cursorPosition) +
+        inserted +
+        this.value.slice(this.cursorPosition);
+      
+      this.handleChange(newValue, this.cursorPosition + inserted.length);
+    },
+    
+    // Carry over what the user typed when a parent re-renders this input;
+    // props that are passed in (value, focused) take precedence
+    restoreState(previous) {
+      if (props.value === undefined) {
+        this.value = previous.value;
+      }
+      if (props.focused === undefined) {
+        this.focused = previous.focused;
+      }
+      
+      this.cursorPosition = Math.min(previous.cursorPosition, this.value.length);
     },
     
     // Handle focus
@@ -13,6 +13,9 @@ export function List(props = {}) {
     height = 10,
     scrollable = false,
     focused = false,
+    autoFocus = false,
+    tabIndex,
+    focusable,
     selectionIndicator = '▶',
     ...rest
   } = props;
@@ -26,6 +29,9 @@ export function List(props = {}) {
     renderItem: renderItem || ((item) => String(item)),
     scrollable,
     focused,
+    autoFocus,
+    tabIndex,
+    focusable,
     scrollOffset: 0,
     style: {
       height,
@@ -62,7 +68,7 @@ export function List(props = {}) {
     // Handle key press
     handleKeyPress(key) {
       if (!this.focused) {
-        return;
+        return false;
       }
       
       if (key.name === 'up') {
@@ -89,7 +95,25 @@ export function List(props = {}) {
         if (this.onSelect) {
           this.onSelect(this.items[this.selectedIndex], this.selectedIndex);
         }
+      } else {
+        return false;
       }
+      
+      // The key was used here, so it does not bubble to containers
+      return true;
+    },
+    
+    // Carry over the selection and scroll position when a parent re-renders this list;
+    // props that are passed in (selectedIndex, focused) take precedence
+    restoreState(previous) {
+      if (props.selectedIndex === undefined) {
+        this.selectedIndex = Math.min(previous.selectedIndex, Math.max(0, this.items.length - 1));
+      }
+      if (props.focused === undefined) {
+        this.focused = previous.focused;
+      }
+      
+      this.scrollOffset = Math.min(previous.scrollOffset, this.selectedIndex);
     },
     
     // Handle focus
@@ -0,0 +1,34 @@
+/**
+ * Static Component - Output that scrolls into terminal history permanently
+ * Each item is written once above the live region and never redrawn,
+ * which suits completed tasks and log lines in inline (non-fullscreen) apps.
+ */
+
+export function Static(props = {}) {
+  const {
+    items = [],
+    renderItem,
+    key,
+    ...rest
+  } = props;
+  
+  // Create component structure
+  const component = {
+    type: 'static',
+    key,
+    items,
+    renderItem: renderItem || ((item) => String(item)),
+    style: {
+      ...rest,
+      // Static output lives outside of the live layout
+      display: 'none',
+    },
+    
+    // Render all items (used when rendered outside of a host)
+    render() {
+      return this.items.map((item, index) => this.renderItem(item, index)).join('\n');
+    },
+  };
+  
+  return component;
+}
@@ -7,6 +7,7 @@ export { Box } from './Box.js';
 export { Input } from './Input.js';
 export { Button } from './Button.js';
 export { List } from './List.js';
+export { Static } from './Static.js';
 
 // Export component utilities
 export { default as styles } from './styles.js';
\ No newline at end of file
@@ -1,6 +1,6 @@
 // Test framework: Mocha with Chai
 import { expect } from 'chai';
-import { Text, Box, Input, Button, List } from '../src/index.js';
+import { Text, Box, Input, Button, List, Static } from '../src/index.js';
 
 describe('FerroFrame Components', () => {
   describe('Text Component', () => {
@@ -256,6 +256,31 @@ describe('FerroFrame Components', () => {
     });
   });
 
+  describe('Static Component', () => {
+    it('should create a static region with items', () => {
+      const items = ['Compiled core', 'Compiled components'];
+      const output = Static({ items });
+      
+      expect(output.type).to.equal('static');
+      expect(output.items).to.deep.equal(items);
+    });
+
+    it('should take no space in the live layout', () => {
+      const output = Static({ items: ['done'] });
+      
+      expect(output.style.display).to.equal('none');
+    });
+
+    it('should render items with a custom renderer', () => {
+      const output = Static({ 
+        items: ['a', 'b'],
+        renderItem: (item, index) => `${index + 1}. ${item}`,
+      });
+      
+      expect(output.render()).to.equal('1. a\n2. b');
+    });
+  });
+
   describe('Component Composition', () => {
     it('should compose components together', () => {
       const app = Box({
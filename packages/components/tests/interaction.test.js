@@ -0,0 +1,308 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { Component, h } from '@ferroframe/core';
+import { render, cleanup } from '@ferroframe/testing';
+import { Input, Button, List } from '../src/index.js';
+
+describe('Component interaction', () => {
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  describe('List', () => {
+    it('should move the selection with arrow keys', async () => {
+      const selected = [];
+      const screen = await render(
+        List({
+          items: ['Apple', 'Banana', 'Cherry'],
+          focused: true,
+          onSelect: (item) => selected.push(item),
+        }),
+        { columns: 20, rows: 6 }
+      );
+
+      expect(screen.getByText('▶ Apple').y).to.equal(1);
+
+      await screen.pressKey('down');
+      await screen.pressKey('down');
+
+      expect(screen.getByText('▶ Cherry').y).to.equal(3);
+      expect(screen.queryByText('▶ Apple')).to.be.null;
+      expect(selected).to.deep.equal(['Banana', 'Cherry']);
+    });
+
+    it('should ignore keys while not focused', async () => {
+      const screen = await render(List({ items: ['One', 'Two'] }), { columns: 20, rows: 4 });
+
+      await screen.pressKey('down');
+
+      expect(screen.getByText('▶ One')).to.exist;
+    });
+  });
+
+  describe('Input', () => {
+    it('should show typed text', async () => {
+      const changes = [];
+      const screen = await render(
+        Input({ focused: true, width: 12, onChange: (value) => changes.push(value) }),
+        { columns: 20, rows: 3 }
+      );
+
+      await screen.type('hello');
+
+      expect(screen.getLine(0)).to.equal('[hello     ]');
+      expect(changes.at(-1)).to.equal('hello');
+    });
+
+    it('should edit at the cursor and submit on enter', async () => {
+      let submitted = null;
+      const screen = await render(
+        Input({ focused: true, width: 12, onSubmit: (value) => { submitted = value; } }),
+        { columns: 20, rows: 3 }
+      );
+
+      await screen.type('helo');
+      await screen.pressKey('left');
+      await screen.type('l');
+      await screen.pressKey('end');
+      await screen.pressKey('backspace');
+      await screen.pressKey('enter');
+
+      expect(screen.getByText('hell')).to.include({ x: 1, y: 0 });
+      expect(submitted).to.equal('hell');
+    });
+
+    it('should insert pasted text at the cursor', async () => {
+      const screen = await render(Input({ focused: true, value: 'ad', width: 14 }), {
+        columns: 20,
+        rows: 3,
+      });
+
+      await screen.pressKey('left');
+      await screen.paste('b\nc');
+
+      expect(screen.getLine(0)).to.equal('[ab cd       ]');
+      expect(screen.host.componentTree.cursorPosition).to.equal(4);
+    });
+
+    it('should let onPaste rewrite or reject pasted text', async () => {
+      const screen = await render(
+        Input({
+          focused: true,
+          width: 14,
+          onPaste: (text) => (text.includes('secret') ? null : text.toUpperCase()),
+        }),
+        { columns: 20, rows: 3 }
+      );
+
+      await screen.paste('abc');
+      await screen.paste('secret');
+
+      expect(screen.host.componentTree.value).to.equal('ABC');
+    });
+
+    it('should highlight the cursor cell', async () => {
+      const screen = await render(Input({ focused: true, value: 'ab', width: 8 }), {
+        columns: 10,
+        rows: 3,
+      });
+
+      expect(screen.getCell(3, 0).inverse).to.be.true;
+    });
+  });
+
+  describe('Button', () => {
+    it('should be activated with enter and space', async () => {
+      let clicks = 0;
+      const screen = await render(
+        Button({ children: 'OK', focused: true, onClick: () => clicks++ }),
+        { columns: 10, rows: 3 }
+      );
+
+      await screen.pressKey('enter');
+      await screen.pressKey('space');
+
+      expect(screen.getByText('[ OK ]')).to.include({ x: 0, y: 0 });
+      expect(clicks).to.equal(2);
+    });
+
+    it('should be clicked with the mouse', async () => {
+      let clicks = 0;
+      const screen = await render(
+        {
+          type: 'box',
+          style: { display: 'flex' },
+          children: [Button({ children: 'OK', onClick: () => clicks++ })],
+        },
+        { columns: 10, rows: 3 }
+      );
+
+      await screen.click(2, 0);
+      await screen.click(8, 0);
+
+      expect(clicks).to.equal(1);
+    });
+
+    it('should not react while disabled', async () => {
+      let clicks = 0;
+      const screen = await render(
+        Button({ children: 'OK', focused: true, disabled: true, onClick: () => clicks++ }),
+        { columns: 10, rows: 3 }
+      );
+
+      await screen.pressKey('enter');
+
+      expect(clicks).to.equal(0);
+    });
+  });
+
+  describe('focus', () => {
+    const form = (...children) => ({
+      type: 'box',
+      style: { display: 'flex', flexDirection: 'column' },
+      children,
+    });
+
+    it('should move between fields with tab and shift+tab', async () => {
+      let clicks = 0;
+      const screen = await render(
+        form(
+          Input({ autoFocus: true, width: 8 }),
+          Input({ width: 8 }),
+          Button({ children: 'OK', onClick: () => clicks++ })
+        ),
+        { columns: 20, rows: 5 }
+      );
+
+      await screen.type('a');
+      await screen.pressKey('tab');
+      await screen.type('b');
+      await screen.pressKey('tab');
+      await screen.pressKey('enter');
+      await screen.pressKey('shift+tab');
+      await screen.type('c');
+
+      expect(screen.getLine(0)).to.equal('[a     ]');
+      expect(screen.getLine(1)).to.equal('[bc    ]');
+      expect(clicks).to.equal(1);
+    });
+
+    it('should skip fields that are not focusable', async () => {
+      const screen = await render(
+        form(
+          Input({ autoFocus: true, width: 8 }),
+          Input({ focusable: false, width: 8 }),
+          Input({ disabled: true, width: 8 }),
+          Input({ width: 8 })
+        ),
+        { columns: 20, rows: 5 }
+      );
+
+      await screen.pressKey('tab');
+      await screen.type('x');
+
+      expect(screen.getLine(3)).to.equal('[x     ]');
+    });
+  });
+
+  describe('key propagation', () => {
+    it('should let a container handle shortcuts without stealing typed keys', async () => {
+      const shortcuts = [];
+      const screen = await render(
+        {
+          type: 'box',
+          style: { display: 'flex' },
+          onKeyPress: (event) => shortcuts.push(event.name),
+          children: [Input({ autoFocus: true, width: 8 })],
+        },
+        { columns: 20, rows: 3 }
+      );
+
+      await screen.type('q');
+      await screen.pressKey('escape');
+
+      expect(screen.getLine(0)).to.equal('[q     ]');
+      expect(shortcuts).to.deep.equal(['escape']);
+    });
+  });
+
+  describe('re-rendering', () => {
+    class Form extends Component {
+      constructor(props) {
+        super(props);
+        this.state = { renders: 0 };
+      }
+
+      render() {
+        return h(
+          'box',
+          { style: { display: 'flex', flexDirection: 'column' } },
+          `Renders: ${++this.state.renders}`,
+          h(Input, { key: 'name', autoFocus: true, width: 8 }),
+          h(List, { key: 'fruit', items: ['Apple', 'Banana', 'Cherry'], height: 5 })
+        );
+      }
+    }
+
+    it('should keep input text, cursor and focus when the parent re-renders', async () => {
+      const screen = await render(Form, { columns: 20, rows: 8 });
+
+      await screen.type('ab');
+      await screen.pressKey('left');
+      await screen.type('x');
+
+      expect(screen.getLine(1)).to.equal('[axb   ]');
+      expect(screen.getByText(/Renders: \d+/).text).to.not.equal('Renders: 1');
+    });
+
+    it('should keep the list selection when the parent re-renders', async () => {
+      const screen = await render(Form, { columns: 20, rows: 8 });
+
+      await screen.pressKey('tab');
+      await screen.pressKey('down');
+      await screen.pressKey('down');
+
+      expect(screen.getByText('▶ Cherry')).to.exist;
+    });
+  });
+
+  describe('render helpers', () => {
+    it('should redraw after a resize', async () => {
+      const screen = await render(List({ items: ['a', 'b'] }), { columns: 20, rows: 4 });
+
+      await screen.resize(30, 6);
+
+      expect(screen.terminal.columns).to.equal(30);
+      expect(screen.host.renderer.config.width).to.equal(30);
+      expect(screen.getByText('▶ a')).to.exist;
+    });
+
+    it('should report clicks as mouse events', async () => {
+      const screen = await render(Button({ children: 'OK' }), { columns: 10, rows: 3 });
+      const events = [];
+
+      screen.host.on('mouse', (event) => events.push(event));
+      await screen.click(2, 0);
+
+      expect(events.map((event) => event.action)).to.deep.equal(['press', 'release']);
+      expect(events[0]).to.include({ x: 2, y: 0, button: 'left' });
+    });
+
+    it('should wait for text to appear', async () => {
+      const screen = await render(List({ items: ['a'] }), { columns: 20, rows: 4 });
+      const found = await screen.findByText(/▶ a/);
+
+      expect(found).to.include({ x: 0, y: 0 });
+    });
+
+    it('should restore the terminal on unmount', async () => {
+      const screen = await render(Button({ children: 'OK' }), { columns: 10, rows: 3 });
+
+      await screen.unmount();
+
+      expect(screen.host.isRunning).to.be.false;
+      expect(screen.terminal.cursor.visible).to.be.true;
+      expect(screen.terminal.isModeEnabled('?1006')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,568 @@
+/**
+ * Animation - Tweens, springs and keyframe timelines driven by the frame scheduler
+ * Animations advance in requestFrame() callbacks at the start of each frame,
+ * so every value that changes in a frame is drawn by that frame's render.
+ *
+ * Run them with host.animate(), component.animate() (cancelled when the
+ * component unmounts) or the useTween() and useSpring() hooks. With reduced
+ * motion on (setReducedMotion), animations jump straight to their end value.
+ */
+
+import { EventEmitter } from 'node:events';
+import { trueColor } from './utils/ansi.js';
+import { useEffect, useHost, useRef, useState } from './hooks.js';
+
+let reducedMotion = false;
+
+/**
+ * Turn reduced motion on or off for every animation
+ */
+export function setReducedMotion(enabled) {
+  reducedMotion = Boolean(enabled);
+}
+
+/**
+ * Whether animations should skip to their end value
+ */
+export function isReducedMotion() {
+  return reducedMotion;
+}
+
+/**
+ * Easing functions: progress from 0 to 1 mapped to eased progress
+ */
+export const easing = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+  easeInCubic: (t) => t ** 3,
+  easeOutCubic: (t) => 1 - (1 - t) ** 3,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+  easeOutBack: (t) => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2,
+  easeOutBounce: (t) => {
+    if (t < 1 / 2.75) {
+      return 7.5625 * t * t;
+    }
+
+    if (t < 2 / 2.75) {
+      return 7.5625 * (t - 1.5 / 2.75) ** 2 + 0.75;
+    }
+
+    if (t < 2.5 / 2.75) {
+      return 7.5625 * (t - 2.25 / 2.75) ** 2 + 0.9375;
+    }
+
+    return 7.5625 * (t - 2.625 / 2.75) ** 2 + 0.984375;
+  },
+  steps: (count) => (t) => Math.min(1, Math.floor(t * count) / count),
+};
+
+easing.easeIn = easing.easeInQuad;
+easing.easeOut = easing.easeOutQuad;
+easing.easeInOut = easing.easeInOutQuad;
+
+/**
+ * Get an easing function from a name or a function
+ */
+function resolveEasing(value = 'linear') {
+  const resolved = typeof value === 'function' ? value : easing[value];
+
+  if (typeof resolved !== 'function' || resolved === easing.steps) {
+    throw new Error(`Unknown easing: ${value}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Interpolate between two values
+ * Numbers, arrays and plain objects of numbers are blended; anything else
+ * holds its start value until the end.
+ */
+export function interpolate(from, to, t) {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * t;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    return to.map((value, index) => interpolate(from[index] ?? value, value, t));
+  }
+
+  if (from && to && typeof from === 'object' && typeof to === 'object') {
+    const result = {};
+
+    for (const key of Object.keys(to)) {
+      result[key] = key in from ? interpolate(from[key], to[key], t) : to[key];
+    }
+
+    return result;
+  }
+
+  return t < 1 ? from : to;
+}
+
+/**
+ * Parse a color: '#rrggbb', '#rgb', [r, g, b] or { r, g, b }
+ * Returns [r, g, b].
+ */
+export function parseColor(color) {
+  if (Array.isArray(color)) {
+    return color.slice(0, 3);
+  }
+
+  if (color && typeof color === 'object') {
+    return [color.r, color.g, color.b];
+  }
+
+  const hex = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color))?.[1];
+
+  if (!hex) {
+    throw new Error(`Cannot animate color: ${color}`);
+  }
+
+  const digits = hex.length === 3 ? [...hex].map((digit) => digit + digit) : hex.match(/../g);
+
+  return digits.map((digit) => parseInt(digit, 16));
+}
+
+/**
+ * Blend two colors; returns [r, g, b] with whole channel values
+ */
+export function mixColors(from, to, t) {
+  return interpolate(parseColor(from), parseColor(to), t).map((channel) =>
+    Math.max(0, Math.min(255, Math.round(channel)))
+  );
+}
+
+/**
+ * Base class of animations
+ * Emits 'update' with each new value, then 'end' when finished or 'cancel'.
+ * `finished` resolves with true at the end, or false when cancelled.
+ */
+export class Animation extends EventEmitter {
+  constructor(value, options = {}) {
+    super();
+
+    this.options = options;
+    this.value = this.format(value);
+    this.startTime = null;
+    this.done = false;
+    this.cancelled = false;
+    this.finished = new Promise((resolve) => {
+      this.resolveFinished = resolve;
+    });
+
+    if (options.onUpdate) {
+      this.on('update', options.onUpdate);
+    }
+
+    if (options.onComplete) {
+      this.on('end', options.onComplete);
+    }
+  }
+
+  /**
+   * Whether the animation still needs frames
+   */
+  get isRunning() {
+    return !this.done && !this.cancelled;
+  }
+
+  /**
+   * Advance to a frame time, in milliseconds
+   */
+  step(time) {
+    if (!this.isRunning) {
+      return;
+    }
+
+    if (this.startTime === null) {
+      this.startTime = time;
+    }
+
+    if (reducedMotion) {
+      this.setValue(this.getFinalValue());
+      this.finish();
+
+      return;
+    }
+
+    const { value, done } = this.advance(time - this.startTime, time);
+
+    this.setValue(value);
+
+    if (done) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Compute the raw value after elapsed milliseconds: { value, done }
+   */
+  advance() {
+    throw new Error('Animation subclasses must implement advance()');
+  }
+
+  /**
+   * The raw value the animation ends on
+   */
+  getFinalValue() {
+    throw new Error('Animation subclasses must implement getFinalValue()');
+  }
+
+  /**
+   * Map a raw value to the value seen by listeners (options.format)
+   */
+  format(value) {
+    return this.options.format ? this.options.format(value) : value;
+  }
+
+  /**
+   * Set the current value and emit 'update'
+   */
+  setValue(raw) {
+    this.value = this.format(raw);
+    this.emit('update', this.value);
+  }
+
+  /**
+   * Mark the animation as finished
+   */
+  finish() {
+    this.done = true;
+    this.emit('end', this.value);
+    this.resolveFinished(true);
+  }
+
+  /**
+   * Stop the animation where it is
+   */
+  cancel() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.cancelled = true;
+    this.emit('cancel', this.value);
+    this.resolveFinished(false);
+  }
+}
+
+/**
+ * Move a value from one point to another over a duration
+ * Options: duration (ms, 300), easing (name or function, 'easeInOut'), delay (ms).
+ */
+export class Tween extends Animation {
+  constructor(from, to, options = {}) {
+    super(from, { duration: 300, easing: 'easeInOut', delay: 0, ...options });
+
+    this.from = from;
+    this.to = to;
+    this.ease = resolveEasing(this.options.easing);
+  }
+
+  advance(elapsed) {
+    const { duration, delay } = this.options;
+    const progress = duration > 0 ? Math.max(0, Math.min(1, (elapsed - delay) / duration)) : 1;
+
+    return {
+      value: progress >= 1 ? this.to : interpolate(this.from, this.to, this.ease(progress)),
+      done: progress >= 1,
+    };
+  }
+
+  getFinalValue() {
+    return this.to;
+  }
+}
+
+/**
+ * Move a number towards a target with spring physics
+ * Options: stiffness (170), damping (26), mass (1), velocity (units per
+ * second) and precision, how close to the target counts as at rest (0.01).
+ */
+export class Spring extends Animation {
+  constructor(from, to, options = {}) {
+    super(from, { stiffness: 170, damping: 26, mass: 1, velocity: 0, precision: 0.01, ...options });
+
+    this.position = from;
+    this.to = to;
+    this.velocity = this.options.velocity;
+    this.lastTime = null;
+  }
+
+  advance(elapsed, time) {
+    const { stiffness, damping, mass, precision } = this.options;
+    // Cap long gaps between frames so the simulation stays stable
+    let remaining = Math.min(time - (this.lastTime ?? time), 100) / 1000;
+
+    this.lastTime = time;
+
+    // Integrate in steps of at most 1ms
+    while (remaining > 0) {
+      const dt = Math.min(remaining, 0.001);
+      const force = -stiffness * (this.position - this.to) - damping * this.velocity;
+
+      this.velocity += (force / mass) * dt;
+      this.position += this.velocity * dt;
+      remaining -= dt;
+    }
+
+    const atRest = Math.abs(this.velocity) < precision && Math.abs(this.position - this.to) < precision;
+
+    if (atRest) {
+      this.position = this.to;
+      this.velocity = 0;
+    }
+
+    return { value: this.position, done: atRest };
+  }
+
+  getFinalValue() {
+    return this.to;
+  }
+}
+
+/**
+ * Play a timeline of values
+ * Frames are values spaced evenly, or { offset (0 to 1), value, easing } for the
+ * segment that ends at the frame. Non-numeric values (spinner frames) are held
+ * until the next frame. Options: duration (ms, 1000), easing ('linear') and
+ * iterations (1; Infinity loops until cancelled).
+ */
+export class Keyframes extends Animation {
+  constructor(frames, options = {}) {
+    const normalized = frames.map((frame, index) => {
+      const isFrame = frame && typeof frame === 'object' && 'value' in frame;
+
+      return {
+        offset: isFrame && frame.offset !== undefined ? frame.offset : index / Math.max(1, frames.length - 1),
+        value: isFrame ? frame.value : frame,
+        easing: isFrame && frame.easing ? resolveEasing(frame.easing) : null,
+      };
+    });
+
+    if (normalized.length === 0) {
+      throw new Error('Keyframes need at least one frame');
+    }
+
+    super(normalized[0].value, { duration: 1000, easing: 'linear', iterations: 1, ...options });
+
+    this.frames = normalized;
+    this.ease = resolveEasing(this.options.easing);
+  }
+
+  advance(elapsed) {
+    const { duration, iterations } = this.options;
+
+    if (duration <= 0 || elapsed >= duration * iterations) {
+      return { value: this.getFinalValue(), done: true };
+    }
+
+    return { value: this.valueAt((elapsed % duration) / duration), done: false };
+  }
+
+  /**
+   * The value at a progress from 0 to 1 through one iteration
+   */
+  valueAt(progress) {
+    const { frames } = this;
+    const next = frames.findIndex((frame) => frame.offset > progress);
+
+    if (next === -1) {
+      return frames.at(-1).value;
+    }
+
+    if (next === 0) {
+      return frames[0].value;
+    }
+
+    const from = frames[next - 1];
+    const to = frames[next];
+    const ease = to.easing ?? this.ease;
+
+    return interpolate(from.value, to.value, ease((progress - from.offset) / (to.offset - from.offset)));
+  }
+
+  getFinalValue() {
+    return this.frames.at(-1).value;
+  }
+}
+
+/**
+ * Tween a color; the value is an ansi.trueColor escape sequence
+ * Options are those of Tween plus background, to color the background.
+ */
+export function tweenColor(from, to, options = {}) {
+  const { background = false, ...rest } = options;
+
+  return new Tween(parseColor(from), parseColor(to), {
+    ...rest,
+    format: (rgb) => trueColor(...rgb.map((channel) => Math.round(channel)), background),
+  });
+}
+
+/**
+ * Map { width, height, x } to style properties with whole cell values
+ * x offsets the element from where the layout places it, as a relative
+ * position, so the elements around it stay where they are.
+ */
+export function layoutStyle(value) {
+  const style = {};
+
+  if (value.width !== undefined) {
+    style.width = Math.round(value.width);
+  }
+
+  if (value.height !== undefined) {
+    style.height = Math.round(value.height);
+  }
+
+  if (value.x !== undefined) {
+    style.position = 'relative';
+    style.left = Math.round(value.x);
+  }
+
+  return style;
+}
+
+/**
+ * Tween layout properties: from and to are { width, height, x }
+ * The value is a style object (see layoutStyle) to spread into an element's style.
+ */
+export function tweenLayout(from, to, options = {}) {
+  return new Tween(from, to, { ...options, format: layoutStyle });
+}
+
+/**
+ * Runs animations on a frame scheduler (anything with requestFrame,
+ * cancelFrame and invalidate), invalidating every frame they change
+ */
+export class Animator {
+  constructor(scheduler) {
+    this.scheduler = scheduler;
+    this.animations = new Map();
+    this.frameId = null;
+  }
+
+  /**
+   * Start an animation
+   * Options: owner, a component whose 'unmount' cancels the animation.
+   */
+  start(animation, options = {}) {
+    const { owner } = options;
+
+    if (!animation.isRunning || this.animations.has(animation)) {
+      return animation;
+    }
+
+    const onUnmount = () => animation.cancel();
+    const remove = () => {
+      this.animations.delete(animation);
+      owner?.off('unmount', onUnmount);
+    };
+
+    owner?.on('unmount', onUnmount);
+    animation.once('end', remove);
+    animation.once('cancel', remove);
+    this.animations.set(animation, remove);
+    this.requestTick();
+
+    return animation;
+  }
+
+  /**
+   * Ask the scheduler for the next frame
+   */
+  requestTick() {
+    if (this.frameId === null) {
+      this.frameId = this.scheduler.requestFrame((time) => this.tick(time));
+    }
+  }
+
+  /**
+   * Advance every animation to the frame time
+   */
+  tick(time) {
+    this.frameId = null;
+
+    if (this.animations.size === 0) {
+      return;
+    }
+
+    for (const animation of [...this.animations.keys()]) {
+      animation.step(time);
+    }
+
+    this.scheduler.invalidate();
+
+    if (this.animations.size > 0) {
+      this.requestTick();
+    }
+  }
+
+  /**
+   * Cancel every running animation
+   */
+  cancelAll() {
+    for (const animation of [...this.animations.keys()]) {
+      animation.cancel();
+    }
+
+    if (this.frameId !== null) {
+      this.scheduler.cancelFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+}
+
+/**
+ * Animate towards a target whenever it changes, starting from the current value
+ */
+function useAnimatedValue(target, create) {
+  const host = useHost();
+  const [value, setValue] = useState(target);
+  const valueRef = useRef(value);
+  const createRef = useRef(create);
+
+  valueRef.current = value;
+  createRef.current = create;
+
+  useEffect(() => {
+    if (Object.is(valueRef.current, target)) {
+      return undefined;
+    }
+
+    if (!host) {
+      setValue(target);
+
+      return undefined;
+    }
+
+    const animation = createRef.current(valueRef.current, target);
+
+    animation.on('update', setValue);
+    host.animate(animation);
+
+    return () => animation.cancel();
+  }, [host, target]);
+
+  return value;
+}
+
+/**
+ * Tween a number towards target every time target changes
+ * Takes the options of Tween; returns the current value.
+ */
+export function useTween(target, options = {}) {
+  return useAnimatedValue(target, (from, to) => new Tween(from, to, options));
+}
+
+/**
+ * Spring a number towards target every time target changes
+ * Takes the options of Spring; returns the current value.
+ */
+export function useSpring(target, options = {}) {
+  return useAnimatedValue(target, (from, to) => new Spring(from, to, options));
+}
@@ -3,7 +3,96 @@
  */
 
 import { EventEmitter } from 'node:events';
-import { LayoutNode, Layout } from './layout.js';
+import { LayoutNode, Layout, createLayoutTree } from './layout.js';
+import { getElementStyle, getElementChildren, measureTree } from './paint.js';
+import { FocusManager } from './focus.js';
+import { KeyEvent, dispatchKeyEvent } from './events.js';
+import { HookState, renderWithHooks, flushEffects } from './hooks.js';
+
+/**
+ * Get the key of an element, used to match it with the previous render
+ */
+function getElementKey(element) {
+  if (!element || typeof element !== 'object') {
+    return undefined;
+  }
+  
+  return element.props?.key ?? element.key;
+}
+
+/**
+ * Unmount the components and hooks of rendered entries that another render did not keep
+ * One that throws doesn't keep the rest mounted: errors go to the owner's error
+ * handling, and the first one nothing handles is thrown once all are unmounted.
+ */
+function unmountReplaced(entries, kept, owner) {
+  let unhandled = null;
+  
+  const guard = (unmount, target) => {
+    try {
+      unmount();
+    } catch (error) {
+      try {
+        if (!owner._tree) {
+          throw error;
+        }
+        
+        owner._tree.handleError(error, { phase: 'unmount', component: target, path: [owner, target] });
+      } catch (rethrown) {
+        unhandled ??= rethrown;
+      }
+    }
+  };
+  
+  for (const [slot, entry] of entries) {
+    if (entry.instance && kept.get(slot)?.instance !== entry.instance) {
+      guard(() => entry.instance.unmount(), entry.instance);
+    }
+    
+    if (entry.hooks && kept.get(slot)?.hooks !== entry.hooks) {
+      guard(() => entry.hooks.unmount(), entry.hooks.target);
+    }
+  }
+  
+  if (unhandled) {
+    throw unhandled;
+  }
+}
+
+/**
+ * Check whether a component catches errors from its subtree (see ErrorBoundary)
+ */
+function isErrorBoundary(component) {
+  return component instanceof Component && typeof component.handleError === 'function';
+}
+
+/**
+ * Find the error boundary that handles an error thrown by a component or element
+ * Components are searched through their parents; elements, which have none, through
+ * the path they were found on (listed from the root down).
+ */
+export function findErrorBoundary(target, path = []) {
+  const index = path.indexOf(target);
+  const starts = [target?.parent, ...path.slice(0, Math.max(index, 0)).reverse()];
+  
+  for (const start of starts) {
+    for (let node = start; node; node = node.parent) {
+      if (isErrorBoundary(node)) {
+        return node;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Render a list of child elements as one element
+ * A single child is rendered as is, several are wrapped in a box.
+ */
+export function renderChildren(children = []) {
+  return children.length === 1 ? children[0] : { type: 'box', children };
+}
 
 /**
  * Base Component class
@@ -19,6 +108,13 @@ export class Component extends EventEmitter {
     this.mounted = false;
     this.dirty = false;
     
+    // What the last render produced, by position and key (see ComponentTree)
+    this._rendered = new Map();
+    
+    // Hooks used by render(), and the tree that lays the component out
+    this._hooks = null;
+    this._tree = null;
+    
     // Bind methods
     this.setState = this.setState.bind(this);
     this.forceUpdate = this.forceUpdate.bind(this);
@@ -59,11 +155,27 @@ export class Component extends EventEmitter {
    * Schedule an update
    */
   scheduleUpdate() {
+    // Components in a tree rendered by a host update with the host's next frame
+    if (this._tree?.host) {
+      this._tree.requestRender();
+      
+      return;
+    }
+    
     // Use next tick to batch updates
     process.nextTick(() => {
       if (this.dirty && this.mounted) {
-        this.update();
         this.dirty = false;
+        
+        try {
+          this.update();
+        } catch (error) {
+          if (!this._tree) {
+            throw error;
+          }
+          
+          this._tree.handleError(error, { phase: 'update', component: this });
+        }
       }
     });
   }
@@ -75,8 +187,9 @@ export class Component extends EventEmitter {
     this.emit('beforeUpdate');
     
     // Re-render component
-    const rendered = this.render();
+    const rendered = this.performRender();
     this.emit('update', rendered);
+    flushEffects();
     
     this.emit('afterUpdate');
   }
@@ -94,7 +207,7 @@ export class Component extends EventEmitter {
     this.mounted = true;
     
     // Initial render
-    const rendered = this.render();
+    const rendered = this.performRender();
     
     // Mount children
     if (this.children) {
@@ -107,6 +220,7 @@ export class Component extends EventEmitter {
     
     this.emit('mount', rendered);
     this.emit('afterMount');
+    flushEffects();
   }
   
   /**
@@ -128,12 +242,75 @@ export class Component extends EventEmitter {
       }
     }
     
+    // Unmount components created from render output
+    const rendered = this._rendered;
+    
+    this._rendered = new Map();
+    unmountReplaced(rendered, this._rendered, this);
+    this._hooks?.unmount();
+    this._hooks = null;
+    
     this.mounted = false;
     
     this.emit('unmount');
     this.emit('afterUnmount');
   }
   
+  /**
+   * Get the state of the hooks used by render()
+   */
+  getHookState() {
+    if (!this._hooks) {
+      this._hooks = new HookState({
+        requestUpdate: () => this.forceUpdate(),
+        getHost: () => this._tree?.host ?? null,
+        getParent: () => this.parent,
+        onError: (error, info) => {
+          if (!this._tree) {
+            throw error;
+          }
+          
+          this._tree.handleError(error, { ...info, component: this });
+        },
+      });
+    }
+    
+    return this._hooks;
+  }
+  
+  /**
+   * Call render() with hooks available
+   */
+  performRender() {
+    const hooks = this.getHookState();
+    const rendered = renderWithHooks(hooks, () => this.render());
+    
+    hooks.setTarget(this);
+    
+    return rendered;
+  }
+  
+  /**
+   * Get the value of the nearest provider of a context above this component
+   * The component re-renders when the provided value changes.
+   */
+  getContext(context) {
+    return context.read(this.parent, this.getHookState());
+  }
+  
+  /**
+   * Run an animation on the host's render loop until it ends or this component unmounts
+   */
+  animate(animation) {
+    const host = this._tree?.host;
+    
+    if (!host) {
+      throw new Error('animate() needs a component rendered by a FerroHost');
+    }
+    
+    return host.animate(animation, { owner: this });
+  }
+  
   /**
    * Render component (to be overridden)
    */
@@ -143,12 +320,22 @@ export class Component extends EventEmitter {
   
   /**
    * Handle input (to be overridden)
+   * Receives key events bubbling up from the focused component; return true
+   * (or call event.stopPropagation()) to keep them from reaching parents.
    */
-  handleInput(key) {
-    // Pass to focused child or handle
+  handleInput(_event) {
+    return false;
+  }
+  
+  /**
+   * Handle pasted text (to be overridden)
+   */
+  handlePaste(text) {
+    // Pass to focused child
     for (const child of this.children) {
-      if (child && child.focused && typeof child.handleInput === 'function') {
-        child.handleInput(key);
+      if (child && child.focused && typeof child.handlePaste === 'function') {
+        child.handlePaste(text);
+        
         return true;
       }
     }
@@ -199,13 +386,23 @@ export function createComponent(renderFn, options = {}) {
  * Component tree builder
  */
 export class ComponentTree {
-  constructor(root) {
+  constructor(root, options = {}) {
     this.root = root;
     this.components = new Map();
-    this.focusedComponent = null;
+    this.focusManager = options.focusManager ?? new FocusManager();
+    
+    // The host rendering the tree, which hooks such as useInput talk to
+    this.host = options.host ?? null;
     this.layout = new Layout();
   }
   
+  /**
+   * The component that has keyboard focus
+   */
+  get focusedComponent() {
+    return this.focusManager.focused;
+  }
+  
   /**
    * Build component tree from definition
    */
@@ -241,14 +438,13 @@ export class ComponentTree {
     // Create wrapper component
     const component = new Component({ ...props, ...rest });
     
-    // Override render to return the definition
+    // Override render to return the definition; child components
+    // stay instances so they keep their state between renders
     component.render = function() {
       return {
         type,
         ...this.props,
-        children: this.children.map(child => 
-          child && typeof child.render === 'function' ? child.render() : child
-        ),
+        children: this.children,
       };
     };
     
@@ -276,6 +472,7 @@ export class ComponentTree {
     const id = this.generateId();
     this.components.set(id, component);
     component._treeId = id;
+    component._tree = this;
   }
   
   /**
@@ -290,6 +487,7 @@ export class ComponentTree {
    */
   mount() {
     if (this.root) {
+      this.root._tree = this;
       this.root.mount();
     }
   }
@@ -303,10 +501,34 @@ export class ComponentTree {
     }
   }
   
+  /**
+   * Ask the host to render the tree again
+   */
+  requestRender() {
+    this.host?.scheduleRender();
+  }
+  
   /**
    * Update layout for the tree
    */
   updateLayout(width, height) {
+    let layoutRoot = this.calculateLayout(width, height);
+    
+    // Focus changes (autoFocus, a dialog opening) change how components render
+    if (layoutRoot && this.focusManager.update(layoutRoot)) {
+      layoutRoot = this.calculateLayout(width, height);
+    }
+    
+    // Effects run once what they depend on has been laid out
+    flushEffects();
+    
+    return layoutRoot;
+  }
+  
+  /**
+   * Render the tree and calculate its layout
+   */
+  calculateLayout(width, height) {
     if (!this.root) {
       return null;
     }
@@ -314,6 +536,13 @@ export class ComponentTree {
     // Convert component tree to layout tree
     const layoutRoot = this.createLayoutTree(this.root);
     
+    if (!layoutRoot) {
+      return null;
+    }
+    
+    // Size leaves to their content before laying out
+    measureTree(layoutRoot);
+    
     // Calculate layout
     this.layout.calculate(layoutRoot, width, height);
     
@@ -322,59 +551,246 @@ export class ComponentTree {
   
   /**
    * Create layout tree from component tree
+   * The render output is reconciled with the previous render: elements whose
+   * type is a Component class or a factory function (such as Input) are matched
+   * by position, type and key, so component instances and their state survive.
    */
   createLayoutTree(component) {
     if (!component) {
       return null;
     }
     
-    const rendered = component.render();
+    if (!isErrorBoundary(component)) {
+      return this.renderComponent(component);
+    }
+    
+    // Error boundaries render their fallback when something below them throws
+    try {
+      return this.renderComponent(component);
+    } catch (error) {
+      component.handleError(error, { phase: 'render' });
+      
+      return this.renderComponent(component);
+    }
+  }
+  
+  /**
+   * Render a component and reconcile its output with the previous render
+   */
+  renderComponent(component) {
+    // Components with pending updates get their update events with this render
+    const updating = component.dirty && component.mounted;
+    
+    component._tree = this;
+    component.dirty = false;
+    
+    if (updating) {
+      component.emit('beforeUpdate');
+    }
+    
+    const rendered = component.performRender();
+    
+    if (updating) {
+      component.emit('update', rendered);
+    }
+    
     if (!rendered) {
+      if (updating) {
+        component.emit('afterUpdate');
+      }
+      
       return null;
     }
     
-    // Create layout node
-    const node = new LayoutNode(rendered.style || {});
+    const previous = component._rendered;
+    const next = new Map();
+    let node;
+    
+    try {
+      node = this.createElementNode(rendered, component, '', previous, next);
+    } catch (error) {
+      // Keep the previous render, dropping what this one had created
+      unmountReplaced(next, previous, component);
+      throw error;
+    }
+    
+    // Unmount components that were not rendered again
+    unmountReplaced(previous, next, component);
+    component._rendered = next;
     
-    // Handle children
-    if (rendered.children) {
-      const children = Array.isArray(rendered.children) 
-        ? rendered.children 
-        : [rendered.children];
+    // The component owns the node of its root element
+    if (node && node.component !== component && !(node.component instanceof Component)) {
+      node.component = component;
+    }
+    
+    if (updating) {
+      component.emit('afterUpdate');
+    }
+    
+    return node;
+  }
+  
+  /**
+   * Create the layout node of an element rendered by a component
+   * Slots identify where an element sits in its owner's render output.
+   */
+  createElementNode(element, owner, slot, previous, next) {
+    const resolved = this.resolveElement(element, owner, slot, previous, next);
+    
+    if (resolved instanceof Component) {
+      return this.createLayoutTree(resolved);
+    }
+    
+    if (!resolved || typeof resolved !== 'object') {
+      // Text
+      return createLayoutTree(resolved);
+    }
+    
+    const node = new LayoutNode(getElementStyle(resolved));
+    
+    node.component = resolved;
+    node.element = resolved;
+    
+    getElementChildren(resolved).forEach((child, index) => {
+      const key = getElementKey(child);
+      const childSlot = `${slot}/${key === undefined ? index : `#${key}`}`;
+      const childNode = this.createElementNode(child, owner, childSlot, previous, next);
       
-      for (const child of children) {
-        if (child) {
-          if (child instanceof Component) {
-            const childNode = this.createLayoutTree(child);
-            if (childNode) {
-              node.appendChild(childNode);
-            }
-          } else if (typeof child === 'object') {
-            // Plain object with style
-            const childNode = new LayoutNode(child.style || {});
-            node.appendChild(childNode);
-          }
-        }
+      if (childNode) {
+        node.appendChild(childNode);
       }
-    }
+    });
     
     return node;
   }
   
+  /**
+   * Turn elements with a component type into what they render
+   * Component classes are reused when the previous render had the same type in
+   * the same slot, factory elements get the chance to restore their state and
+   * function components keep their hooks.
+   */
+  resolveElement(element, owner, slot, previous, next) {
+    if (!element || typeof element !== 'object' || typeof element.type !== 'function') {
+      return element;
+    }
+    
+    const { type } = element;
+    const key = getElementKey(element);
+    const props = { ...element.props };
+    const entry = previous.get(slot);
+    
+    // Keys identify elements, they are not props
+    delete props.key;
+    
+    if (element.children?.length > 0) {
+      props.children = element.children;
+    }
+    
+    if (type.prototype instanceof Component) {
+      let instance = entry?.type === type ? entry.instance : null;
+      
+      if (instance) {
+        instance.props = props;
+      } else {
+        instance = new type(props);
+        instance.parent = owner;
+        instance.key = key;
+        this.registerComponent(instance);
+        instance.mount();
+      }
+      
+      next.set(slot, { type, instance });
+      
+      return instance;
+    }
+    
+    // Element factory or function component: recreated from props, carrying
+    // over internal state; hook state lives in the slot and re-renders the owner
+    const hooks = entry?.type === type ? entry.hooks : new HookState({
+      requestUpdate: () => owner.forceUpdate(),
+      getHost: () => this.host,
+      getParent: () => owner,
+      // Boundaries are looked for from the owner up, the owner included
+      onError: (error, info) => this.handleError(error, { ...info, component: hooks.target, path: [owner, hooks.target] }),
+    });
+    const created = renderWithHooks(hooks, () => type(props));
+    
+    if (created && typeof created === 'object') {
+      created.key = key;
+      
+      if (entry?.type === type && typeof created.restoreState === 'function') {
+        created.restoreState(entry.element);
+      }
+    }
+    
+    hooks.setTarget(created);
+    next.set(slot, { type, element: created, hooks });
+    
+    return this.resolveElement(created, owner, `${slot}/`, previous, next);
+  }
+  
   /**
    * Handle input for the tree
    */
   handleInput(key) {
+    // Capture from the root down to the focused component, then bubble back up
+    const path = this.focusManager.getPath();
+    const event = new KeyEvent(key);
+    
+    this.dispatchKeyEvent(path.length > 0 ? path : [this.root], event);
+    
+    return event.propagationStopped;
+  }
+  
+  /**
+   * Dispatch a key event along a path
+   * Errors thrown by handlers go to the nearest error boundary above the
+   * handler, and are rethrown when there is none.
+   */
+  dispatchKeyEvent(path, event) {
+    try {
+      dispatchKeyEvent(path, event);
+    } catch (error) {
+      this.handleError(error, { phase: 'input', component: event.currentTarget, path });
+    }
+  }
+  
+  /**
+   * Handle an error thrown by a component outside of rendering
+   * The host decides where errors go when there is one; otherwise the nearest
+   * error boundary catches it, and without one it is rethrown.
+   */
+  handleError(error, info = {}) {
+    if (this.host) {
+      this.host.handleError(error, info);
+      
+      return;
+    }
+    
+    const boundary = findErrorBoundary(info.component, info.path);
+    
+    if (!boundary) {
+      throw error;
+    }
+    
+    boundary.handleError(error, info);
+  }
+  
+  /**
+   * Handle pasted text
+   */
+  handlePaste(text) {
     // Try focused component first
-    if (this.focusedComponent && this.focusedComponent.handleInput) {
-      if (this.focusedComponent.handleInput(key)) {
+    if (this.focusedComponent && this.focusedComponent.handlePaste) {
+      if (this.focusedComponent.handlePaste(text)) {
         return true;
       }
     }
     
     // Try root component
-    if (this.root && this.root.handleInput) {
-      return this.root.handleInput(key);
+    if (this.root && this.root.handlePaste) {
+      return this.root.handlePaste(text);
     }
     
     return false;
@@ -384,21 +800,7 @@ export class ComponentTree {
    * Set focused component
    */
   setFocus(component) {
-    if (this.focusedComponent && this.focusedComponent !== component) {
-      this.focusedComponent.focused = false;
-      if (this.focusedComponent.handleBlur) {
-        this.focusedComponent.handleBlur();
-      }
-    }
-    
-    this.focusedComponent = component;
-    
-    if (component) {
-      component.focused = true;
-      if (component.handleFocus) {
-        component.handleFocus();
-      }
-    }
+    this.focusManager.focus(component);
   }
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Context - Share values such as a theme or app services with a whole subtree
+ * A context's Provider is a component used in h() trees; components below it
+ * read the value with useContext(context) or this.getContext(context), which
+ * walk up the component.parent chain to the nearest provider.
+ */
+
+import { Component, renderChildren } from './component.js';
+
+/**
+ * Base class of context providers
+ * Renders its children unchanged (several children are wrapped in a box)
+ * and re-renders the components that read it when its value changes.
+ */
+export class ContextProvider extends Component {
+  constructor(props, context) {
+    super(props);
+
+    this.context = context;
+    this.value = props.value;
+
+    // Hook states of the components that read the value
+    this.consumers = new Set();
+  }
+
+  render() {
+    if (!Object.is(this.props.value, this.value)) {
+      this.value = this.props.value;
+      this.notifyConsumers();
+    }
+
+    return renderChildren(this.props.children);
+  }
+
+  /**
+   * Re-render the components that read the value
+   */
+  notifyConsumers() {
+    for (const consumer of this.consumers) {
+      if (consumer.unmounted) {
+        this.consumers.delete(consumer);
+      } else {
+        consumer.requestUpdate();
+      }
+    }
+  }
+}
+
+/**
+ * Create a context with a value used where no provider is found
+ */
+export function createContext(defaultValue) {
+  const context = {
+    defaultValue,
+
+    /**
+     * Find the value from the nearest provider at or above a component
+     * The consumer's hook state is re-rendered when that value changes.
+     */
+    read(component, consumer) {
+      for (let node = component; node; node = node.parent) {
+        if (node instanceof ContextProvider && node.context === context) {
+          if (consumer) {
+            node.consumers.add(consumer);
+          }
+
+          return node.value;
+        }
+      }
+
+      return defaultValue;
+    },
+  };
+
+  context.Provider = class Provider extends ContextProvider {
+    constructor(props) {
+      super(props, context);
+    }
+  };
+
+  return context;
+}
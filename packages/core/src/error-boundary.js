@@ -0,0 +1,63 @@
+/**
+ * ErrorBoundary - Shows a fallback instead of a subtree that throws
+ * Catches errors thrown while its children render, mount or update, and
+ * errors thrown by their key handlers. Errors in the boundary's own render
+ * or handlers go to the next boundary up.
+ *
+ * Props:
+ * - fallback: an element, or a function (error, reset) returning one;
+ *   calling reset() renders the children again
+ * - onError: called with (error, info) when an error is caught, where
+ *   info.phase is 'render', 'update' or 'input'
+ */
+
+import { Component, renderChildren } from './component.js';
+import { applyStyle, style } from './utils/ansi.js';
+
+export class ErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = { error: null };
+    this.reset = this.reset.bind(this);
+  }
+
+  /**
+   * Show the fallback for an error thrown below the boundary
+   */
+  handleError(error, info = {}) {
+    // Set directly: a render that failed is retried right away
+    this.state = { ...this.state, error };
+
+    if (this.props.onError) {
+      this.props.onError(error, info);
+    }
+
+    this.forceUpdate();
+
+    return true;
+  }
+
+  /**
+   * Forget the error and render the children again
+   */
+  reset() {
+    this.setState({ error: null });
+  }
+
+  render() {
+    const { error } = this.state;
+
+    if (!error) {
+      return renderChildren(this.props.children);
+    }
+
+    const { fallback } = this.props;
+
+    if (typeof fallback === 'function') {
+      return fallback(error, this.reset);
+    }
+
+    return fallback ?? { type: 'text', content: applyStyle(`Error: ${error.message}`, style.red) };
+  }
+}
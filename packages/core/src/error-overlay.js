@@ -0,0 +1,106 @@
+/**
+ * Error overlay - Full-screen report of an uncaught error, shown in development
+ * Lists the message, the source around where the error was thrown and the
+ * stack trace. The host dismisses it and renders again when r is pressed.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { applyStyle, style } from './utils/ansi.js';
+
+// Stack frames: "at fn (file:line:column)" or "at file:line:column"
+const FRAME_PATTERN = /^\s*at (?:.*? \()?(.+?):(\d+):(\d+)\)?$/;
+
+/**
+ * Find where an error was thrown: the first stack frame in a source file
+ */
+export function getErrorLocation(error) {
+  for (const line of String(error?.stack ?? '').split('\n')) {
+    const match = FRAME_PATTERN.exec(line);
+
+    if (match && !match[1].startsWith('node:')) {
+      const file = match[1].startsWith('file://') ? fileURLToPath(match[1]) : match[1];
+
+      return { file, line: Number(match[2]), column: Number(match[3]) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the source lines around where an error was thrown
+ * Returns { file, line, column, lines: [{ number, text, current }] }, or null
+ * when the source cannot be read.
+ */
+export function getSourceSnippet(error, contextLines = 2) {
+  const location = getErrorLocation(error);
+
+  if (!location) {
+    return null;
+  }
+
+  let source;
+
+  try {
+    source = readFileSync(location.file, 'utf8').split('\n');
+  } catch {
+    return null;
+  }
+
+  const first = Math.max(1, location.line - contextLines);
+  const last = Math.min(source.length, location.line + contextLines);
+  const lines = [];
+
+  for (let number = first; number <= last; number++) {
+    lines.push({ number, text: source[number - 1], current: number === location.line });
+  }
+
+  return { ...location, lines };
+}
+
+/**
+ * Create the element tree of the overlay for an error
+ */
+export function createErrorOverlay(error) {
+  const message = error instanceof Error ? `${error.name}: ${error.message}` : `Error: ${error}`;
+  const snippet = getSourceSnippet(error);
+  const stack = String(error?.stack ?? '')
+    .split('\n')
+    .filter((line) => /^\s*at /.test(line))
+    .map((line) => line.trim());
+  const lines = [applyStyle(message, style.bold, style.red), applyStyle('Press r to retry', style.yellow), ' '];
+
+  if (snippet) {
+    const width = String(snippet.lines.at(-1).number).length;
+
+    lines.push(applyStyle(`${snippet.file}:${snippet.line}:${snippet.column}`, style.cyan));
+
+    for (const { number, text, current } of snippet.lines) {
+      const gutter = `${current ? '>' : ' '} ${String(number).padStart(width)} | `;
+
+      lines.push(current ? applyStyle(gutter + text, style.bold) : applyStyle(gutter + text, style.dim));
+    }
+
+    lines.push(' ');
+  }
+
+  lines.push(...stack.map((line) => applyStyle(line, style.dim)));
+
+  return {
+    type: 'box',
+    style: {
+      display: 'flex',
+      flexDirection: 'column',
+      border: 'single',
+      borderColor: 'red',
+      padding: 1,
+      overflow: 'hidden',
+    },
+    children: lines.map((content) => ({
+      type: 'text',
+      content,
+      style: { flexShrink: 0 },
+    })),
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Events - DOM-like propagation of key events through the component tree
+ * A key event travels from the root down to the focused component (capture),
+ * reaches the focused component itself (target), then travels back up (bubble).
+ *
+ * Handlers, for each component or element on the way:
+ * - capture: a handleInputCapture(event) method or an onKeyPressCapture prop
+ * - target and bubble: a handleInput(event) or handleKeyPress(event) method,
+ *   then an onKeyPress prop
+ * Returning true from a handler is the same as calling event.stopPropagation().
+ */
+
+/**
+ * A key press on its way through the component tree
+ * Carries every field of the parsed key (name, ctrl, meta, shift, sequence, ...).
+ */
+export class KeyEvent {
+  constructor(key, target = null) {
+    Object.assign(this, key);
+
+    this.type = 'keypress';
+    this.target = target;
+    this.currentTarget = null;
+    this.eventPhase = 'none';
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+
+  /**
+   * Stop the event from reaching any further components
+   */
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+
+  /**
+   * Skip the host's built-in handling of the key, such as Tab moving focus
+   */
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+}
+
+/**
+ * Read a prop handler from a component's props or an element's own fields
+ */
+function getProp(item, name) {
+  const handler = item.props?.[name] ?? item[name];
+
+  return typeof handler === 'function' ? handler : null;
+}
+
+/**
+ * Get the capture or bubble handlers of a component or element, in call order
+ */
+function getHandlers(item, capture) {
+  if (capture) {
+    const method = typeof item.handleInputCapture === 'function'
+      ? (event) => item.handleInputCapture(event)
+      : null;
+
+    return [method, getProp(item, 'onKeyPressCapture')].filter(Boolean);
+  }
+
+  let method = null;
+
+  if (typeof item.handleInput === 'function') {
+    method = (event) => item.handleInput(event);
+  } else if (typeof item.handleKeyPress === 'function') {
+    method = (event) => item.handleKeyPress(event);
+  }
+
+  return [method, getProp(item, 'onKeyPress')].filter(Boolean);
+}
+
+/**
+ * Call an item's handlers for a phase until one stops propagation
+ */
+function invoke(item, phase, capture, event) {
+  event.currentTarget = item;
+  event.eventPhase = phase;
+
+  for (const handler of getHandlers(item, capture)) {
+    if (handler(event) === true) {
+      event.stopPropagation();
+    }
+
+    if (event.propagationStopped) {
+      return;
+    }
+  }
+}
+
+/**
+ * Dispatch a key event along a path of components, root first and target last
+ * Returns the event, so callers can check defaultPrevented and propagationStopped.
+ */
+export function dispatchKeyEvent(path, key) {
+  const items = path.filter((item) => item && typeof item === 'object');
+  const target = items[items.length - 1] ?? null;
+  const event = key instanceof KeyEvent ? key : new KeyEvent(key, target);
+
+  event.target = target;
+
+  // Capture: root down to the target
+  for (let i = 0; i < items.length && !event.propagationStopped; i++) {
+    invoke(items[i], i === items.length - 1 ? 'target' : 'capture', true, event);
+  }
+
+  // Target, then bubble back up to the root
+  for (let i = items.length - 1; i >= 0 && !event.propagationStopped; i--) {
+    invoke(items[i], i === items.length - 1 ? 'target' : 'bubble', false, event);
+  }
+
+  event.currentTarget = null;
+  event.eventPhase = 'none';
+
+  return event;
+}
@@ -0,0 +1,368 @@
+/**
+ * FocusManager - Tracks which component has keyboard focus
+ * Focusable components are found in the computed layout tree, so Tab order
+ * follows what is on screen. Focus is moved by Tab and Shift+Tab, autoFocus
+ * props and focus traps (dialogs that keep focus inside until they close).
+ *
+ * Components and elements opt in with these props (or fields of the same name):
+ * - tabIndex: position in Tab order; positive values come first, -1 is
+ *   focusable from code but skipped by Tab
+ * - autoFocus: take focus when first rendered
+ * - focusable: false to never take focus, true to take focus without handleFocus
+ * - focusTrap: keep focus inside this subtree while it is rendered
+ */
+
+import { EventEmitter } from 'node:events';
+
+/**
+ * Read a focus option from a component's props or an element's own fields
+ */
+function getFocusOption(target, name) {
+  return target.props?.[name] ?? target[name];
+}
+
+/**
+ * Check whether a component or element can take focus
+ */
+function isFocusable(target) {
+  if (!target || typeof target !== 'object') {
+    return false;
+  }
+
+  const focusable = getFocusOption(target, 'focusable');
+
+  if (focusable === false || getFocusOption(target, 'disabled') === true) {
+    return false;
+  }
+
+  return (
+    focusable === true ||
+    getFocusOption(target, 'tabIndex') !== undefined ||
+    Boolean(getFocusOption(target, 'autoFocus')) ||
+    typeof target.handleFocus === 'function'
+  );
+}
+
+/**
+ * Get the part of a focus path contributed by a node
+ * Keys keep the path stable when siblings are added or removed.
+ */
+function getPathSegment(target, index) {
+  const type = target && typeof target === 'object'
+    ? target.type ?? target.constructor?.name ?? 'element'
+    : 'text';
+  const key = target && typeof target === 'object' ? getFocusOption(target, 'key') : undefined;
+
+  return key !== undefined ? `${type}#${key}` : `${type}@${index}`;
+}
+
+/**
+ * Compare entries by Tab order: positive tabIndex first, then top to bottom, left to right
+ */
+function compareTabOrder(a, b) {
+  const aIndex = a.tabIndex > 0 ? a.tabIndex : Infinity;
+  const bIndex = b.tabIndex > 0 ? b.tabIndex : Infinity;
+
+  if (aIndex !== bIndex) {
+    return aIndex - bIndex;
+  }
+
+  return a.y - b.y || a.x - b.x || a.order - b.order;
+}
+
+export class FocusManager extends EventEmitter {
+  constructor() {
+    super();
+
+    this.focused = null;
+    this.focusedPath = null;
+    this.entries = [];
+    this.changed = false;
+
+    // Focus traps that are currently open, outermost first,
+    // each remembering where focus was before it opened
+    this.traps = [];
+
+    // Paths of autoFocus components that already had their chance
+    this.autoFocused = new Set();
+  }
+
+  /**
+   * Forget all focus state, e.g. when the application is unmounted
+   */
+  reset() {
+    this.focused = null;
+    this.focusedPath = null;
+    this.entries = [];
+    this.traps = [];
+    this.autoFocused.clear();
+  }
+
+  /**
+   * Collect focusable components from a calculated layout tree
+   * Returns true when focus changed, in which case the tree should be rendered again.
+   */
+  update(root) {
+    const entries = [];
+    const traps = [];
+
+    if (root) {
+      this.collect(root, '', 0, 0, 0, [], [], entries, traps);
+    }
+
+    entries.sort(compareTabOrder);
+    this.entries = entries;
+    this.changed = false;
+
+    this.reconcileFocus();
+    this.updateTraps(traps);
+    this.applyAutoFocus();
+
+    return this.changed;
+  }
+
+  /**
+   * Walk the layout tree, recording focusable nodes and focus traps
+   */
+  collect(node, parentPath, index, originX, originY, ancestors, scopes, entries, traps) {
+    if (node.style.display === 'none') {
+      return;
+    }
+
+    const target = node.component;
+    const path = `${parentPath}/${getPathSegment(target, index)}`;
+    const x = originX + node.x;
+    const y = originY + node.y;
+    let nodeScopes = scopes;
+
+    // Components and elements from the root down, which key events travel through
+    const chain = target && typeof target === 'object' && ancestors[ancestors.length - 1] !== target
+      ? [...ancestors, target]
+      : ancestors;
+
+    if (target && typeof target === 'object' && getFocusOption(target, 'focusTrap')) {
+      nodeScopes = [...scopes, path];
+      traps.push(path);
+    }
+
+    if (isFocusable(target)) {
+      entries.push({
+        target,
+        path,
+        x,
+        y,
+        order: entries.length,
+        tabIndex: getFocusOption(target, 'tabIndex') ?? 0,
+        autoFocus: Boolean(getFocusOption(target, 'autoFocus')),
+        scopes: nodeScopes,
+        chain,
+      });
+    }
+
+    node.children.forEach((child, childIndex) => {
+      this.collect(child, path, childIndex, x, y, chain, nodeScopes, entries, traps);
+    });
+  }
+
+  /**
+   * Keep focus on the same component after a render
+   * Elements are often recreated on every render, so focus follows the
+   * position in the tree rather than object identity.
+   */
+  reconcileFocus() {
+    const current = this.entries.find(({ target }) => target === this.focused);
+
+    if (current) {
+      this.focusedPath = current.path;
+
+      return;
+    }
+
+    const replacement = this.focusedPath !== null
+      ? this.entries.find(({ path }) => path === this.focusedPath)
+      : null;
+
+    if (replacement) {
+      // The same component, rendered again: focus carries over without events
+      if (!replacement.target.focused) {
+        replacement.target.focused = true;
+        this.changed = true;
+      }
+      this.focused = replacement.target;
+
+      return;
+    }
+
+    // Elements rendered with focused: true start out focused
+    const initial = this.entries.find(({ target }) => target.focused === true);
+
+    this.focused = initial?.target ?? null;
+    this.focusedPath = initial?.path ?? null;
+  }
+
+  /**
+   * Move focus into traps as they open and back out as they close
+   */
+  updateTraps(paths) {
+    const open = new Set(paths);
+
+    // Closed traps hand focus back to where it was before they opened
+    while (this.traps.length > 0 && !open.has(this.traps[this.traps.length - 1].path)) {
+      const { restorePath } = this.traps.pop();
+      const restore = this.entries.find(({ path }) => path === restorePath);
+
+      if (restore && this.isInActiveScope(restore)) {
+        this.focus(restore.target);
+      } else if (!this.isInActiveScope(this.getEntry(this.focused))) {
+        this.focus(this.getTabbable()[0]?.target ?? null);
+      }
+    }
+
+    // Traps closed underneath others just stop counting
+    this.traps = this.traps.filter((trap) => open.has(trap.path));
+
+    for (const path of paths) {
+      if (!this.traps.some((trap) => trap.path === path)) {
+        this.traps.push({ path, restorePath: this.focusedPath });
+
+        if (!this.isInActiveScope(this.getEntry(this.focused))) {
+          const entries = this.getTabbable();
+          const initial = entries.find((entry) => entry.autoFocus) ?? entries[0];
+
+          this.focus(initial?.target ?? null);
+        }
+      }
+    }
+  }
+
+  /**
+   * Focus components rendered with autoFocus for the first time
+   */
+  applyAutoFocus() {
+    const paths = new Set(this.entries.map(({ path }) => path));
+
+    // Forget components that are gone, so they autofocus again when they return
+    for (const path of this.autoFocused) {
+      if (!paths.has(path)) {
+        this.autoFocused.delete(path);
+      }
+    }
+
+    const candidates = this.entries.filter(
+      (entry) => entry.autoFocus && !this.autoFocused.has(entry.path)
+    );
+
+    for (const entry of candidates) {
+      this.autoFocused.add(entry.path);
+    }
+
+    const target = candidates.find((entry) => this.isInActiveScope(entry));
+
+    if (target) {
+      this.focus(target.target);
+    }
+  }
+
+  /**
+   * Get the entry of a focusable component
+   */
+  getEntry(target) {
+    return target ? this.entries.find((entry) => entry.target === target) ?? null : null;
+  }
+
+  /**
+   * Get the components from the root down to a focused component, itself included
+   */
+  getPath(target = this.focused) {
+    return [...(this.getEntry(target)?.chain ?? [])];
+  }
+
+  /**
+   * Check whether an entry is inside the innermost open focus trap
+   */
+  isInActiveScope(entry) {
+    const trap = this.traps[this.traps.length - 1];
+
+    if (!trap) {
+      return true;
+    }
+
+    return Boolean(entry?.scopes.includes(trap.path));
+  }
+
+  /**
+   * Get the components Tab moves between, in order
+   */
+  getTabbable() {
+    return this.entries.filter((entry) => entry.tabIndex >= 0 && this.isInActiveScope(entry));
+  }
+
+  /**
+   * Focus a component, blurring the previous one
+   */
+  focus(target) {
+    if (target === this.focused) {
+      return false;
+    }
+
+    const previous = this.focused;
+
+    if (previous) {
+      previous.focused = false;
+      if (previous.handleBlur) {
+        previous.handleBlur();
+      }
+    }
+
+    this.focused = target;
+    this.focusedPath = this.getEntry(target)?.path ?? null;
+
+    if (target) {
+      target.focused = true;
+      if (target.handleFocus) {
+        target.handleFocus();
+      }
+    }
+
+    this.changed = true;
+    this.emit('focus', target, previous);
+
+    return true;
+  }
+
+  /**
+   * Remove focus from the focused component
+   */
+  blur() {
+    return this.focus(null);
+  }
+
+  /**
+   * Move focus forward (or backward) through the Tab order, wrapping around
+   */
+  focusNext(backward = false) {
+    const entries = this.getTabbable();
+
+    if (entries.length === 0) {
+      return false;
+    }
+
+    const index = entries.findIndex(({ target }) => target === this.focused);
+    let next;
+
+    if (index === -1) {
+      next = backward ? entries.length - 1 : 0;
+    } else {
+      next = (index + (backward ? -1 : 1) + entries.length) % entries.length;
+    }
+
+    return this.focus(entries[next].target);
+  }
+
+  /**
+   * Move focus backward through the Tab order
+   */
+  focusPrevious() {
+    return this.focusNext(true);
+  }
+}
@@ -0,0 +1,389 @@
+/**
+ * Hooks - State and effects for function components
+ * Hooks work while a component renders: in the render() of a Component laid out
+ * by a ComponentTree (including createComponent() wrappers), in function
+ * components used with h(), and in function components mounted on a host.
+ *
+ * Like React, hooks are identified by call order, so they must be called
+ * unconditionally and in the same order on every render.
+ */
+
+import process from 'node:process';
+
+// The hook state of the component that is rendering, and the next hook's position
+let current = null;
+let hookIndex = 0;
+
+// Effects from finished renders, run by flushEffects()
+const pendingEffects = [];
+
+/**
+ * The hooks of one component
+ * requestUpdate re-renders the component; getHost returns the FerroHost it
+ * renders in, if any, and getParent the component where context lookups start.
+ * onError(error, info) handles errors thrown by effects and their cleanups.
+ */
+export class HookState {
+  constructor(options = {}) {
+    this.hooks = [];
+    this.requestUpdate = options.requestUpdate ?? (() => {});
+    this.getHost = options.getHost ?? (() => null);
+    this.getParent = options.getParent ?? (() => null);
+    this.onError = options.onError ?? ((error) => {
+      throw error;
+    });
+
+    // What the component rendered last, which useFocus makes focusable
+    this.target = null;
+    this.focusOptions = null;
+    this.unmounted = false;
+  }
+
+  get host() {
+    return this.getHost();
+  }
+
+  /**
+   * Remember what the component rendered and apply useFocus options to it
+   */
+  setTarget(target) {
+    this.target = target && typeof target === 'object' ? target : null;
+
+    if (this.target && this.focusOptions) {
+      const { autoFocus, tabIndex, isActive } = this.focusOptions;
+
+      this.target.focusable = isActive;
+      this.target.autoFocus = autoFocus;
+
+      if (tabIndex !== undefined) {
+        this.target.tabIndex = tabIndex;
+      }
+    }
+  }
+
+  /**
+   * Run effect cleanups; state updates are ignored from now on
+   */
+  unmount() {
+    if (this.unmounted) {
+      return;
+    }
+
+    this.unmounted = true;
+
+    let unhandled = null;
+
+    for (const hook of this.hooks) {
+      if (typeof hook?.cleanup === 'function') {
+        const { cleanup } = hook;
+
+        hook.cleanup = null;
+        unhandled ??= this.guard(cleanup, 'unmount');
+      }
+    }
+
+    if (unhandled) {
+      throw unhandled;
+    }
+  }
+
+  /**
+   * Call an effect or cleanup, passing an error it throws to onError
+   * Returns the error when onError rethrows it, so the caller can run the
+   * remaining effects before throwing.
+   */
+  guard(callback, phase) {
+    try {
+      callback();
+
+      return null;
+    } catch (error) {
+      try {
+        this.onError(error, { phase });
+
+        return null;
+      } catch (unhandled) {
+        return unhandled;
+      }
+    }
+  }
+}
+
+/**
+ * Call a render function with hooks bound to a component's hook state
+ */
+export function renderWithHooks(state, render) {
+  const previous = current;
+  const previousIndex = hookIndex;
+
+  current = state;
+  hookIndex = 0;
+  state.focusOptions = null;
+
+  try {
+    return render();
+  } finally {
+    current = previous;
+    hookIndex = previousIndex;
+  }
+}
+
+/**
+ * Run the effects of renders that have finished
+ * Called once the output of a render has been laid out. Each effect runs on
+ * its own: errors go to the onError of the component's hook state, and one
+ * that is not handled there is thrown once the other effects have run.
+ */
+export function flushEffects() {
+  let unhandled = null;
+
+  while (pendingEffects.length > 0) {
+    const { state, hook, effect } = pendingEffects.shift();
+
+    if (state.unmounted) {
+      continue;
+    }
+
+    if (hook.cleanup) {
+      const { cleanup } = hook;
+
+      hook.cleanup = null;
+      unhandled ??= state.guard(cleanup, 'effect');
+    }
+
+    unhandled ??= state.guard(() => {
+      const cleanup = effect();
+
+      hook.cleanup = typeof cleanup === 'function' ? cleanup : null;
+    }, 'effect');
+  }
+
+  if (unhandled) {
+    throw unhandled;
+  }
+}
+
+/**
+ * Get the hook state of the rendering component
+ */
+function getCurrent(name) {
+  if (!current) {
+    throw new Error(`${name}() can only be called while a component renders`);
+  }
+
+  return current;
+}
+
+/**
+ * Get the hook at the next position, creating it on the first render
+ */
+function nextHook(name, create) {
+  const state = getCurrent(name);
+  const index = hookIndex++;
+
+  if (!(index in state.hooks)) {
+    state.hooks[index] = create();
+  }
+
+  return state.hooks[index];
+}
+
+/**
+ * Check whether effect or memo dependencies changed; no list means always
+ */
+function depsChanged(previous, deps) {
+  return (
+    !previous ||
+    !deps ||
+    previous.length !== deps.length ||
+    deps.some((dep, i) => !Object.is(dep, previous[i]))
+  );
+}
+
+/**
+ * Create a reducer hook; shared by useReducer and useState
+ */
+function reducerHook(name, reducer, initialArg, init) {
+  const state = getCurrent(name);
+  const hook = nextHook(name, () => ({ value: init ? init(initialArg) : initialArg }));
+
+  hook.reducer = reducer;
+
+  if (!hook.dispatch) {
+    hook.dispatch = (action) => {
+      if (state.unmounted) {
+        return;
+      }
+
+      const value = hook.reducer(hook.value, action);
+
+      if (!Object.is(value, hook.value)) {
+        hook.value = value;
+        state.requestUpdate();
+      }
+    };
+  }
+
+  return [hook.value, hook.dispatch];
+}
+
+const applyStateAction = (value, action) => (typeof action === 'function' ? action(value) : action);
+
+/**
+ * State that re-renders the component when it changes
+ * Returns [value, setValue]; setValue also takes a function of the previous value.
+ */
+export function useState(initialValue) {
+  return reducerHook('useState', applyStateAction, initialValue, (value) =>
+    typeof value === 'function' ? value() : value
+  );
+}
+
+/**
+ * State updated by a reducer: returns [state, dispatch]
+ */
+export function useReducer(reducer, initialArg, init) {
+  return reducerHook('useReducer', reducer, initialArg, init);
+}
+
+/**
+ * Run a side effect after render, and again when its dependencies change
+ * The effect may return a cleanup function, which runs before the effect
+ * runs again and when the component unmounts.
+ */
+export function useEffect(effect, deps) {
+  const state = getCurrent('useEffect');
+  const hook = nextHook('useEffect', () => ({ deps: null, cleanup: null, ran: false }));
+
+  if (!hook.ran || depsChanged(hook.deps, deps)) {
+    hook.ran = true;
+    hook.deps = deps;
+    pendingEffects.push({ state, hook, effect });
+  }
+}
+
+/**
+ * Remember a computed value until its dependencies change
+ */
+export function useMemo(compute, deps) {
+  const hook = nextHook('useMemo', () => ({ deps: null, value: undefined, computed: false }));
+
+  if (!hook.computed || depsChanged(hook.deps, deps)) {
+    hook.value = compute();
+    hook.deps = deps;
+    hook.computed = true;
+  }
+
+  return hook.value;
+}
+
+/**
+ * Remember a callback until its dependencies change
+ */
+export function useCallback(callback, deps) {
+  return useMemo(() => callback, deps);
+}
+
+/**
+ * A mutable { current } object that lives as long as the component
+ */
+export function useRef(initialValue) {
+  return nextHook('useRef', () => ({ current: initialValue }));
+}
+
+/**
+ * Read the value of the nearest provider of a context (see createContext)
+ * The component re-renders when the provided value changes.
+ */
+export function useContext(context) {
+  const state = getCurrent('useContext');
+
+  return context.read(state.getParent(), state);
+}
+
+/**
+ * Call a handler with every key pressed while the component is mounted
+ * Options: isActive (true by default) to pause the handler.
+ */
+export function useInput(handler, options = {}) {
+  const { isActive = true } = options;
+  const { host } = getCurrent('useInput');
+  const handlerRef = useRef(handler);
+
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!host || !isActive) {
+      return undefined;
+    }
+
+    const listener = (key) => handlerRef.current(key);
+
+    host.on('input', listener);
+
+    return () => host.off('input', listener);
+  }, [host, isActive]);
+}
+
+/**
+ * Make the component focusable
+ * Options: autoFocus, tabIndex, and isActive (true by default) to turn it off.
+ * Returns { isFocused, focus() }.
+ */
+export function useFocus(options = {}) {
+  const { autoFocus = false, tabIndex, isActive = true } = options;
+  const state = getCurrent('useFocus');
+
+  state.focusOptions = { autoFocus, tabIndex, isActive };
+
+  return {
+    isFocused: Boolean(state.target?.focused),
+    focus: () => {
+      if (state.target && state.host) {
+        state.host.focusManager.focus(state.target);
+        state.host.scheduleRender();
+      }
+    },
+  };
+}
+
+/**
+ * The host the component renders in, or null outside of a host
+ */
+export function useHost() {
+  return getCurrent('useHost').host ?? null;
+}
+
+/**
+ * The size of the terminal: { columns, rows }
+ * The host re-renders on resize, so the size is always current.
+ */
+export function useTerminalSize() {
+  const { host } = getCurrent('useTerminalSize');
+  const stdout = host?.config.stdout ?? process.stdout;
+
+  return {
+    columns: host?.renderer?.config.width ?? stdout.columns ?? 80,
+    rows: host?.renderer?.config.height ?? stdout.rows ?? 24,
+  };
+}
+
+/**
+ * Call a callback every delay milliseconds while the component is mounted
+ * A null delay pauses the interval.
+ */
+export function useInterval(callback, delay) {
+  const callbackRef = useRef(callback);
+
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    if (delay === null || delay === undefined) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => callbackRef.current(), delay);
+
+    return () => clearInterval(timer);
+  }, [delay]);
+}
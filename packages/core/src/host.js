@@ -7,24 +7,147 @@ import { EventEmitter } from 'node:events';
 import process from 'node:process';
 import { Renderer } from './renderer.js';
 import { InputManager } from './input.js';
+import { Component, ComponentTree, findErrorBoundary } from './component.js';
+import { TerminalState } from './terminal.js';
+import { FocusManager } from './focus.js';
+import { KeyEvent, dispatchKeyEvent } from './events.js';
+import { Keymap } from './keymap.js';
+import { HookState, renderWithHooks, flushEffects } from './hooks.js';
+import { createErrorOverlay } from './error-overlay.js';
+import { FrameScheduler } from './scheduler.js';
+import { Animator } from './animation.js';
+import { getElementChildren, hitTest } from './paint.js';
+import {
+  setTitle,
+  pushTitle,
+  popTitle,
+  setCursorShape,
+  enableKeypad,
+  disableKeypad,
+} from './utils/ansi.js';
+
+// Signals that end the process and must leave the terminal usable
+const EXIT_SIGNALS = {
+  SIGTERM: 15,
+  SIGHUP: 1,
+};
+
+/**
+ * Get a mouse handler prop from the component or element behind a layout node
+ * Elements with a handleClick method (such as Button) use it for clicks so
+ * they can apply their own disabled and pressed states.
+ */
+function getHandler(node, name) {
+  const { component, element } = node;
+  
+  if (name === 'onClick' && typeof component?.handleClick === 'function') {
+    return (event) => component.handleClick(event);
+  }
+  
+  const candidates = [component?.props?.[name], element?.[name], element?.props?.[name]];
+  
+  return candidates.find((handler) => typeof handler === 'function') ?? null;
+}
+
+/**
+ * Find the deepest entry of a hit-test path with a handler for an event
+ */
+function findHandler(path, name) {
+  for (let i = path.length - 1; i >= 0; i--) {
+    const handler = getHandler(path[i].node, name);
+    
+    if (handler) {
+      return { entry: path[i], call: handler };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Create the event passed to mouse handlers, with coordinates relative to the target
+ */
+function createMouseEvent(event, entry) {
+  return {
+    ...event,
+    target: entry.node.component,
+    localX: event.x - entry.rect.x,
+    localY: event.y - entry.rect.y,
+  };
+}
 
 export class FerroHost extends EventEmitter {
   constructor(config = {}) {
     super();
     
     this.config = {
+      stdin: process.stdin,
+      stdout: process.stdout,
+      columns: null,
+      rows: null,
       fullscreen: false,
+      altScreen: false,
       mouse: false,
+      bracketedPaste: true,
+      kittyKeyboard: false,
+      escapeTimeout: 50,
+      keypad: false,
+      cursorShape: null,
       title: 'FerroFrame App',
+      exitOnCtrlC: true,
+      // User key overrides: command names mapped to keys
+      keymap: null,
+      keySequenceTimeout: 1000,
+      // Show uncaught errors in a full-screen overlay instead of the app
+      errorOverlay: process.env.NODE_ENV !== 'production',
+      // Frames per second at most; updates in between are drawn together
+      maxFps: 60,
       ...config,
     };
     
+    this.terminal = new TerminalState((data) => this.config.stdout.write(data));
+    this.exitHandlers = null;
     this.isRunning = false;
     this.componentTree = null;
     this.renderer = null;
     this.inputManager = null;
-    this.renderTimer = null;
-    this.isDirty = false;
+    
+    // Renders batched into frames
+    this.frameScheduler = new FrameScheduler(() => this.render(), {
+      maxFps: this.config.maxFps,
+      onError: (error, info) => this.handleError(error, info),
+    });
+    
+    // Animations, advanced at the start of each frame
+    this.animator = new Animator(this.frameScheduler);
+    
+    // The uncaught error shown by the error overlay
+    this.error = null;
+    
+    // Mouse state: components under the pointer and where the last press landed
+    this.hoverPath = [];
+    this.pressTargets = null;
+    
+    // Keyboard focus, shared with component trees
+    this.focusManager = new FocusManager();
+    this.focusManager.on('focus', (target, previous) => this.emit('focus', target, previous));
+    
+    // Key bindings and commands, shared with the input manager's onKey()
+    this.keymap = new Keymap({
+      timeout: this.config.keySequenceTimeout,
+      onTimeout: (flush) => {
+        this.runKeymap(flush);
+        
+        if (this.componentTree) {
+          this.scheduleRender();
+        }
+      },
+    });
+    this.keymap.on('command', (command, context) => this.emit('command', command, context));
+    
+    if (this.config.keymap) {
+      this.keymap.load(this.config.keymap);
+    }
   }
 
   /**
@@ -45,6 +168,7 @@ export class FerroHost extends EventEmitter {
     
     // Initial render
     this.scheduleRender();
+    await this.frameScheduler.waitForFrame();
     
     this.emit('mount', this.componentTree);
   }
@@ -63,6 +187,10 @@ export class FerroHost extends EventEmitter {
     }
     
     this.componentTree = null;
+    this.error = null;
+    this.hoverPath = [];
+    this.pressTargets = null;
+    this.focusManager.reset();
     this.emit('unmount');
   }
 
@@ -74,30 +202,67 @@ export class FerroHost extends EventEmitter {
       return;
     }
 
+    // Restore the terminal however the process ends from here on
+    this.installExitHandlers();
+    
     // Initialize renderer
     this.renderer = new Renderer({
+      stdout: this.config.stdout,
+      columns: this.config.columns,
+      rows: this.config.rows,
       fullscreen: this.config.fullscreen,
+      altScreen: this.config.altScreen,
+      terminal: this.terminal,
     });
     await this.renderer.initialize();
     
+    // Re-render at the new size after the renderer has cleared the screen
+    this.handleResize = () => this.scheduleRender();
+    this.config.stdout.on?.('resize', this.handleResize);
+    
     // Initialize input manager
     this.inputManager = new InputManager({
+      stdin: this.config.stdin,
+      stdout: this.config.stdout,
       mouse: this.config.mouse,
+      bracketedPaste: this.config.bracketedPaste,
+      kittyKeyboard: this.config.kittyKeyboard,
+      escapeTimeout: this.config.escapeTimeout,
+      terminal: this.terminal,
+      keymap: this.keymap,
     });
     
     // Set up input event forwarding
     this.inputManager.on('keypress', (key) => {
       this.handleInput(key);
     });
+    this.inputManager.on('mouse', (event) => {
+      this.handleMouse(event);
+    });
+    this.inputManager.on('paste', (text) => {
+      this.handlePaste(text);
+    });
+    this.inputManager.on('keyrelease', (key) => {
+      this.emit('keyrelease', key);
+    });
     
     // Start input handling
     this.inputManager.start();
     
-    // Set terminal title if provided
+    // Set terminal title if provided, keeping the previous one on the title stack
     if (this.config.title) {
-      process.stdout.write(`\x1b]0;${this.config.title}\x07`);
+      this.terminal.enable('title', pushTitle() + setTitle(this.config.title), popTitle());
     }
     
+    if (this.config.keypad) {
+      this.terminal.enable('keypad', enableKeypad(), disableKeypad());
+    }
+    
+    if (this.config.cursorShape) {
+      this.setCursorShape(this.config.cursorShape);
+    }
+    
+    this.frameScheduler.start();
     this.isRunning = true;
     this.emit('start');
   }
@@ -110,11 +275,11 @@ export class FerroHost extends EventEmitter {
       return;
     }
 
-    // Clear any pending renders
-    if (this.renderTimer) {
-      clearTimeout(this.renderTimer);
-      this.renderTimer = null;
-    }
+    // Drop any pending frame and running animation
+    this.animator.cancelAll();
+    this.frameScheduler.stop();
+    
+    this.keymap.reset();
     
     // Unmount component
     await this.unmount();
@@ -125,26 +290,115 @@ export class FerroHost extends EventEmitter {
       this.inputManager = null;
     }
     
+    if (this.handleResize) {
+      this.config.stdout.off?.('resize', this.handleResize);
+      this.handleResize = null;
+    }
+    
     // Cleanup renderer
     if (this.renderer) {
       await this.renderer.cleanup();
       this.renderer = null;
     }
     
+    // Undo any remaining modes (title, cursor shape, keypad)
+    this.terminal.restore();
+    this.removeExitHandlers();
+    
     this.isRunning = false;
     this.emit('cleanup');
   }
 
+  /**
+   * Set the cursor shape ('block', 'underline', 'bar', or a blinking variant)
+   */
+  setCursorShape(shape) {
+    this.terminal.enable('cursorShape', setCursorShape(shape), setCursorShape('default'));
+  }
+
+  /**
+   * Synchronously put the terminal back the way we found it
+   * Safe to call from exit, signal and crash handlers.
+   */
+  restoreTerminal() {
+    this.terminal.restore();
+    
+    const { stdin } = this.config;
+    
+    if (stdin.isTTY && stdin.isRaw && typeof stdin.setRawMode === 'function') {
+      stdin.setRawMode(false);
+    }
+  }
+
+  /**
+   * Install process handlers that restore the terminal on exit, crash and signals
+   */
+  installExitHandlers() {
+    if (this.exitHandlers) {
+      return;
+    }
+    
+    const restore = () => this.restoreTerminal();
+    
+    this.exitHandlers = {
+      exit: restore,
+      // Monitors run before Node prints the error and exits, without changing that behavior
+      uncaughtExceptionMonitor: restore,
+    };
+    
+    for (const [signal, number] of Object.entries(EXIT_SIGNALS)) {
+      this.exitHandlers[signal] = () => {
+        restore();
+        process.exit(128 + number);
+      };
+    }
+    
+    for (const [event, handler] of Object.entries(this.exitHandlers)) {
+      process.on(event, handler);
+    }
+  }
+
+  /**
+   * Remove the handlers installed by installExitHandlers
+   */
+  removeExitHandlers() {
+    if (!this.exitHandlers) {
+      return;
+    }
+    
+    for (const [event, handler] of Object.entries(this.exitHandlers)) {
+      process.off(event, handler);
+    }
+    
+    this.exitHandlers = null;
+  }
+
   /**
    * Create a component instance from a component definition
    */
   createComponentInstance(component, props = {}) {
     // Handle different component formats
-    if (typeof component === 'function') {
-      // Functional component
+    if (component instanceof Component || component?.prototype instanceof Component) {
+      // Component class or instance, managed by a component tree
+      return this.createTreeInstance(component, props);
+    } else if (typeof component === 'function') {
+      // Functional component, which may use hooks
+      const hooks = new HookState({
+        requestUpdate: () => this.scheduleRender(),
+        getHost: () => this,
+        onError: (error, info) => this.handleError(error, info),
+      });
+      
       return {
         name: component.name || 'Component',
-        render: () => component(props),
+        render: () => {
+          const output = renderWithHooks(hooks, () => component(props));
+          
+          hooks.setTarget(output);
+          
+          return output;
+        },
+        cleanup: () => hooks.unmount(),
         props,
       };
     } else if (typeof component === 'object') {
@@ -158,43 +412,359 @@ export class FerroHost extends EventEmitter {
     }
   }
 
+  /**
+   * Wrap a Component in a ComponentTree that is laid out on every render
+   */
+  createTreeInstance(component, props = {}) {
+    const root = component instanceof Component ? component : new component(props);
+    const tree = new ComponentTree(root, { focusManager: this.focusManager, host: this });
+    
+    tree.mount();
+    
+    return {
+      name: root.constructor.name,
+      props: root.props,
+      tree,
+      render: () => tree.updateLayout(this.renderer?.config.width, this.renderer?.config.height),
+      handleInput: (key) => tree.handleInput(key),
+      handlePaste: (text) => tree.handlePaste(text),
+      cleanup: () => tree.unmount(),
+    };
+  }
+
   /**
    * Handle input events
+   * Keys travel through the component tree first, then to the keymap. Unless
+   * a component calls preventDefault() or a binding uses the key, the host then
+   * applies its own handling (Ctrl+C, Tab).
    */
   handleInput(key) {
-    // Exit on Ctrl+C or Escape
-    if (key.ctrl && key.name === 'c') {
-      this.cleanup();
-      process.exit(0);
+    // The error overlay takes the keyboard until it is dismissed
+    if (this.error) {
+      this.handleErrorOverlayInput(key);
+      this.emit('input', key);
+      
+      return;
+    }
+    
+    const event = new KeyEvent(key);
+    const path = this.componentTree ? this.getKeyPath() : [];
+    const context = {
+      host: this,
+      event,
+      target: this.focusManager.focused,
+      scopes: this.getKeymapScopes(path),
+    };
+    
+    // A started sequence claims the keys that continue it
+    let handled = this.keymap.hasPending && this.runKeymap(() => this.keymap.handleKey(key, context), path);
+    
+    if (!handled) {
+      if (path.length > 0) {
+        this.dispatchKeyEvent(path, event);
+      }
+      
+      if (!event.propagationStopped && !event.defaultPrevented) {
+        handled = this.runKeymap(() => this.keymap.handleKey(key, context), path);
+      }
     }
     
-    // Forward to component tree if it handles input
-    if (this.componentTree?.handleInput) {
-      this.componentTree.handleInput(key);
+    if (this.componentTree) {
       this.scheduleRender();
     }
     
+    if (!handled && !event.defaultPrevented) {
+      // Exit on Ctrl+C
+      if (key.ctrl && key.name === 'c' && this.config.exitOnCtrlC) {
+        this.cleanup().finally(() => process.exit(0));
+        
+        return;
+      }
+      
+      // Tab and Shift+Tab move focus between focusable components
+      if (key.name === 'tab' && !key.ctrl && !key.meta) {
+        this.focusManager.focusNext(key.shift);
+      }
+    }
+    
     this.emit('input', key);
   }
 
   /**
-   * Schedule a render on the next tick
+   * Run the keymap, passing errors from binding handlers to handleError
+   * Returns what the callback returns, or true when a handler threw.
    */
-  scheduleRender() {
-    if (this.isDirty || !this.isRunning) {
+  runKeymap(callback, path = []) {
+    try {
+      return callback();
+    } catch (error) {
+      this.handleError(error, { phase: 'input', path });
+      
+      return true;
+    }
+  }
+
+  /**
+   * Dispatch a key event along a path, passing errors from handlers to handleError
+   */
+  dispatchKeyEvent(path, event) {
+    try {
+      dispatchKeyEvent(path, event);
+    } catch (error) {
+      this.handleError(error, { phase: 'input', component: event.currentTarget, path });
+    }
+  }
+
+  /**
+   * Handle keys while the error overlay is shown: r retries, Ctrl+C still exits
+   */
+  handleErrorOverlayInput(key) {
+    if (key.ctrl && key.name === 'c' && this.config.exitOnCtrlC) {
+      this.cleanup().finally(() => process.exit(0));
+    } else if (key.name === 'r' && !key.ctrl && !key.meta) {
+      this.error = null;
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * Handle an error thrown by a component
+   * The nearest error boundary above the component catches it. Errors no
+   * boundary catches are emitted as 'error' events (when listened to) and, with
+   * the errorOverlay option, shown in the error overlay; the app keeps running.
+   * Errors nothing handles restore the terminal and are rethrown.
+   */
+  handleError(error, info = {}) {
+    const boundary = findErrorBoundary(info.component, info.path);
+    
+    if (boundary) {
+      boundary.handleError(error, info);
+      this.scheduleRender();
+      
       return;
     }
     
-    this.isDirty = true;
+    const hasListeners = this.listenerCount('error') > 0;
+    
+    if (hasListeners) {
+      this.emit('error', error, info);
+    }
+    
+    if (this.config.errorOverlay) {
+      this.error = error;
+      this.scheduleRender();
+    } else if (!hasListeners) {
+      // Rather than keep running in a broken state, leave the terminal usable and crash
+      this.restoreTerminal();
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Get the components a key event travels through, from the root down
+   */
+  getKeyPath() {
+    const path = this.focusManager.getPath();
+    const { tree } = this.componentTree;
+    
+    if (tree) {
+      return path.length > 0 ? path : [tree.root];
+    }
+    
+    // Object and function components handle keys above everything they render
+    if (!this.componentTree.type) {
+      return [this.componentTree, ...path];
+    }
     
-    // Use setImmediate for next tick rendering
-    this.renderTimer = setImmediate(() => {
-      this.render();
-      this.isDirty = false;
-      this.renderTimer = null;
+    return path.length > 0 ? path : [this.componentTree];
+  }
+
+  /**
+   * Get the active keymap scopes for a key path: the components on it
+   * and the names in their keymapScope props
+   */
+  getKeymapScopes(path) {
+    return path.flatMap((item) => {
+      const name = item.props?.keymapScope ?? item.keymapScope;
+      
+      return name ? [item, name] : [item];
     });
   }
 
+  /**
+   * Handle pasted text
+   * Pastes go to the focused component as a whole, not as individual keys.
+   */
+  handlePaste(text) {
+    if (this.componentTree?.type) {
+      const target = this.findFocusedElement(this.componentTree, 'handlePaste');
+      
+      if (target) {
+        target.handlePaste(text);
+        this.scheduleRender();
+      }
+    } else if (this.componentTree?.handlePaste) {
+      this.componentTree.handlePaste(text);
+      this.scheduleRender();
+    }
+    
+    this.emit('paste', text);
+  }
+
+  /**
+   * Handle mouse events
+   * Events go to the deepest component under the pointer that handles them,
+   * falling back to its ancestors.
+   */
+  handleMouse(event) {
+    const path = this.renderer?.layoutTree
+      ? hitTest(this.renderer.layoutTree, event.x, event.y)
+      : [];
+    let handled = this.updateHover(path, event);
+    
+    if (event.action === 'press') {
+      this.pressTargets = new Set(path.map(({ node }) => node.component));
+    } else if (event.action === 'release') {
+      // A click needs press and release on the same component
+      const pressed = this.pressTargets ?? new Set();
+      const target = findHandler(
+        path.filter(({ node }) => pressed.has(node.component)),
+        'onClick'
+      );
+      
+      this.pressTargets = null;
+      
+      if (target) {
+        this.callMouseHandler(target.call, createMouseEvent(event, target.entry), target.entry, path);
+        handled = true;
+      }
+    } else if (event.action === 'scroll') {
+      const target = findHandler(path, 'onScroll');
+      
+      if (target) {
+        this.callMouseHandler(
+          target.call,
+          { ...createMouseEvent(event, target.entry), direction: event.button },
+          target.entry,
+          path
+        );
+        handled = true;
+      }
+    }
+    
+    if (handled) {
+      this.scheduleRender();
+    }
+    
+    this.emit('mouse', event);
+  }
+
+  /**
+   * Send enter and leave events as the pointer moves between components
+   */
+  updateHover(path, event) {
+    const previous = this.hoverPath;
+    const current = new Set(path.map(({ node }) => node.component));
+    const before = new Set(previous.map(({ node }) => node.component));
+    let handled = false;
+    
+    this.hoverPath = path;
+    
+    for (const entry of [...previous].reverse()) {
+      const handler = !current.has(entry.node.component) && getHandler(entry.node, 'onMouseLeave');
+      
+      if (handler) {
+        this.callMouseHandler(handler, createMouseEvent(event, entry), entry, previous);
+        handled = true;
+      }
+    }
+    
+    for (const entry of path) {
+      const handler = !before.has(entry.node.component) && getHandler(entry.node, 'onMouseEnter');
+      
+      if (handler) {
+        this.callMouseHandler(handler, createMouseEvent(event, entry), entry, path);
+        handled = true;
+      }
+    }
+    
+    return handled;
+  }
+
+  /**
+   * Call a mouse handler, passing errors it throws to handleError
+   */
+  callMouseHandler(handler, event, entry, path) {
+    try {
+      handler(event);
+    } catch (error) {
+      this.handleError(error, {
+        phase: 'input',
+        component: entry.node.component,
+        path: path.map(({ node }) => node.component),
+      });
+    }
+  }
+
+  /**
+   * Find the first focused element with a given handler method, depth first
+   */
+  findFocusedElement(element, method = 'handleKeyPress') {
+    if (!element || typeof element !== 'object') {
+      return null;
+    }
+    
+    if (element.focused && typeof element[method] === 'function') {
+      return element;
+    }
+    
+    for (const child of getElementChildren(element)) {
+      const found = this.findFocusedElement(child, method);
+      
+      if (found) {
+        return found;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Schedule a render with the next frame
+   * Every update until then is drawn by the same render.
+   */
+  scheduleRender() {
+    if (!this.isRunning) {
+      return;
+    }
+    
+    this.frameScheduler.invalidate();
+  }
+
+  /**
+   * Run a callback at the start of the next frame, before it renders
+   * The callback receives the frame time; returns an id for cancelFrame().
+   */
+  requestFrame(callback) {
+    return this.frameScheduler.requestFrame(callback);
+  }
+
+  /**
+   * Cancel a callback registered with requestFrame()
+   */
+  cancelFrame(id) {
+    this.frameScheduler.cancelFrame(id);
+  }
+
+  /**
+   * Run an animation (see animation.js) on the render loop
+   * Options: owner, a component whose unmount cancels the animation.
+   */
+  animate(animation, options = {}) {
+    return this.animator.start(animation, options);
+  }
+
   /**
    * Render the component tree
    */
@@ -202,34 +772,64 @@ export class FerroHost extends EventEmitter {
     if (!this.componentTree || !this.renderer) {
       return;
     }
+    
+    if (this.error) {
+      this.renderer.render(createErrorOverlay(this.error));
+      
+      return;
+    }
 
     try {
-      // Get rendered output from component
-      const output = this.componentTree.render
-        ? this.componentTree.render()
-        : '';
+      let output = this.renderOutput();
       
       // Send to renderer
       this.renderer.render(output);
       
+      // Focus changes (autoFocus, focused components replaced) change how they render
+      if (this.focusManager.update(this.renderer.layoutTree)) {
+        output = this.renderOutput();
+        this.renderer.render(output);
+      }
+      
+      flushEffects();
       this.emit('render', output);
     } catch (error) {
-      // Handle render errors gracefully
-      this.emit('error', error);
+      // Errors no error boundary caught; the overlay is drawn in this frame
+      this.handleError(error, { phase: 'render' });
       
-      // Show error in terminal if in development
-      if (process.env.NODE_ENV !== 'production') {
-        this.renderer?.render(`Error: ${error.message}`);
+      if (this.error) {
+        this.renderer.render(createErrorOverlay(this.error));
       }
     }
   }
 
   /**
-   * Trigger an update and re-render
+   * Get what the component tree renders
+   * Elements are laid out and painted by the renderer as a tree,
+   * anything else renders itself to a string or layout tree.
+   */
+  renderOutput() {
+    if (this.componentTree.type) {
+      return this.componentTree;
+    }
+    
+    return this.componentTree.render ? this.componentTree.render() : '';
+  }
+
+  /**
+   * Write text above the live region in inline mode, where it stays in scrollback
+   */
+  writeStatic(text) {
+    this.renderer?.writeStatic(text);
+  }
+
+  /**
+   * Trigger an update, resolving once it has been rendered
    */
   async update() {
     this.scheduleRender();
     this.emit('update');
+    await this.frameScheduler.waitForFrame();
   }
 
   /**
@@ -5,11 +5,52 @@
 export { FerroHost } from './host.js';
 export { Renderer } from './renderer.js';
 export { InputManager } from './input.js';
+export { TerminalState } from './terminal.js';
+export { FrameScheduler } from './scheduler.js';
+export { FocusManager } from './focus.js';
+export { KeyEvent, dispatchKeyEvent } from './events.js';
+export { Keymap, normalizeKey, parseKeySequence, formatKey } from './keymap.js';
 export { Layout, LayoutNode, createLayoutTree } from './layout.js';
 export { Component, ComponentTree, createComponent, h } from './component.js';
+export { createContext, ContextProvider } from './context.js';
+export { ErrorBoundary } from './error-boundary.js';
+export { createErrorOverlay, getSourceSnippet } from './error-overlay.js';
+export {
+  Animation,
+  Tween,
+  Spring,
+  Keyframes,
+  Animator,
+  easing,
+  interpolate,
+  parseColor,
+  mixColors,
+  tweenColor,
+  tweenLayout,
+  layoutStyle,
+  setReducedMotion,
+  isReducedMotion,
+  useTween,
+  useSpring,
+} from './animation.js';
+export {
+  useState,
+  useReducer,
+  useEffect,
+  useMemo,
+  useCallback,
+  useRef,
+  useContext,
+  useInput,
+  useFocus,
+  useHost,
+  useTerminalSize,
+  useInterval,
+} from './hooks.js';
 
 // Export utilities
 export * as ansi from './utils/ansi.js';
+export { ScreenBuffer } from './utils/buffer.js';
 
 // Version
 export const version = '0.1.0';
\ No newline at end of file
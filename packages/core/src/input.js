@@ -5,19 +5,200 @@
 import { EventEmitter } from 'node:events';
 import readline from 'node:readline';
 import process from 'node:process';
+import {
+  enableMouse,
+  disableMouse,
+  enableBracketedPaste,
+  disableBracketedPaste,
+  keyboardFlags,
+  pushKeyboardFlags,
+  popKeyboardFlags,
+  queryKeyboardFlags,
+  queryDeviceAttributes,
+} from './utils/ansi.js';
+import { TerminalState } from './terminal.js';
+import { InputTokenizer, ESC, PASTE_START, PASTE_END } from './tokenizer.js';
+import { Keymap } from './keymap.js';
+
+// Keys identified by the final byte of a CSI sequence, e.g. ESC [ A or ESC [ 1 ; 5 A
+const CSI_KEYS = {
+  A: 'up',
+  B: 'down',
+  C: 'right',
+  D: 'left',
+  E: 'clear',
+  F: 'end',
+  H: 'home',
+  P: 'f1',
+  Q: 'f2',
+  R: 'f3',
+  S: 'f4',
+  Z: 'tab',
+};
+
+// Keys identified by the number of an ESC [ n ~ sequence
+const TILDE_KEYS = {
+  1: 'home',
+  2: 'insert',
+  3: 'delete',
+  4: 'end',
+  5: 'pageup',
+  6: 'pagedown',
+  7: 'home',
+  8: 'end',
+  11: 'f1',
+  12: 'f2',
+  13: 'f3',
+  14: 'f4',
+  15: 'f5',
+  17: 'f6',
+  18: 'f7',
+  19: 'f8',
+  20: 'f9',
+  21: 'f10',
+  23: 'f11',
+  24: 'f12',
+};
+
+// Keys sent as SS3 sequences, e.g. ESC O A in application cursor mode or ESC O P for F1
+const SS3_KEYS = {
+  A: 'up',
+  B: 'down',
+  C: 'right',
+  D: 'left',
+  E: 'clear',
+  F: 'end',
+  H: 'home',
+  M: 'enter',
+  P: 'f1',
+  Q: 'f2',
+  R: 'f3',
+  S: 'f4',
+};
+
+// Kitty protocol codes for keys that do not type a printable character
+const KITTY_KEYS = {
+  9: 'tab',
+  13: 'enter',
+  27: 'escape',
+  127: 'backspace',
+  57358: 'capslock',
+  57359: 'scrolllock',
+  57360: 'numlock',
+  57361: 'printscreen',
+  57362: 'pause',
+  57363: 'menu',
+  57414: 'enter',
+  57441: 'leftshift',
+  57442: 'leftctrl',
+  57443: 'leftalt',
+  57444: 'leftsuper',
+  57445: 'lefthyper',
+  57446: 'leftmeta',
+  57447: 'rightshift',
+  57448: 'rightctrl',
+  57449: 'rightalt',
+  57450: 'rightsuper',
+  57451: 'righthyper',
+  57452: 'rightmeta',
+};
+
+// Kitty protocol event types
+const KEY_EVENT_TYPES = {
+  1: 'press',
+  2: 'repeat',
+  3: 'release',
+};
+
+// Default enhancements: unambiguous keys, repeat/release events and alternate keys
+const DEFAULT_KEYBOARD_FLAGS =
+  keyboardFlags.disambiguate | keyboardFlags.eventTypes | keyboardFlags.alternateKeys;
+
+const CSI_KEY_PATTERN = new RegExp(`^${ESC}\\[([0-9;:]*)([A-Z~u])$`);
+const SS3_KEY_PATTERN = new RegExp(`^${ESC}O(\\d*)([A-Z])$`);
+// Replies to the keyboard flags and device attributes queries
+const KEYBOARD_FLAGS_REPLY = new RegExp(`^${ESC}\\[\\?(\\d*)u$`);
+const DEVICE_ATTRIBUTES_REPLY = new RegExp(`^${ESC}\\[\\?[\\d;]*c$`);
+
+const SEQUENCE_INTRODUCER = new RegExp(`^${ESC}[[O]`);
+
+const SGR_MOUSE_PATTERN = new RegExp(`^${ESC}\\[<(\\d+);(\\d+);(\\d+)([Mm])$`);
+
+// Mouse buttons by the low two bits of the button code; 3 means none
+const MOUSE_BUTTONS = ['left', 'middle', 'right', null];
+const SCROLL_DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * Apply an xterm modifier parameter (1 + shift|alt<<1|ctrl<<2|meta<<3) to a key
+ * The kitty protocol extends it with super, hyper, meta, caps lock and num lock,
+ * and may append an event type after a colon.
+ */
+function applyModifiers(key, parameter) {
+  const [modifier, eventType] = String(parameter ?? '').split(':').map((p) => parseInt(p, 10));
+
+  if (eventType) {
+    key.eventType = KEY_EVENT_TYPES[eventType] ?? 'press';
+  }
+
+  if (!modifier || modifier < 2) {
+    return;
+  }
+
+  const bits = modifier - 1;
+
+  key.shift = (bits & 1) !== 0;
+  key.meta = (bits & 2) !== 0 || (bits & 8) !== 0 || (bits & 32) !== 0;
+  key.ctrl = (bits & 4) !== 0;
+
+  if (bits >= 8) {
+    key.super = (bits & 8) !== 0;
+    key.hyper = (bits & 16) !== 0;
+    key.capsLock = (bits & 64) !== 0;
+    key.numLock = (bits & 128) !== 0;
+  }
+}
 
 export class InputManager extends EventEmitter {
   constructor(config = {}) {
     super();
     
+    const {
+      terminal,
+      keymap,
+      stdin = process.stdin,
+      stdout = process.stdout,
+      ...options
+    } = config;
+    
     this.config = {
       mouse: false,
-      ...config,
+      bracketedPaste: true,
+      escapeTimeout: 50,
+      // true or a number of kitty keyboard enhancement flags to request
+      kittyKeyboard: false,
+      keyboardQueryTimeout: 200,
+      ...options,
     };
     
+    this.stdin = stdin;
+    this.stdout = stdout;
+    
+    // Shared with the host so enabled modes are undone on any exit path
+    this.terminal = terminal ?? new TerminalState((data) => this.stdout.write(data));
+    
     this.rl = null;
     this.isActive = false;
-    this.keyHandlers = new Map();
+    
+    // Key bindings from onKey(); a keymap passed in is dispatched by its owner
+    this.keymap = keymap ?? new Keymap();
+    this.ownsKeymap = !keymap;
+    
+    this.tokenizer = new InputTokenizer();
+    this.escapeTimer = null;
+    
+    // 'kitty' once the terminal has confirmed support, 'legacy' otherwise
+    this.keyboardProtocol = 'legacy';
+    this.keyboardQueryTimer = null;
   }
 
   /**
@@ -29,15 +210,16 @@ export class InputManager extends EventEmitter {
     }
 
     // Create readline interface
+    // Readline only splits input into lines. Keys are parsed here, so it must not
+    // echo them over the renderer's frames or act on Ctrl+C/Ctrl+D itself
     this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-      terminal: true,
+      input: this.stdin,
+      terminal: false,
     });
 
     // Set raw mode for better key handling
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(true);
+    if (this.stdin.isTTY && typeof this.stdin.setRawMode === 'function') {
+      this.stdin.setRawMode(true);
     }
 
     // Enable mouse tracking if configured
@@ -45,8 +227,17 @@ export class InputManager extends EventEmitter {
       this.enableMouse();
     }
 
+    // Have pastes delimited so they arrive as one event instead of keystrokes
+    if (this.config.bracketedPaste) {
+      this.terminal.enable('bracketedPaste', enableBracketedPaste(), disableBracketedPaste());
+    }
+
     // Set up key listener
-    process.stdin.on('data', this.handleData);
+    this.stdin.on('data', this.handleData);
+
+    if (this.config.kittyKeyboard) {
+      this.queryKeyboardProtocol();
+    }
 
     // Handle readline events
     this.rl.on('line', (input) => {
@@ -70,12 +261,26 @@ export class InputManager extends EventEmitter {
       this.disableMouse();
     }
 
-    // Remove data listener
-    process.stdin.off('data', this.handleData);
+    // Leave bracketed paste mode and pop our keyboard flags
+    this.terminal.disable('bracketedPaste');
+    clearTimeout(this.keyboardQueryTimer);
+    this.keyboardQueryTimer = null;
+    this.terminal.disable('kittyKeyboard');
+    this.keyboardProtocol = 'legacy';
+
+    // Remove data listener and drop any half-read sequence
+    this.stdin.off('data', this.handleData);
+    clearTimeout(this.escapeTimer);
+    this.escapeTimer = null;
+    this.tokenizer.flush();
+    
+    if (this.ownsKeymap) {
+      this.keymap.reset();
+    }
 
     // Restore terminal mode
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(false);
+    if (this.stdin.isTTY && typeof this.stdin.setRawMode === 'function') {
+      this.stdin.setRawMode(false);
     }
 
     // Close readline interface
@@ -90,23 +295,133 @@ export class InputManager extends EventEmitter {
 
   /**
    * Handle raw input data
+   * A chunk may contain several keys, or only part of one.
    */
   handleData = (data) => {
-    const key = this.parseKey(data);
+    clearTimeout(this.escapeTimer);
+    this.escapeTimer = null;
     
-    if (key) {
-      this.emit('keypress', key);
-      
-      // Check for registered handlers
-      const handler = this.keyHandlers.get(this.getKeyString(key));
-      if (handler) {
-        handler(key);
-      }
+    for (const sequence of this.tokenizer.push(data)) {
+      this.handleSequence(sequence);
+    }
+    
+    // A trailing ESC may be a lone Escape or the start of a sequence,
+    // so wait briefly for the rest before deciding. Pastes wait for their end marker.
+    if (this.tokenizer.hasPending && !this.tokenizer.isPasting) {
+      this.escapeTimer = setTimeout(() => this.flushPending(), this.config.escapeTimeout);
     }
   };
 
   /**
-   * Parse raw input data into key object
+   * Resolve input held back by the tokenizer
+   */
+  flushPending() {
+    clearTimeout(this.escapeTimer);
+    this.escapeTimer = null;
+    
+    for (const sequence of this.tokenizer.flush()) {
+      this.handleSequence(sequence);
+    }
+  }
+
+  /**
+   * Ask whether the terminal supports the kitty keyboard protocol
+   * The device attributes query follows so that terminals without support still
+   * answer; if nothing answers at all we keep the legacy parser.
+   */
+  queryKeyboardProtocol() {
+    this.terminal.write(queryKeyboardFlags() + queryDeviceAttributes());
+    this.keyboardQueryTimer = setTimeout(
+      () => this.resolveKeyboardProtocol(false),
+      this.config.keyboardQueryTimeout
+    );
+  }
+
+  /**
+   * Settle the keyboard protocol once the query is answered or timed out
+   */
+  resolveKeyboardProtocol(supported) {
+    if (!this.keyboardQueryTimer) {
+      return;
+    }
+    
+    clearTimeout(this.keyboardQueryTimer);
+    this.keyboardQueryTimer = null;
+    
+    if (supported) {
+      const flags = this.config.kittyKeyboard === true
+        ? DEFAULT_KEYBOARD_FLAGS
+        : this.config.kittyKeyboard;
+      
+      this.terminal.enable('kittyKeyboard', pushKeyboardFlags(flags), popKeyboardFlags());
+      this.keyboardProtocol = 'kitty';
+    }
+    
+    this.emit('keyboardProtocol', this.keyboardProtocol);
+  }
+
+  /**
+   * Consume replies to our terminal queries so they are not taken for keys
+   */
+  handleQueryReply(sequence) {
+    if (KEYBOARD_FLAGS_REPLY.test(sequence)) {
+      this.resolveKeyboardProtocol(true);
+      
+      return true;
+    }
+    
+    if (DEVICE_ATTRIBUTES_REPLY.test(sequence)) {
+      // Answered without a keyboard flags reply first: no kitty support
+      this.resolveKeyboardProtocol(false);
+      
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Emit the event for a single input sequence
+   */
+  handleSequence(sequence) {
+    if (sequence.startsWith(PASTE_START)) {
+      const end = sequence.endsWith(PASTE_END) ? -PASTE_END.length : undefined;
+      
+      this.emit('paste', sequence.slice(PASTE_START.length, end));
+      
+      return;
+    }
+    
+    const mouse = this.parseMouse(sequence);
+    
+    if (mouse) {
+      this.emit('mouse', mouse);
+      
+      return;
+    }
+    
+    if (this.handleQueryReply(sequence)) {
+      return;
+    }
+    
+    const key = this.parseKey(sequence);
+    
+    // Releases are reported separately so press handlers do not fire twice
+    if (key.eventType === 'release') {
+      this.emit('keyrelease', key);
+      
+      return;
+    }
+    
+    this.emit('keypress', key);
+    
+    if (this.ownsKeymap) {
+      this.keymap.handleKey(key);
+    }
+  }
+
+  /**
+   * Parse a single key sequence into a key object
    */
   parseKey(data) {
     const str = data.toString();
@@ -119,81 +434,97 @@ export class InputManager extends EventEmitter {
       code: null,
     };
 
-    // Handle special sequences
-    if (str === '\x03') {
-      // Ctrl+C
-      key.name = 'c';
-      key.ctrl = true;
-    } else if (str === '\x1b') {
-      // Escape
+    if (str.startsWith('\x1b') && str.length > 1) {
+      const csi = str.match(CSI_KEY_PATTERN);
+      const ss3 = str.match(SS3_KEY_PATTERN);
+
+      if (csi && csi[2] === 'u') {
+        return this.parseKittyKey(key, csi[1]);
+      } else if (csi) {
+        const [, params, final] = csi;
+        const [first, modifier] = params.split(';');
+
+        key.name = final === '~' ? TILDE_KEYS[parseInt(first, 10)] ?? null : CSI_KEYS[final];
+        applyModifiers(key, modifier);
+
+        // Shift+Tab has its own final byte
+        if (final === 'Z') {
+          key.shift = true;
+        }
+      } else if (ss3) {
+        key.name = SS3_KEYS[ss3[2]] ?? null;
+        applyModifiers(key, parseInt(ss3[1], 10));
+      } else if (str.length === 2 || !SEQUENCE_INTRODUCER.test(str)) {
+        // Alt/Meta combined with any other key, including escape sequences
+        return {
+          ...this.parseKey(str.slice(1)),
+          sequence: str,
+          meta: true,
+        };
+      }
+
+      return key;
+    }
+
+    const code = str.codePointAt(0);
+
+    key.code = code ?? null;
+
+    if (str === '\x1b') {
       key.name = 'escape';
     } else if (str === '\r' || str === '\n') {
-      // Enter
       key.name = 'enter';
     } else if (str === '\t') {
-      // Tab
       key.name = 'tab';
     } else if (str === '\x7f' || str === '\x08') {
-      // Backspace
       key.name = 'backspace';
-    } else if (str === '\x1b[A') {
-      // Up arrow
-      key.name = 'up';
-    } else if (str === '\x1b[B') {
-      // Down arrow
-      key.name = 'down';
-    } else if (str === '\x1b[C') {
-      // Right arrow
-      key.name = 'right';
-    } else if (str === '\x1b[D') {
-      // Left arrow
-      key.name = 'left';
-    } else if (str === '\x1b[H') {
-      // Home
-      key.name = 'home';
-    } else if (str === '\x1b[F') {
-      // End
-      key.name = 'end';
-    } else if (str === '\x1b[5~') {
-      // Page Up
-      key.name = 'pageup';
-    } else if (str === '\x1b[6~') {
-      // Page Down
-      key.name = 'pagedown';
-    } else if (str === '\x1b[3~') {
-      // Delete
-      key.name = 'delete';
-    } else if (str.startsWith('\x1b[') && str.endsWith('~')) {
-      // Function keys
-      const match = str.match(/\x1b\[(\d+)~/);
-      if (match) {
-        const code = parseInt(match[1], 10);
-        if (code >= 11 && code <= 24) {
-          key.name = `f${code - 10}`;
-        }
-      }
-    } else if (str.length === 1) {
-      // Regular character
-      const code = str.charCodeAt(0);
-      
-      if (code < 32) {
-        // Control character
-        key.ctrl = true;
-        key.name = String.fromCharCode(code + 64).toLowerCase();
-      } else {
-        // Normal character
-        key.name = str;
-        key.shift = str === str.toUpperCase() && str !== str.toLowerCase();
-      }
-      
-      key.code = code;
-    } else if (str.startsWith('\x1b')) {
-      // Alt/Meta key combination
-      key.meta = true;
-      const char = str.slice(1);
-      if (char.length === 1) {
-        key.name = char;
-      }
+    } else if (str === '\x00') {
+      // Ctrl+Space
+      key.name = ' ';
+      key.ctrl = true;
+    } else if (code < 32) {
+      // Control character
+      key.ctrl = true;
+      key.name = String.fromCharCode(code + 64).toLowerCase();
+    } else if (code !== undefined) {
+      // Normal character
+      key.name = str;
+      key.shift = str === str.toUpperCase() && str !== str.toLowerCase();
+    }
+
+    return key;
+  }
+
+  /**
+   * Parse the parameters of a kitty protocol CSI u key event
+   * Format: code[:shifted[:base]] ; modifiers[:event type] ; text codepoints
+   */
+  parseKittyKey(key, params) {
+    const [codes = '', modifiers, text] = params.split(';');
+    const [code, shifted, base] = codes.split(':').map((p) => (p ? parseInt(p, 10) : null));
+
+    key.code = code;
+    key.eventType = 'press';
+    applyModifiers(key, modifiers);
+
+    if (KITTY_KEYS[code]) {
+      key.name = KITTY_KEYS[code];
+    } else if (code === 32) {
+      key.name = ' ';
+    } else if (code) {
+      // Report the shifted character, as legacy input does for Shift+letter
+      key.name = String.fromCodePoint(key.shift && shifted ? shifted : code);
+    }
+
+    // Alternate keys: the shifted character and the key on a US layout
+    if (shifted) {
+      key.shiftedKey = String.fromCodePoint(shifted);
+    }
+    if (base) {
+      key.baseLayoutKey = String.fromCodePoint(base);
+    }
+    if (text) {
+      key.text = String.fromCodePoint(...text.split(':').map((p) => parseInt(p, 10)));
     }
 
     return key;
@@ -215,91 +546,84 @@ export class InputManager extends EventEmitter {
   }
 
   /**
-   * Register a key handler
+   * Register a key handler for a key or key sequence, e.g. 'ctrl+s' or 'g g'
    */
   onKey(keyPattern, handler) {
-    this.keyHandlers.set(keyPattern, handler);
+    return this.keymap.bind(keyPattern, ({ key }) => handler(key));
   }
 
   /**
    * Remove a key handler
    */
   offKey(keyPattern) {
-    this.keyHandlers.delete(keyPattern);
+    this.keymap.unbind(keyPattern);
   }
 
   /**
    * Enable mouse tracking
    */
   enableMouse() {
-    // Enable mouse tracking (X10 compatibility mode)
-    process.stdout.write('\x1b[?1000h');
-    
-    // Enable mouse motion tracking
-    process.stdout.write('\x1b[?1003h');
-    
-    // Enable SGR mouse mode (for better coordinates)
-    process.stdout.write('\x1b[?1006h');
+    // Button and motion tracking with SGR coordinates
+    this.terminal.enable('mouse', enableMouse(), disableMouse());
   }
 
   /**
    * Disable mouse tracking
    */
   disableMouse() {
-    // Disable mouse tracking
-    process.stdout.write('\x1b[?1000l');
-    
-    // Disable mouse motion tracking
-    process.stdout.write('\x1b[?1003l');
-    
-    // Disable SGR mouse mode
-    process.stdout.write('\x1b[?1006l');
+    this.terminal.disable('mouse');
   }
 
   /**
    * Parse mouse event from input
+   * Returns { x, y, button, action, shift, meta, ctrl } where action is one of
+   * 'press', 'release', 'drag', 'move' or 'scroll', or null for non-mouse input.
    */
   parseMouse(data) {
     const str = data.toString();
+    let code;
+    let x;
+    let y;
+    let released = false;
     
     // SGR mouse format: \x1b[<button;x;y(M or m)
-    const sgrMatch = str.match(/\x1b\[<(\d+);(\d+);(\d+)([Mm])/);
+    const sgrMatch = str.match(SGR_MOUSE_PATTERN);
     
     if (sgrMatch) {
-      const [, buttonCode, x, y, release] = sgrMatch;
-      
-      const mouse = {
-        x: parseInt(x, 10) - 1,
-        y: parseInt(y, 10) - 1,
-        button: null,
-        action: release === 'm' ? 'release' : 'press',
-        shift: false,
-        meta: false,
-        ctrl: false,
-      };
-      
-      const code = parseInt(buttonCode, 10);
-      
-      // Parse button
-      if ((code & 3) === 0) mouse.button = 'left';
-      else if ((code & 3) === 1) mouse.button = 'middle';
-      else if ((code & 3) === 2) mouse.button = 'right';
-      
-      // Parse modifiers
-      if (code & 4) mouse.shift = true;
-      if (code & 8) mouse.meta = true;
-      if (code & 16) mouse.ctrl = true;
-      
-      // Check for scroll
-      if (code & 64) {
-        mouse.action = 'scroll';
-        mouse.button = (code & 1) ? 'down' : 'up';
-      }
-      
-      return mouse;
+      code = parseInt(sgrMatch[1], 10);
+      x = parseInt(sgrMatch[2], 10) - 1;
+      y = parseInt(sgrMatch[3], 10) - 1;
+      released = sgrMatch[4] === 'm';
+    } else if (str.startsWith('\x1b[M') && str.length === 6) {
+      // Legacy X10 format: three bytes offset by 32, releases use button 3
+      code = str.charCodeAt(3) - 32;
+      x = str.charCodeAt(4) - 33;
+      y = str.charCodeAt(5) - 33;
+      released = (code & 3) === 3 && !(code & 32) && !(code & 64);
+    } else {
+      return null;
+    }
+    
+    const mouse = {
+      x,
+      y,
+      button: MOUSE_BUTTONS[code & 3],
+      action: released ? 'release' : 'press',
+      shift: (code & 4) !== 0,
+      meta: (code & 8) !== 0,
+      ctrl: (code & 16) !== 0,
+    };
+    
+    if (code & 64) {
+      // Wheel events report the direction as the button
+      mouse.action = 'scroll';
+      mouse.button = SCROLL_DIRECTIONS[code & 3];
+    } else if (code & 32) {
+      // Motion with a button held is a drag, without one a move
+      mouse.action = mouse.button ? 'drag' : 'move';
     }
     
-    return null;
+    return mouse;
   }
 
   /**
@@ -321,7 +645,7 @@ export class InputManager extends EventEmitter {
    */
   async readLine(prompt = '') {
     if (prompt) {
-      process.stdout.write(prompt);
+      this.stdout.write(prompt);
     }
     
     return new Promise((resolve) => {
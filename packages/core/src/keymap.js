@@ -0,0 +1,433 @@
+/**
+ * Keymap - Named commands bound to keys, chords and key sequences
+ * A binding is one or more keys separated by spaces: 'ctrl+s', an Emacs-style
+ * chord 'ctrl+x ctrl+s', or a vim-style sequence 'g g'. While a sequence is
+ * incomplete its keys are held back until it completes or times out.
+ *
+ * Bindings belong to a scope: 'global', a scope name, or a component. Scoped
+ * bindings only apply while that scope is active, which the host derives from
+ * the focused component and its ancestors (and their keymapScope props).
+ * When several bindings match, higher priority wins, then the innermost scope,
+ * then the binding registered last.
+ */
+
+import { EventEmitter } from 'node:events';
+import { readFile } from 'node:fs/promises';
+
+// Alternative names accepted in key descriptions
+const MODIFIER_ALIASES = {
+  control: 'ctrl',
+  ctrl: 'ctrl',
+  alt: 'meta',
+  option: 'meta',
+  meta: 'meta',
+  shift: 'shift',
+};
+
+const KEY_ALIASES = {
+  esc: 'escape',
+  return: 'enter',
+  del: 'delete',
+  ' ': 'space',
+};
+
+const MODIFIER_ORDER = ['ctrl', 'meta', 'shift'];
+
+/**
+ * Build the canonical form of a key from its name and modifiers
+ * Shift is folded into single characters ('shift+g' is 'G'), since the
+ * character already says whether shift was held.
+ */
+function canonicalKey(name, modifiers) {
+  let keyName = KEY_ALIASES[name] ?? name;
+
+  if ([...keyName].length === 1) {
+    if (modifiers.has('shift')) {
+      keyName = keyName.toUpperCase();
+      modifiers.delete('shift');
+    }
+  } else {
+    keyName = KEY_ALIASES[keyName.toLowerCase()] ?? keyName.toLowerCase();
+  }
+
+  const prefix = MODIFIER_ORDER.filter((modifier) => modifiers.has(modifier));
+
+  return [...prefix, keyName].join('+');
+}
+
+/**
+ * Normalize a key description such as 'Ctrl+Shift+A', 'alt+x' or 'esc'
+ */
+export function normalizeKey(description) {
+  const text = String(description).trim();
+
+  let parts = text.split('+');
+
+  // A trailing '+' is the plus key itself: '+' or 'ctrl++'
+  if (text === '+') {
+    parts = ['+'];
+  } else if (text.endsWith('++')) {
+    parts = [...text.slice(0, -2).split('+'), '+'];
+  }
+
+  const name = parts.pop();
+  const modifiers = new Set();
+
+  for (const part of parts) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+
+    if (!modifier) {
+      throw new Error(`Unknown modifier "${part}" in key "${description}"`);
+    }
+
+    modifiers.add(modifier);
+  }
+
+  // 'Ctrl+X' means ctrl+x, as menus write it; shift has to be explicit
+  const modified = modifiers.has('ctrl') || modifiers.has('meta');
+
+  return canonicalKey(modified ? name.toLowerCase() : name, modifiers);
+}
+
+/**
+ * Split a key sequence into normalized keys
+ * Accepts 'ctrl+x ctrl+s' or an array of keys.
+ */
+export function parseKeySequence(keys) {
+  const list = Array.isArray(keys) ? keys : String(keys).trim().split(/\s+/);
+
+  if (list.length === 0 || list[0] === '') {
+    throw new Error('A key binding needs at least one key');
+  }
+
+  return list.map(normalizeKey);
+}
+
+/**
+ * Get the normalized description of a key event from the input manager
+ */
+export function formatKey(key) {
+  const modifiers = new Set(MODIFIER_ORDER.filter((modifier) => key[modifier]));
+
+  return canonicalKey(key.name ?? key.sequence ?? '', modifiers);
+}
+
+/**
+ * Check whether a sequence starts with a prefix
+ */
+function startsWith(keys, prefix) {
+  return prefix.every((key, i) => keys[i] === key);
+}
+
+/**
+ * Get a readable name for a binding scope
+ */
+function getScopeName(scope) {
+  if (typeof scope === 'string') {
+    return scope;
+  }
+
+  return scope?.props?.keymapScope ?? scope?.keymapScope ?? scope?.name ?? scope?.type ??
+    scope?.constructor?.name ?? 'component';
+}
+
+export class Keymap extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      // How long to wait for the next key of a sequence, in milliseconds
+      timeout: 1000,
+      // Runs the flush of a sequence that timed out; hosts wrap it to catch
+      // errors from the handler and render afterwards
+      onTimeout: (flush) => flush(),
+      ...options,
+    };
+
+    this.commands = new Map();
+    this.bindings = [];
+
+    // Keys for commands from a user keymap, replacing their default bindings
+    this.overrides = new Map();
+
+    // Keys of an unfinished sequence, and the binding to run if it times out
+    this.pending = [];
+    this.pendingMatch = null;
+    this.timer = null;
+    this.order = 0;
+  }
+
+  /**
+   * Whether keys are held back waiting for the rest of a sequence
+   */
+  get hasPending() {
+    return this.pending.length > 0;
+  }
+
+  /**
+   * Register a named command
+   * Returns a function that removes the command again.
+   */
+  registerCommand(name, handler, options = {}) {
+    const command = { name, handler, description: options.description ?? '' };
+
+    this.commands.set(name, command);
+
+    return () => {
+      if (this.commands.get(name) === command) {
+        this.commands.delete(name);
+      }
+    };
+  }
+
+  /**
+   * Bind keys to a command name or a handler function
+   * Options: scope ('global' by default, a scope name or a component),
+   * priority (0 by default) and description.
+   * Returns a function that removes the binding again.
+   */
+  bind(keys, command, options = {}) {
+    const binding = {
+      keys: parseKeySequence(keys),
+      command: typeof command === 'function' ? options.command ?? null : command,
+      handler: typeof command === 'function' ? command : null,
+      scope: options.scope ?? 'global',
+      priority: options.priority ?? 0,
+      description: options.description,
+      order: this.order++,
+    };
+
+    this.bindings.push(binding);
+
+    return () => {
+      this.bindings = this.bindings.filter((entry) => entry !== binding);
+    };
+  }
+
+  /**
+   * Remove the bindings for a key sequence, optionally only in one scope
+   */
+  unbind(keys, scope) {
+    const sequence = parseKeySequence(keys).join(' ');
+
+    this.bindings = this.bindings.filter(
+      (binding) =>
+        binding.keys.join(' ') !== sequence || (scope !== undefined && binding.scope !== scope)
+    );
+  }
+
+  /**
+   * Apply a user keymap: an object mapping command names to keys
+   * Each value is a key sequence, a list of them, or null to unbind the command.
+   * Overridden commands keep the scope and priority of their default bindings.
+   */
+  load(keymap) {
+    const entries = typeof keymap === 'string' ? JSON.parse(keymap) : keymap;
+
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error('A keymap must be an object mapping command names to keys');
+    }
+
+    for (const [command, keys] of Object.entries(entries)) {
+      const list = keys === null ? [] : [keys].flat();
+
+      this.overrides.set(command, list.map((sequence) => parseKeySequence(sequence)));
+    }
+
+    this.emit('change');
+  }
+
+  /**
+   * Load a user keymap from a JSON file
+   */
+  async loadFile(path) {
+    const text = await readFile(path, 'utf8');
+
+    try {
+      this.load(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`Invalid keymap file ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the bindings in effect, with user overrides applied
+   */
+  getEffectiveBindings() {
+    const bindings = this.bindings.filter((binding) => !this.overrides.has(binding.command));
+
+    for (const [command, sequences] of this.overrides) {
+      const defaults = this.bindings.find((binding) => binding.command === command);
+
+      for (const keys of sequences) {
+        bindings.push({
+          keys,
+          command,
+          handler: defaults?.handler ?? null,
+          scope: defaults?.scope ?? 'global',
+          priority: defaults?.priority ?? 0,
+          description: defaults?.description,
+          order: defaults?.order ?? -1,
+        });
+      }
+    }
+
+    return bindings;
+  }
+
+  /**
+   * Get the bindings that apply with the given scopes active, best match first
+   * Scopes are listed from the outermost to the innermost.
+   */
+  getActiveBindings(scopes = []) {
+    const depth = (binding) => (binding.scope === 'global' ? -1 : scopes.lastIndexOf(binding.scope));
+
+    return this.getEffectiveBindings()
+      .filter((binding) => depth(binding) !== -1 || binding.scope === 'global')
+      .sort(
+        (a, b) => b.priority - a.priority || depth(b) - depth(a) || b.order - a.order
+      );
+  }
+
+  /**
+   * Describe the bindings, e.g. to render a help screen
+   * With scopes, only bindings that currently apply are listed, shadowed ones left out.
+   */
+  getBindings(options = {}) {
+    const { scopes } = options;
+    let bindings = scopes ? this.getActiveBindings(scopes) : this.getEffectiveBindings();
+
+    if (scopes) {
+      const seen = new Set();
+
+      bindings = bindings.filter((binding) => {
+        const keys = binding.keys.join(' ');
+        const shadowed = seen.has(keys);
+
+        seen.add(keys);
+
+        return !shadowed;
+      });
+    }
+
+    return bindings.map((binding) => ({
+      keys: binding.keys.join(' '),
+      command: binding.command,
+      description: binding.description ?? this.commands.get(binding.command)?.description ?? '',
+      scope: getScopeName(binding.scope),
+      priority: binding.priority,
+    }));
+  }
+
+  /**
+   * Handle a key press
+   * Context is passed on to command handlers; its scopes list the active scopes.
+   * Returns true when the key was used by a binding or a pending sequence.
+   */
+  handleKey(key, context = {}) {
+    const sequence = [...this.pending, formatKey(key)];
+    const bindings = this.getActiveBindings(context.scopes);
+    const exact = bindings.find((binding) => binding.keys.join(' ') === sequence.join(' '));
+    const longer = bindings.some(
+      (binding) => binding.keys.length > sequence.length && startsWith(binding.keys, sequence)
+    );
+
+    this.clearTimer();
+
+    if (longer) {
+      // Wait for the next key; if none comes, run what matched so far
+      this.pending = sequence;
+      this.pendingMatch = exact ? { binding: exact, key, context } : null;
+      this.timer = setTimeout(() => this.options.onTimeout(() => this.flushPending()), this.options.timeout);
+      this.emit('pending', sequence.join(' '));
+
+      return true;
+    }
+
+    const { pendingMatch } = this;
+    const wasPending = this.hasPending;
+
+    this.reset();
+
+    if (exact) {
+      this.run(exact, key, context);
+
+      return true;
+    }
+
+    // The sequence went nowhere: run what it matched before the key broke it,
+    // then try the key on its own
+    if (pendingMatch) {
+      this.run(pendingMatch.binding, pendingMatch.key, pendingMatch.context);
+    }
+
+    return wasPending ? this.handleKey(key, context) : false;
+  }
+
+  /**
+   * Give up waiting for the rest of a sequence
+   */
+  flushPending() {
+    const match = this.pendingMatch;
+
+    this.reset();
+
+    if (match) {
+      this.run(match.binding, match.key, match.context);
+    }
+  }
+
+  /**
+   * Forget any unfinished sequence
+   */
+  reset() {
+    this.clearTimer();
+    this.pending = [];
+    this.pendingMatch = null;
+  }
+
+  /**
+   * Stop the sequence timeout
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a command by name
+   */
+  execute(command, context = {}) {
+    const handler = this.commands.get(command)?.handler;
+
+    if (handler) {
+      handler(context);
+    }
+
+    this.emit('command', command, context);
+  }
+
+  /**
+   * Run the command of a binding
+   */
+  run(binding, key, context) {
+    const commandContext = {
+      ...context,
+      key,
+      keys: binding.keys.join(' '),
+      command: binding.command,
+    };
+
+    if (binding.handler) {
+      binding.handler(commandContext);
+
+      if (binding.command) {
+        this.emit('command', binding.command, commandContext);
+      }
+    } else {
+      this.execute(binding.command, commandContext);
+    }
+  }
+}
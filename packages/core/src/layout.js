@@ -1,13 +1,119 @@
 /**
- * Layout System - Flexbox-style layout engine for TUI components
+ * Layout System - Flexbox- and grid-style layout engine for TUI components
  * Handles positioning, sizing, and arrangement of components
  */
 
+// Sizes taken from a node's content (see Layout.measureNode)
+const INTRINSIC_SIZES = ['min-content', 'max-content', 'fit-content'];
+
+/**
+ * Check whether a size is one of the intrinsic size keywords
+ */
+function isIntrinsicSize(value) {
+  return INTRINSIC_SIZES.includes(value);
+}
+
+/**
+ * Add up a list of sizes
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Get the fraction of a flexible grid track size ('2fr' is 2), or 0
+ */
+function getFlexFraction(value) {
+  return typeof value === 'string' && value.endsWith('fr') ? parseFloat(value) : 0;
+}
+
+/**
+ * Parse one grid track size; numbers in strings are cells
+ */
+function parseTrackSize(value) {
+  return typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+}
+
+/**
+ * Parse a grid track list into { min, max } sizes
+ * Takes an array or a string such as '10 1fr minmax(5, 20%) auto'.
+ */
+function parseGridTracks(value) {
+  let tokens = [];
+  
+  if (Array.isArray(value)) {
+    tokens = value;
+  } else if (typeof value === 'number') {
+    tokens = [value];
+  } else if (typeof value === 'string' && value !== 'none') {
+    tokens = value.match(/minmax\([^)]*\)|\S+/g) ?? [];
+  }
+  
+  return tokens.map((token) => {
+    const minmax = typeof token === 'string' && token.match(/^minmax\(\s*([^,]+?)\s*,\s*([^)]+?)\s*\)$/);
+    
+    if (minmax) {
+      return { min: parseTrackSize(minmax[1]), max: parseTrackSize(minmax[2]) };
+    }
+    
+    const size = parseTrackSize(token);
+    
+    // fr tracks are minmax(auto, fr), so they never get narrower than their content
+    return { min: getFlexFraction(size) > 0 ? 'auto' : size, max: size };
+  });
+}
+
+/**
+ * Parse gridTemplateAreas into named areas with 0-based start and end lines
+ * Takes an array of rows ('header header') or a string of quoted or
+ * newline-separated rows; '.' leaves a cell unnamed.
+ */
+function parseGridAreas(value) {
+  const rows = (Array.isArray(value) ? value : String(value ?? '').split(/["\n]/))
+    .map((row) => row.trim())
+    .filter((row) => row && row !== 'none')
+    .map((row) => row.split(/\s+/));
+  const names = new Map();
+  
+  rows.forEach((cells, row) => {
+    cells.forEach((name, column) => {
+      if (/^\.+$/.test(name)) {
+        return;
+      }
+      
+      const area = names.get(name);
+      
+      if (area) {
+        area.row.start = Math.min(area.row.start, row);
+        area.row.end = Math.max(area.row.end, row + 1);
+        area.column.start = Math.min(area.column.start, column);
+        area.column.end = Math.max(area.column.end, column + 1);
+      } else {
+        names.set(name, { row: { start: row, end: row + 1 }, column: { start: column, end: column + 1 } });
+      }
+    });
+  });
+  
+  return { names, rows: rows.length, columns: Math.max(0, ...rows.map((cells) => cells.length)) };
+}
+
+/**
+ * Get the size of the grid tracks an item spans, with the gaps between them
+ */
+function getSpanSize(sizes, { start, span }, gap) {
+  return sum(sizes.slice(start, start + span)) + gap * (span - 1);
+}
+
 /**
  * LayoutNode represents a single element in the layout tree
  */
 export class LayoutNode {
   constructor(style = {}) {
+    // Ignore unset style values so they fall back to defaults
+    const definedStyle = Object.fromEntries(
+      Object.entries(style).filter(([, value]) => value !== undefined)
+    );
+    
     // Position and dimensions
     this.x = 0;
     this.y = 0;
@@ -18,10 +124,19 @@ export class LayoutNode {
     this.parent = null;
     this.children = [];
     
+    // Source of this node: the owning component and the element it paints
+    this.component = null;
+    this.element = null;
+    this.content = null;
+    
+    // Content size of a leaf: measure(availableWidth, mode) returns { width, height }
+    // for mode 'min-content', 'max-content' or 'fit-content' (see Layout.measureNode)
+    this.measure = null;
+    
     // Style properties
     this.style = {
       // Display
-      display: 'block', // 'block' | 'flex' | 'none'
+      display: 'block', // 'block' | 'flex' | 'grid' | 'none'
       
       // Dimensions
       width: style.width ?? 'auto',
@@ -48,11 +163,36 @@ export class LayoutNode {
       flexShrink: style.flexShrink ?? 1,
       flexBasis: style.flexBasis ?? 'auto',
       alignSelf: style.alignSelf ?? 'auto',
+      order: style.order ?? 0,
       
-      // Other
+      // Grid properties: track lists such as '10 1fr minmax(5, 20%)' and
+      // named areas; rowGap and columnGap fall back to gap
+      gridTemplateColumns: style.gridTemplateColumns ?? 'none',
+      gridTemplateRows: style.gridTemplateRows ?? 'none',
+      gridTemplateAreas: style.gridTemplateAreas ?? 'none',
+      gridAutoColumns: style.gridAutoColumns ?? 'auto',
+      gridAutoRows: style.gridAutoRows ?? 'auto',
+      justifyItems: style.justifyItems ?? 'stretch',
+      
+      // Grid item properties: an area name, lines ('1 / 3', 'span 2') or
+      // { row, column, rowSpan, columnSpan }
+      gridArea: style.gridArea ?? 'auto',
+      gridRow: style.gridRow ?? 'auto',
+      gridColumn: style.gridColumn ?? 'auto',
+      justifySelf: style.justifySelf ?? 'auto',
+      
+      // Positioning: top, right, bottom and left offset 'relative' and
+      // 'absolute' nodes; zIndex orders the layers they paint on
       position: style.position ?? 'static',
+      top: style.top ?? 'auto',
+      right: style.right ?? 'auto',
+      bottom: style.bottom ?? 'auto',
+      left: style.left ?? 'auto',
+      zIndex: style.zIndex ?? 0,
+      
+      // Other
       overflow: style.overflow ?? 'visible',
-      ...style,
+      ...definedStyle,
     };
     
     // Apply initial dimensions if provided
@@ -116,9 +256,26 @@ export class Layout {
     const containerWidth = availableWidth ?? node.width;
     const containerHeight = availableHeight ?? node.height;
     
+    // The root fills the available space unless it is sized explicitly
+    if (!node.parent) {
+      if (node.style.width === 'auto' && availableWidth !== null) {
+        node.width = availableWidth;
+      }
+      if (node.style.height === 'auto' && availableHeight !== null) {
+        node.height = availableHeight;
+      }
+    }
+    
     // Apply constraints first
     this.applyConstraints(node, containerWidth, containerHeight);
     
+    this.layoutChildren(node);
+  }
+  
+  /**
+   * Lay out the children of a node that has already been sized
+   */
+  layoutChildren(node) {
     // Handle different display types
     if (node.style.display === 'none') {
       node.width = 0;
@@ -127,57 +284,222 @@ export class Layout {
     }
     
     if (node.style.display === 'flex') {
-      this.calculateFlexLayout(node, containerWidth, containerHeight);
+      this.calculateFlexLayout(node);
+    } else if (node.style.display === 'grid') {
+      this.calculateGridLayout(node);
     } else {
-      this.calculateBlockLayout(node, containerWidth, containerHeight);
+      this.calculateBlockLayout(node);
+    }
+    
+    // Absolutely positioned descendants are placed once their containing block is sized
+    if (this.isPositioned(node) || !node.parent) {
+      this.layoutAbsoluteChildren(node);
+    }
+  }
+  
+  /**
+   * Check whether a node is positioned, making it the containing block of
+   * absolutely positioned descendants
+   */
+  isPositioned(node) {
+    return node.style.position === 'relative' || node.style.position === 'absolute';
+  }
+  
+  /**
+   * Check whether a node takes part in the flow of its parent's layout
+   */
+  isInFlow(node) {
+    return node.style.display !== 'none' && node.style.position !== 'absolute';
+  }
+  
+  /**
+   * Find the absolutely positioned descendants whose containing block is a node
+   */
+  getAbsoluteDescendants(node) {
+    const found = [];
+    
+    for (const child of node.children) {
+      if (child.style.position === 'absolute') {
+        found.push(child);
+      } else if (!this.isPositioned(child)) {
+        found.push(...this.getAbsoluteDescendants(child));
+      }
     }
     
-    // Recursively calculate children that aren't flex items
-    if (node.style.display !== 'flex') {
-      for (const child of node.children) {
-        this.calculate(child, node.width, node.height);
+    return found;
+  }
+  
+  /**
+   * Size and place the absolutely positioned descendants of a containing block
+   * Offsets are measured from the block's padding box (inside its border).
+   * Nodes with neither left nor right (top nor bottom) stay where the content
+   * of their parent starts.
+   */
+  layoutAbsoluteChildren(container) {
+    const border = container.style.border ? 1 : 0;
+    const block = {
+      width: Math.max(0, container.width - 2 * border),
+      height: Math.max(0, container.height - 2 * border),
+    };
+    
+    for (const child of this.getAbsoluteDescendants(container)) {
+      if (child.style.display === 'none') {
+        this.layoutChildren(child);
+        continue;
+      }
+      
+      const margins = this.getMargins(child);
+      const top = this.resolveSize(child.style.top, block.height);
+      const right = this.resolveSize(child.style.right, block.width);
+      const bottom = this.resolveSize(child.style.bottom, block.height);
+      const left = this.resolveSize(child.style.left, block.width);
+      
+      this.applyConstraints(child, block.width, block.height);
+      
+      // Automatic sizes stretch between opposite offsets, or fit the content
+      if (this.resolveSize(child.style.width, block.width) === null && !isIntrinsicSize(child.style.width)) {
+        child.width = left !== null && right !== null
+          ? this.clampSize(child, 'width', block.width - left - right - margins.left - margins.right)
+          : this.measureNode(child, block.width - (left ?? 0) - (right ?? 0), 'fit-content').width;
+      }
+      
+      if (this.resolveSize(child.style.height, block.height) === null && !isIntrinsicSize(child.style.height)) {
+        child.height = top !== null && bottom !== null
+          ? this.clampSize(child, 'height', block.height - top - bottom - margins.top - margins.bottom)
+          : this.measureHeight(child, child.width);
+      }
+      
+      // Convert from the containing block to the parent's coordinates
+      let offsetX = border;
+      let offsetY = border;
+      
+      for (let node = child.parent; node !== container; node = node.parent) {
+        offsetX -= node.x;
+        offsetY -= node.y;
+      }
+      
+      const parentBox = this.getContentBox(child.parent);
+      
+      if (left !== null) {
+        child.x = offsetX + left + margins.left;
+      } else if (right !== null) {
+        child.x = offsetX + block.width - right - margins.right - child.width;
+      } else {
+        child.x = parentBox.x + margins.left;
       }
+      
+      if (top !== null) {
+        child.y = offsetY + top + margins.top;
+      } else if (bottom !== null) {
+        child.y = offsetY + block.height - bottom - margins.bottom - child.height;
+      } else {
+        child.y = parentBox.y + margins.top;
+      }
+      
+      this.layoutChildren(child);
+    }
+  }
+  
+  /**
+   * Move a relatively positioned node by its offsets, without affecting the layout around it
+   * left wins over right and top over bottom; percentages are of the parent's content box.
+   */
+  applyRelativeOffset(node, contentBox) {
+    if (node.style.position !== 'relative') {
+      return;
     }
+    
+    const left = this.resolveSize(node.style.left, contentBox.width);
+    const right = this.resolveSize(node.style.right, contentBox.width);
+    const top = this.resolveSize(node.style.top, contentBox.height);
+    const bottom = this.resolveSize(node.style.bottom, contentBox.height);
+    
+    node.x += left ?? (right === null ? 0 : -right);
+    node.y += top ?? (bottom === null ? 0 : -bottom);
   }
   
   /**
    * Calculate block layout (default)
    */
   calculateBlockLayout(node) {
+    const contentBox = this.getContentBox(node);
     let currentY = 0;
     
     for (const child of node.children) {
+      if (child.style.display === 'none') {
+        this.layoutChildren(child);
+        continue;
+      }
+      
+      // Absolutely positioned children are placed by their containing block
+      if (child.style.position === 'absolute') {
+        continue;
+      }
+      
+      const margin = this.normalizeMargin(child.style.margin);
+      const margins = this.getMargins(child);
+      
+      this.applyConstraints(child, contentBox.width, contentBox.height);
+      
+      // Block children stretch across the content width unless sized explicitly
+      if (child.style.width === 'auto') {
+        child.width = Math.min(
+          Math.max(contentBox.width - margins.left - margins.right, this.resolveLimit(child, 'minWidth', contentBox.width)),
+          this.resolveLimit(child, 'maxWidth', contentBox.width)
+        );
+      }
+      
+      // Auto margins share the width the child leaves free, centering it when both are auto
+      let { left } = margins;
+      const freeWidth = Math.max(0, contentBox.width - child.width - margins.left - margins.right);
+      
+      if (margin.left === 'auto') {
+        left += margin.right === 'auto' ? freeWidth / 2 : freeWidth;
+      }
+      
       // Position child
-      child.x = 0;
-      child.y = currentY;
+      child.x = contentBox.x + left;
+      child.y = contentBox.y + currentY + margins.top;
+      
+      // Leaves without an explicit height are as tall as their content
+      if (child.children.length === 0 && this.resolveSize(child.style.height, contentBox.height) === null) {
+        child.height = this.measureHeight(child, child.width);
+      }
       
       // Calculate child layout
-      this.calculate(child, node.width, node.height - currentY);
+      this.layoutChildren(child);
+      
+      // Move to next position, then apply relative offsets, which leave the flow as it is
+      currentY += margins.top + child.height + margins.bottom;
+      this.applyRelativeOffset(child, contentBox);
+    }
+    
+    // Containers without an explicit height grow to fit their children
+    if (node.style.height === 'auto' && node.children.length > 0) {
+      const insets = this.getInsets(node);
       
-      // Move to next position
-      currentY += child.height;
+      node.height = Math.max(node.height, currentY + insets.top + insets.bottom);
     }
   }
   
   /**
    * Calculate flexbox layout
+   * Items are placed by their `order`, broken into lines when flexWrap allows
+   * and sized by flex-grow and flex-shrink within their line. justifyContent
+   * aligns them along the main axis, alignItems (or an item's alignSelf)
+   * across it, and alignContent spreads the lines.
    */
   calculateFlexLayout(node) {
-    const isRow = node.style.flexDirection === 'row';
-    const isWrap = node.style.flexWrap === 'wrap';
+    const isRow = node.style.flexDirection.startsWith('row');
+    const isWrap = node.style.flexWrap !== 'nowrap';
     const gap = node.style.gap || 0;
+    const items = this.getFlexItems(node);
     
     // Get content box (accounting for padding)
-    const contentBox = this.getContentBox(node);
-    const mainSize = isRow ? contentBox.width : contentBox.height;
-    const crossSize = isRow ? contentBox.height : contentBox.width;
+    let contentBox = this.getContentBox(node);
     
     // First pass: calculate base sizes
-    let totalMainSize = 0;
-    let totalGrowFactor = 0;
-    let totalShrinkFactor = 0;
-    
-    for (const child of node.children) {
+    for (const child of items) {
       // Apply constraints to child
       this.applyConstraints(child, contentBox.width, contentBox.height);
       
@@ -191,28 +513,182 @@ export class Layout {
         child.height = contentBox.height * percent;
       }
       
-      const childMainSize = isRow ? child.width : child.height;
-      totalMainSize += childMainSize;
-      totalGrowFactor += child.style.flexGrow || 0;
-      totalShrinkFactor += child.style.flexShrink || 1;
+      // Items start from their flex basis; sizes left automatic come from the content
+      if (isRow) {
+        child.width = this.getFlexBasis(child, isRow, contentBox);
+        
+        if (this.resolveSize(child.style.height, contentBox.height) === null) {
+          child.height = this.measureHeight(child, child.width);
+        }
+      } else {
+        if (this.resolveSize(child.style.width, contentBox.width) === null) {
+          const margins = this.getMargins(child);
+          
+          child.width = this.measureNode(child, contentBox.width - margins.left - margins.right, 'fit-content').width;
+        }
+        
+        child.height = this.getFlexBasis(child, isRow, contentBox);
+      }
+    }
+    
+    // Break items into lines, unless the main size comes from the items
+    const mainSize = isRow ? contentBox.width : contentBox.height;
+    const isDefinite = mainSize > 0 || (isRow ? node.style.width : node.style.height) !== 'auto';
+    const lines = isWrap && isDefinite ? this.breakFlexLines(items, mainSize, isRow, gap) : [items];
+    
+    // Containers without an explicit size grow to fit their lines
+    this.fitFlexContainer(node, lines, isRow, gap);
+    contentBox = this.getContentBox(node);
+    
+    // Second pass: distribute remaining space within each line
+    for (const line of lines) {
+      this.resolveFlexibleLengths(line, contentBox, isRow, gap);
+    }
+    
+    // Third pass: position lines and their items
+    this.positionFlexLines(node, lines, contentBox, isRow, gap);
+    
+    // Hidden children take no space
+    for (const child of node.children) {
+      if (child.style.display === 'none') {
+        this.layoutChildren(child);
+      }
+    }
+  }
+  
+  /**
+   * Get the flex items of a container, sorted by their order style
+   */
+  getFlexItems(node) {
+    return node.children
+      .filter((child) => this.isInFlow(child))
+      .sort((a, b) => (a.style.order || 0) - (b.style.order || 0));
+  }
+  
+  /**
+   * Get the main size a flex item starts from, before growing or shrinking
+   * Numbers and percentages are used as they are. flexBasis 'auto' uses the
+   * item's width (or height), and the content size when that is automatic
+   * too; 'content' and the intrinsic keywords measure the content.
+   */
+  getFlexBasis(child, isRow, contentBox) {
+    const basis = child.style.flexBasis;
+    const size = isRow ? child.style.width : child.style.height;
+    const parentSize = isRow ? contentBox.width : contentBox.height;
+    const basisSize = this.resolveSize(basis, parentSize);
+    
+    if (basisSize !== null) {
+      return this.clampSize(child, isRow ? 'width' : 'height', basisSize);
     }
     
-    // Add gaps to total size
-    if (node.children.length > 1) {
-      totalMainSize += gap * (node.children.length - 1);
+    let mode = 'max-content';
+    
+    if (isIntrinsicSize(basis)) {
+      mode = basis;
+    } else if (basis !== 'content') {
+      if (this.resolveSize(size, parentSize) !== null) {
+        return isRow ? child.width : child.height;
+      }
+      
+      if (isIntrinsicSize(size)) {
+        mode = size;
+      }
+    }
+    
+    let contentSize = isRow
+      ? this.measureContent(child, contentBox.width, mode).width
+      : this.measureContent(child, child.width, 'fit-content').height;
+    
+    if (isRow && mode === 'fit-content') {
+      contentSize = Math.min(contentSize, contentBox.width);
+    }
+    
+    return this.clampSize(child, isRow ? 'width' : 'height', contentSize);
+  }
+  
+  /**
+   * Break flex items into lines no longer than the main size
+   */
+  breakFlexLines(items, mainSize, isRow, gap) {
+    const lines = [];
+    let line = [];
+    let used = 0;
+    
+    for (const child of items) {
+      const size = this.getOuterSize(child, isRow, 'main');
+      
+      if (line.length > 0 && used + gap + size > mainSize) {
+        lines.push(line);
+        line = [];
+        used = 0;
+      }
+      
+      used += (line.length > 0 ? gap : 0) + size;
+      line.push(child);
+    }
+    
+    if (line.length > 0) {
+      lines.push(line);
     }
     
-    // Second pass: distribute remaining space
-    const remainingSpace = mainSize - totalMainSize;
+    return lines;
+  }
+  
+  /**
+   * Get the size of a flex item along the main or cross axis, margins included
+   */
+  getOuterSize(child, isRow, axis) {
+    const margins = this.getMargins(child);
+    
+    return (axis === 'main') === isRow
+      ? child.width + margins.left + margins.right
+      : child.height + margins.top + margins.bottom;
+  }
+  
+  /**
+   * Get the main size of a line of flex items, gaps included
+   */
+  getLineMainSize(line, isRow, gap) {
+    let total = gap * Math.max(0, line.length - 1);
+    
+    for (const child of line) {
+      total += this.getOuterSize(child, isRow, 'main');
+    }
+    
+    return total;
+  }
+  
+  /**
+   * Get the cross size of a line of flex items: that of its largest item
+   */
+  getLineCrossSize(line, isRow) {
+    return Math.max(0, ...line.map((child) => this.getOuterSize(child, isRow, 'cross')));
+  }
+  
+  /**
+   * Grow or shrink the items of a line to fill its main size
+   */
+  resolveFlexibleLengths(line, contentBox, isRow, gap) {
+    const mainSize = isRow ? contentBox.width : contentBox.height;
+    const remainingSpace = mainSize - this.getLineMainSize(line, isRow, gap);
+    let totalGrowFactor = 0;
+    let totalShrinkFactor = 0;
+    
+    for (const child of line) {
+      totalGrowFactor += child.style.flexGrow || 0;
+      totalShrinkFactor += child.style.flexShrink ?? 1;
+    }
     
     if (remainingSpace > 0 && totalGrowFactor > 0) {
       // Distribute positive space according to flex-grow
       const spacePerGrow = remainingSpace / totalGrowFactor;
       
-      for (const child of node.children) {
+      for (const child of line) {
         const growFactor = child.style.flexGrow || 0;
+        
         if (growFactor > 0) {
           const growth = spacePerGrow * growFactor;
+          
           if (isRow) {
             child.width += growth;
           } else {
@@ -224,133 +700,707 @@ export class Layout {
       // Distribute negative space according to flex-shrink
       const spacePerShrink = remainingSpace / totalShrinkFactor;
       
-      for (const child of node.children) {
-        const shrinkFactor = child.style.flexShrink || 1;
+      for (const child of line) {
+        const shrinkFactor = child.style.flexShrink ?? 1;
+        
         if (shrinkFactor > 0) {
           const shrinkage = spacePerShrink * shrinkFactor;
+          
           if (isRow) {
-            child.width = Math.max(0, child.width + shrinkage);
+            child.width = Math.max(this.resolveLimit(child, 'minWidth', contentBox.width), child.width + shrinkage);
           } else {
-            child.height = Math.max(0, child.height + shrinkage);
+            child.height = Math.max(this.resolveLimit(child, 'minHeight', contentBox.height), child.height + shrinkage);
           }
         }
       }
     }
     
-    // Third pass: position children
-    this.positionFlexItems(node, contentBox, isRow, gap);
+    // Content that wraps is as tall as it is at the final width
+    if (isRow) {
+      for (const child of line) {
+        if (this.resolveSize(child.style.height, contentBox.height) === null) {
+          child.height = this.measureHeight(child, child.width);
+        }
+      }
+    }
   }
   
   /**
-   * Position flex items according to justify-content and align-items
+   * Grow a flex container with automatic sizes to fit its lines
    */
-  positionFlexItems(node, contentBox, isRow, gap) {
-    const justifyContent = node.style.justifyContent;
-    const alignItems = node.style.alignItems;
+  fitFlexContainer(node, lines, isRow, gap) {
+    const insets = this.getInsets(node);
+    const horizontal = insets.left + insets.right;
+    const vertical = insets.top + insets.bottom;
+    let mainSize = 0;
+    let crossSize = gap * Math.max(0, lines.length - 1);
     
-    // Calculate total size of all children
-    let totalMainSize = 0;
-    for (const child of node.children) {
-      totalMainSize += isRow ? child.width : child.height;
+    for (const line of lines) {
+      mainSize = Math.max(mainSize, this.getLineMainSize(line, isRow, gap));
+      crossSize += this.getLineCrossSize(line, isRow);
     }
-    totalMainSize += gap * Math.max(0, node.children.length - 1);
-    
-    // Calculate starting position based on justify-content
-    const mainSize = isRow ? contentBox.width : contentBox.height;
-    const remainingSpace = mainSize - totalMainSize;
-    
-    let mainPos = contentBox.x || 0;
-    let spacing = 0;
     
-    switch (justifyContent) {
+    if (node.style.width === 'auto') {
+      node.width = Math.max(node.width, (isRow ? mainSize : crossSize) + horizontal);
+    }
+    if (node.style.height === 'auto') {
+      node.height = Math.max(node.height, (isRow ? crossSize : mainSize) + vertical);
+    }
+  }
+  
+  /**
+   * Get where free space puts the first of count things, and the extra space
+   * between them, for a justifyContent or alignContent value
+   */
+  distributeSpace(mode, freeSpace, count) {
+    switch (mode) {
       case 'center':
-        mainPos += remainingSpace / 2;
-        break;
+        return { offset: freeSpace / 2, spacing: 0 };
       case 'flex-end':
-        mainPos += remainingSpace;
-        break;
+        return { offset: freeSpace, spacing: 0 };
       case 'space-between':
-        if (node.children.length > 1) {
-          spacing = remainingSpace / (node.children.length - 1);
-        }
-        break;
+        return { offset: 0, spacing: count > 1 ? freeSpace / (count - 1) : 0 };
       case 'space-around':
-        spacing = remainingSpace / node.children.length;
-        mainPos += spacing / 2;
-        break;
+        return { offset: freeSpace / count / 2, spacing: freeSpace / count };
       case 'space-evenly':
-        spacing = remainingSpace / (node.children.length + 1);
-        mainPos += spacing;
-        break;
+        return { offset: freeSpace / (count + 1), spacing: freeSpace / (count + 1) };
+      default: // flex-start
+        return { offset: 0, spacing: 0 };
     }
+  }
+  
+  /**
+   * Position the lines of a flex container according to align-content
+   * A single-line container's line spans its whole cross size.
+   */
+  positionFlexLines(node, lines, contentBox, isRow, gap) {
+    const { alignContent } = node.style;
+    const crossStart = isRow ? contentBox.y : contentBox.x;
+    const crossSize = isRow ? contentBox.height : contentBox.width;
+    const lineSizes = node.style.flexWrap === 'nowrap'
+      ? [crossSize]
+      : lines.map((line) => this.getLineCrossSize(line, isRow));
+    let freeSpace = crossSize - gap * Math.max(0, lines.length - 1);
+    
+    for (const size of lineSizes) {
+      freeSpace -= size;
+    }
+    
+    // Stretched lines share the free space
+    const extra = alignContent === 'stretch' && freeSpace > 0 ? freeSpace / lines.length : 0;
+    const { offset, spacing } = this.distributeSpace(alignContent, freeSpace, lines.length);
+    let crossPos = crossStart + offset;
+    
+    lines.forEach((line, index) => {
+      const lineSize = lineSizes[index] + extra;
+      
+      this.positionFlexItems(node, line, contentBox, isRow, gap, { start: crossPos, size: lineSize });
+      crossPos += lineSize + gap + spacing;
+    });
+  }
+  
+  /**
+   * Position the items of a flex line according to justify-content, and
+   * align-items or their align-self
+   * Auto margins take the free space first. Reverse directions and
+   * wrap-reverse mirror the positions along their axis.
+   */
+  positionFlexItems(node, line, contentBox, isRow, gap, crossLine) {
+    const { justifyContent, alignItems } = node.style;
+    const isReverse = node.style.flexDirection.endsWith('-reverse');
+    const isWrapReverse = node.style.flexWrap === 'wrap-reverse';
+    const mainStart = isRow ? contentBox.x : contentBox.y;
+    const mainSize = isRow ? contentBox.width : contentBox.height;
+    const crossStart = isRow ? contentBox.y : contentBox.x;
+    const crossSize = isRow ? contentBox.height : contentBox.width;
+    
+    // Margins on either side of an axis, in the order items are placed along it
+    const sides = (child, horizontal, reverse) => {
+      const margin = this.normalizeMargin(child.style.margin);
+      const pair = horizontal ? [margin.left, margin.right] : [margin.top, margin.bottom];
+      
+      return reverse ? pair.reverse() : pair;
+    };
+    const cells = (value) => (value === 'auto' ? 0 : value);
+    
+    // Auto margins take the free space; justify-content gets what they leave
+    const remainingSpace = mainSize - this.getLineMainSize(line, isRow, gap);
+    const autoMargins = line
+      .flatMap((child) => sides(child, isRow, isReverse))
+      .filter((value) => value === 'auto').length;
+    const autoMarginSize = autoMargins > 0 ? Math.max(0, remainingSpace) / autoMargins : 0;
+    const { offset, spacing } = autoMargins > 0
+      ? { offset: 0, spacing: 0 }
+      : this.distributeSpace(justifyContent, remainingSpace, line.length);
+    const mainMargin = (value) => (value === 'auto' ? autoMarginSize : value);
+    let mainPos = mainStart + offset;
     
     // Position each child
-    for (const child of node.children) {
-      // Main axis positioning
+    for (const child of line) {
+      const [marginStart, marginEnd] = sides(child, isRow, isReverse);
+      const childMainSize = isRow ? child.width : child.height;
+      
+      mainPos += mainMargin(marginStart);
+      
+      const main = isReverse ? 2 * mainStart + mainSize - mainPos - childMainSize : mainPos;
+      
+      mainPos += childMainSize + mainMargin(marginEnd) + gap + spacing;
+      
+      // Cross axis positioning based on align-self, or the container's align-items
+      const [crossMarginStart, crossMarginEnd] = sides(child, !isRow, isWrapReverse);
+      const hasAutoMargin = crossMarginStart === 'auto' || crossMarginEnd === 'auto';
+      const crossMargins = cells(crossMarginStart) + cells(crossMarginEnd);
+      const align = child.style.alignSelf && child.style.alignSelf !== 'auto'
+        ? child.style.alignSelf
+        : alignItems;
+      
+      if (align === 'stretch' && !hasAutoMargin) {
+        if (isRow && child.style.height === 'auto') {
+          child.height = this.clampSize(child, 'height', crossLine.size - crossMargins);
+        } else if (!isRow && child.style.width === 'auto') {
+          child.width = this.clampSize(child, 'width', crossLine.size - crossMargins);
+        }
+      }
+      
+      const childCrossSize = isRow ? child.height : child.width;
+      const freeCross = crossLine.size - childCrossSize - crossMargins;
+      let cross = crossLine.start + cells(crossMarginStart);
+      
+      // Auto margins in the cross axis override alignment
+      if (hasAutoMargin) {
+        if (crossMarginStart === 'auto') {
+          cross += crossMarginEnd === 'auto' ? freeCross / 2 : freeCross;
+        }
+      } else if (align === 'center') {
+        cross += freeCross / 2;
+      } else if (align === 'flex-end') {
+        cross += freeCross;
+      }
+      
+      if (isWrapReverse) {
+        cross = 2 * crossStart + crossSize - cross - childCrossSize;
+      }
+      
       if (isRow) {
-        child.x = mainPos;
-        mainPos += child.width + gap + spacing;
+        child.x = main;
+        child.y = cross;
       } else {
-        child.y = mainPos;
-        mainPos += child.height + gap + spacing;
+        child.x = cross;
+        child.y = main;
       }
       
-      // Cross axis positioning based on align-items
-      const crossSize = isRow ? contentBox.height : contentBox.width;
-      const childCrossSize = isRow ? child.height : child.width;
-      const crossPos = (contentBox.y || 0);
+      this.applyRelativeOffset(child, contentBox);
       
-      switch (alignItems) {
-        case 'center':
-          if (isRow) {
-            child.y = crossPos + (crossSize - childCrossSize) / 2;
-          } else {
-            child.x = crossPos + (crossSize - childCrossSize) / 2;
-          }
-          break;
-        case 'flex-end':
-          if (isRow) {
-            child.y = crossPos + crossSize - childCrossSize;
-          } else {
-            child.x = crossPos + crossSize - childCrossSize;
-          }
-          break;
-        case 'stretch':
-          if (isRow && child.style.height === 'auto') {
-            child.height = crossSize;
-          } else if (!isRow && child.style.width === 'auto') {
-            child.width = crossSize;
+      // Lay out the item's own children within its final size
+      this.layoutChildren(child);
+    }
+  }
+  
+  /**
+   * Calculate grid layout
+   * Items are placed in the cells given by their gridArea (or gridRow and
+   * gridColumn), the rest flow into the free cells row by row. Columns are
+   * sized first, then rows at the item widths those columns give. Items are
+   * aligned in their area by justifyItems and alignItems (or their own
+   * justifySelf and alignSelf), and the tracks in the container by
+   * justifyContent and alignContent.
+   */
+  calculateGridLayout(node) {
+    const grid = this.placeGridItems(node);
+    const columnGap = node.style.columnGap ?? node.style.gap ?? 0;
+    const rowGap = node.style.rowGap ?? node.style.gap ?? 0;
+    let contentBox = this.getContentBox(node);
+    
+    // Sizes that come from the items leave the tracks to their content
+    const hasWidth = contentBox.width > 0 || node.style.width !== 'auto';
+    const hasHeight = contentBox.height > 0 || node.style.height !== 'auto';
+    const columns = this.sizeGridColumns(node, grid, hasWidth ? contentBox.width : Infinity);
+    const rows = this.sizeGridRows(node, grid, columns, hasHeight ? contentBox.height : Infinity);
+    
+    // Containers without an explicit size grow to fit their tracks
+    const insets = this.getInsets(node);
+    
+    if (node.style.width === 'auto') {
+      node.width = Math.max(node.width, getSpanSize(columns, { start: 0, span: columns.length }, columnGap) + insets.left + insets.right);
+    }
+    if (node.style.height === 'auto') {
+      node.height = Math.max(node.height, getSpanSize(rows, { start: 0, span: rows.length }, rowGap) + insets.top + insets.bottom);
+    }
+    
+    contentBox = this.getContentBox(node);
+    
+    const columnStarts = this.getGridTrackStarts(columns, columnGap, contentBox.x, contentBox.width, node.style.justifyContent);
+    const rowStarts = this.getGridTrackStarts(rows, rowGap, contentBox.y, contentBox.height, node.style.alignContent);
+    const alignOffset = (mode, freeSpace) => ({ center: freeSpace / 2, end: freeSpace, 'flex-end': freeSpace })[mode] ?? 0;
+    
+    for (const item of grid.items) {
+      const child = item.node;
+      const margins = this.getMargins(child);
+      const lastColumn = item.column.start + item.column.span - 1;
+      const lastRow = item.row.start + item.row.span - 1;
+      const area = {
+        x: columnStarts[item.column.start],
+        y: rowStarts[item.row.start],
+        width: columnStarts[lastColumn] + columns[lastColumn] - columnStarts[item.column.start],
+        height: rowStarts[lastRow] + rows[lastRow] - rowStarts[item.row.start],
+      };
+      const justify = child.style.justifySelf === 'auto' ? node.style.justifyItems : child.style.justifySelf;
+      const align = child.style.alignSelf && child.style.alignSelf !== 'auto'
+        ? child.style.alignSelf
+        : node.style.alignItems;
+      
+      child.width = this.getGridItemWidth(node, child, area.width);
+      child.height = align === 'stretch' && child.style.height === 'auto'
+        ? this.clampSize(child, 'height', area.height - margins.top - margins.bottom)
+        : this.clampSize(child, 'height', this.resolveSize(child.style.height, area.height) ?? this.measureHeight(child, child.width));
+      
+      child.x = area.x + margins.left + alignOffset(justify, area.width - child.width - margins.left - margins.right);
+      child.y = area.y + margins.top + alignOffset(align, area.height - child.height - margins.top - margins.bottom);
+      
+      this.applyRelativeOffset(child, contentBox);
+      this.layoutChildren(child);
+    }
+    
+    // Hidden children take no space
+    for (const child of node.children) {
+      if (child.style.display === 'none') {
+        this.layoutChildren(child);
+      }
+    }
+  }
+  
+  /**
+   * Place the items of a grid container in its rows and columns
+   * Returns { items, columns, rows }: each item with its 0-based row and
+   * column { start, span }, and the track sizes of each axis. Items with a
+   * definite row and column are placed first; the others take the first
+   * cells that are free after the previous one, adding rows as needed.
+   */
+  placeGridItems(node) {
+    const areas = parseGridAreas(node.style.gridTemplateAreas);
+    const columns = parseGridTracks(node.style.gridTemplateColumns);
+    const rows = parseGridTracks(node.style.gridTemplateRows);
+    const explicitColumns = Math.max(columns.length, areas.columns);
+    const explicitRows = Math.max(rows.length, areas.rows);
+    
+    // Grid items are placed in order, like flex items
+    const items = this.getFlexItems(node).map((child) => ({
+      node: child,
+      row: this.getGridPlacement(child, 'row', areas, explicitRows),
+      column: this.getGridPlacement(child, 'column', areas, explicitColumns),
+    }));
+    let columnCount = Math.max(1, explicitColumns, ...items.map((item) => (item.column.start ?? 0) + item.column.span));
+    const occupied = new Set();
+    const isFree = (row, column, item) => {
+      for (let r = row; r < row + item.row.span; r++) {
+        for (let c = column; c < column + item.column.span; c++) {
+          if (occupied.has(`${r},${c}`)) {
+            return false;
           }
-          if (isRow) {
-            child.y = crossPos;
+        }
+      }
+      
+      return true;
+    };
+    const occupy = (item) => {
+      for (let r = item.row.start; r < item.row.start + item.row.span; r++) {
+        for (let c = item.column.start; c < item.column.start + item.column.span; c++) {
+          occupied.add(`${r},${c}`);
+        }
+      }
+    };
+    const isPlaced = (item) => item.row.start !== null && item.column.start !== null;
+    
+    items.filter(isPlaced).forEach(occupy);
+    
+    let cursor = { row: 0, column: 0 };
+    
+    for (const item of items.filter((entry) => !isPlaced(entry))) {
+      if (item.row.start !== null) {
+        // Items locked to a row take its first free columns, adding columns if none are
+        let column = 0;
+        
+        while (!isFree(item.row.start, column, item)) {
+          column++;
+        }
+        
+        item.column.start = column;
+        columnCount = Math.max(columnCount, column + item.column.span);
+      } else {
+        const isColumnFixed = item.column.start !== null;
+        let { row, column } = cursor;
+        
+        if (isColumnFixed) {
+          row += item.column.start < column ? 1 : 0;
+          column = item.column.start;
+        }
+        
+        while (!isFree(row, column, item) || column + item.column.span > columnCount) {
+          if (isColumnFixed || column + item.column.span >= columnCount) {
+            row++;
+            column = isColumnFixed ? column : 0;
           } else {
-            child.x = crossPos;
+            column++;
           }
-          break;
-        default: // flex-start
-          if (isRow) {
-            child.y = crossPos;
-          } else {
-            child.x = crossPos;
+        }
+        
+        item.row.start = row;
+        item.column.start = column;
+        cursor = { row, column: column + item.column.span };
+      }
+      
+      occupy(item);
+    }
+    
+    const rowCount = Math.max(explicitRows, ...items.map((item) => item.row.start + item.row.span));
+    
+    // Tracks beyond the template are sized by gridAutoColumns and gridAutoRows
+    const addImplicitTracks = (tracks, count, autoTracks) => {
+      const pattern = autoTracks.length > 0 ? autoTracks : parseGridTracks('auto');
+      
+      for (let index = 0; tracks.length < count; index++) {
+        tracks.push(pattern[index % pattern.length]);
+      }
+      
+      return tracks;
+    };
+    
+    return {
+      items,
+      columns: addImplicitTracks(columns, columnCount, parseGridTracks(node.style.gridAutoColumns)),
+      rows: addImplicitTracks(rows, rowCount, parseGridTracks(node.style.gridAutoRows)),
+    };
+  }
+  
+  /**
+   * Get where a grid item goes along one axis: { start, span } with a 0-based
+   * start line, or a null start to place it automatically
+   * Lines count from 1, negative lines from the end of the explicit grid, and
+   * area names stand for the lines around the area.
+   */
+  getGridPlacement(child, axis, areas, explicitCount) {
+    const { gridArea } = child.style;
+    let value = axis === 'row' ? child.style.gridRow : child.style.gridColumn;
+    
+    if (gridArea && typeof gridArea === 'object') {
+      const span = gridArea[`${axis}Span`] ?? 1;
+      
+      value = gridArea[axis] === undefined ? `span ${span}` : `${gridArea[axis]} / span ${span}`;
+    } else if (typeof gridArea === 'string' && gridArea !== 'auto') {
+      // 'row-start / column-start / row-end / column-end'
+      const parts = gridArea.split('/').map((part) => part.trim());
+      
+      value = parts.length === 1
+        ? parts[0]
+        : [parts[axis === 'row' ? 0 : 1], parts[axis === 'row' ? 2 : 3]].filter(Boolean).join(' / ');
+    }
+    
+    if (typeof value === 'number') {
+      value = String(value);
+    }
+    if (typeof value !== 'string' || value === 'auto') {
+      return { start: null, span: 1 };
+    }
+    
+    const [first, second] = value.split('/').map((part) => part.trim());
+    const getSpan = (part) => (/^span\s+\d+$/.test(part) ? parseInt(part.slice(4), 10) : null);
+    const getLine = (part, edge) => {
+      if (/^-?\d+$/.test(part)) {
+        const line = parseInt(part, 10);
+        
+        return Math.max(0, line < 0 ? explicitCount + 1 + line : line - 1);
+      }
+      
+      const area = areas.names.get(part);
+      
+      if (area) {
+        return area[axis][edge];
+      }
+      
+      // 'name-start' and 'name-end' pick one edge of an area
+      const [, name, suffix] = part.match(/^(.+)-(start|end)$/) ?? [];
+      
+      return areas.names.get(name)?.[axis][suffix] ?? null;
+    };
+    const startSpan = getSpan(first);
+    const endSpan = second === undefined ? null : getSpan(second);
+    const start = startSpan === null ? getLine(first, 'start') : null;
+    let end = null;
+    
+    if (second === undefined) {
+      // An area name on its own covers the whole area
+      end = areas.names.has(first) ? getLine(first, 'end') : null;
+    } else if (endSpan === null) {
+      end = getLine(second, 'end');
+    }
+    
+    if (start !== null && end !== null) {
+      return { start: Math.min(start, end), span: Math.max(1, Math.abs(end - start)) };
+    }
+    if (start !== null) {
+      return { start, span: endSpan ?? 1 };
+    }
+    if (end !== null) {
+      const span = startSpan ?? 1;
+      
+      return { start: Math.max(0, end - span), span };
+    }
+    
+    return { start: null, span: startSpan ?? endSpan ?? 1 };
+  }
+  
+  /**
+   * Size the columns of a grid within an available width (Infinity when the
+   * grid is as wide as its content)
+   */
+  sizeGridColumns(node, grid, availableWidth, mode = 'max-content') {
+    const gap = node.style.columnGap ?? node.style.gap ?? 0;
+    
+    return this.sizeGridTracks(grid.columns, grid.items, 'column', availableWidth, gap, (item, contentMode) => {
+      const margins = this.getMargins(item.node);
+      const size = this.measureNode(item.node, Infinity, mode === 'min-content' ? mode : contentMode);
+      
+      return size.width + margins.left + margins.right;
+    });
+  }
+  
+  /**
+   * Size the rows of a grid, each item being as tall as it is at the width
+   * of its columns
+   */
+  sizeGridRows(node, grid, columns, availableHeight) {
+    const columnGap = node.style.columnGap ?? node.style.gap ?? 0;
+    const gap = node.style.rowGap ?? node.style.gap ?? 0;
+    
+    return this.sizeGridTracks(grid.rows, grid.items, 'row', availableHeight, gap, (item) => {
+      const margins = this.getMargins(item.node);
+      const width = this.getGridItemWidth(node, item.node, getSpanSize(columns, item.column, columnGap));
+      
+      return this.measureHeight(item.node, width) + margins.top + margins.bottom;
+    });
+  }
+  
+  /**
+   * Size the tracks of one grid axis
+   * Fixed and percentage sizes are used as they are, and intrinsic sizes
+   * (auto, min-content, max-content) grow to fit the items in them. fr
+   * tracks share what is left of the available size, or fit their content
+   * when there is no available size. Without fr tracks, auto tracks stretch
+   * into the space left over. contribution(item, mode) gives the size an
+   * item needs along the axis for 'min-content' or 'max-content'.
+   */
+  sizeGridTracks(tracks, items, axis, availableSize, gap, contribution) {
+    const isDefinite = Number.isFinite(availableSize);
+    const gaps = gap * Math.max(0, tracks.length - 1);
+    const sizes = tracks.map((track) => {
+      const flex = getFlexFraction(track.max);
+      const min = this.resolveSize(track.min, availableSize);
+      const max = flex > 0 ? null : this.resolveSize(track.max, availableSize);
+      
+      return {
+        track,
+        flex,
+        base: min ?? 0,
+        limit: max ?? (flex > 0 ? Infinity : 0),
+        content: 0,
+        // Which content size an intrinsic minimum or maximum follows
+        minMode: min === null ? (track.min === 'max-content' ? 'max-content' : 'min-content') : null,
+        maxMode: max === null && flex === 0 ? (track.max === 'min-content' ? 'min-content' : 'max-content') : null,
+      };
+    });
+    
+    // Items in a single track size it first, then items spanning more tracks
+    // share what they need beyond those tracks among the intrinsic ones
+    for (const item of [...items].sort((a, b) => a[axis].span - b[axis].span)) {
+      const spanned = sizes.slice(item[axis].start, item[axis].start + item[axis].span);
+      
+      if (spanned.length === 1) {
+        const [size] = spanned;
+        
+        if (size.minMode) {
+          size.base = Math.max(size.base, contribution(item, size.minMode));
+        }
+        if (size.maxMode) {
+          size.limit = Math.max(size.limit, contribution(item, size.maxMode));
+        }
+        if (size.flex > 0) {
+          size.content = Math.max(size.content, contribution(item, 'max-content'));
+        }
+        continue;
+      }
+      
+      const spannedGaps = gap * (spanned.length - 1);
+      const growable = spanned.filter((size) => size.minMode);
+      const extra = contribution(item, 'min-content') - spannedGaps - sum(spanned.map((size) => size.base));
+      
+      for (const size of growable) {
+        size.base += Math.max(0, extra) / growable.length;
+      }
+      
+      const stretchable = spanned.filter((size) => size.maxMode);
+      const extraLimit = contribution(item, 'max-content') - spannedGaps - sum(spanned.map((size) => Math.max(size.base, size.limit)));
+      
+      for (const size of stretchable) {
+        size.limit += Math.max(0, extraLimit) / stretchable.length;
+      }
+    }
+    
+    for (const size of sizes) {
+      size.limit = Math.max(size.limit, size.base);
+    }
+    
+    const getFreeSpace = () => availableSize - gaps - sum(sizes.map((size) => size.base));
+    const flexible = sizes.filter((size) => size.flex > 0);
+    
+    // Grow tracks towards their maximum while there is space
+    if (isDefinite) {
+      this.growGridTracks(sizes.filter((size) => size.flex === 0), getFreeSpace(), (size) => size.limit);
+    }
+    
+    if (flexible.length > 0) {
+      let frSize = 0;
+      
+      if (isDefinite) {
+        // Tracks whose content is larger than their share keep their size,
+        // and the others split what remains
+        let active = flexible;
+        
+        for (;;) {
+          const inactive = sizes.filter((size) => !active.includes(size));
+          const leftover = availableSize - gaps - sum(inactive.map((size) => size.base));
+          
+          frSize = Math.max(0, leftover) / Math.max(1, sum(active.map((size) => size.flex)));
+          
+          const fixed = active.filter((size) => size.base > size.flex * frSize);
+          
+          if (fixed.length === 0) {
+            break;
           }
+          
+          active = active.filter((size) => !fixed.includes(size));
+        }
+      } else {
+        frSize = Math.max(...flexible.map((size) => Math.max(size.base, size.content) / Math.max(1, size.flex)));
+      }
+      
+      for (const size of flexible) {
+        size.base = Math.max(size.base, size.flex * frSize);
+      }
+    } else if (isDefinite) {
+      this.growGridTracks(sizes.filter((size) => size.track.max === 'auto'), getFreeSpace(), () => Infinity);
+    }
+    
+    return sizes.map((size) => size.base);
+  }
+  
+  /**
+   * Share free space equally among grid tracks, none growing past limit(size)
+   */
+  growGridTracks(sizes, freeSpace, limit) {
+    let remaining = freeSpace;
+    let growable = sizes.filter((size) => limit(size) > size.base);
+    
+    while (remaining > 1e-9 && growable.length > 0) {
+      const share = remaining / growable.length;
+      
+      for (const size of growable) {
+        const growth = Math.min(share, limit(size) - size.base);
+        
+        size.base += growth;
+        remaining -= growth;
       }
       
-      // Recursively calculate children
-      this.calculate(child, child.width, child.height);
+      growable = growable.filter((size) => limit(size) > size.base);
+    }
+  }
+  
+  /**
+   * Get where each track of a grid axis starts, with the tracks spread by a
+   * justifyContent or alignContent value
+   */
+  getGridTrackStarts(sizes, gap, start, availableSize, mode) {
+    const freeSpace = availableSize - getSpanSize(sizes, { start: 0, span: sizes.length }, gap);
+    const { offset, spacing } = this.distributeSpace(mode, freeSpace, sizes.length);
+    const starts = [];
+    let position = start + offset;
+    
+    for (const size of sizes) {
+      starts.push(position);
+      position += size + gap + spacing;
+    }
+    
+    return starts;
+  }
+  
+  /**
+   * Get the width of a grid item in an area of its grid
+   * Items with an automatic width stretch across the area, unless justified
+   * otherwise; then they fit their content.
+   */
+  getGridItemWidth(node, child, areaWidth) {
+    const margins = this.getMargins(child);
+    const justify = child.style.justifySelf === 'auto' ? node.style.justifyItems : child.style.justifySelf;
+    
+    if (justify === 'stretch' && child.style.width === 'auto') {
+      return this.clampSize(child, 'width', areaWidth - margins.left - margins.right);
+    }
+    
+    const width = this.resolveSize(child.style.width, areaWidth);
+    
+    return width === null
+      ? this.measureNode(child, areaWidth - margins.left - margins.right, 'fit-content').width
+      : this.clampSize(child, 'width', width);
+  }
+  
+  /**
+   * Measure the content of a grid within an available width
+   */
+  measureGrid(node, availableWidth, mode) {
+    const grid = this.placeGridItems(node);
+    const columnGap = node.style.columnGap ?? node.style.gap ?? 0;
+    const rowGap = node.style.rowGap ?? node.style.gap ?? 0;
+    let columns = this.sizeGridColumns(node, grid, Infinity, mode);
+    
+    // Grids wider than the space they have fit into it
+    if (mode === 'fit-content' && getSpanSize(columns, { start: 0, span: columns.length }, columnGap) > availableWidth) {
+      columns = this.sizeGridColumns(node, grid, availableWidth, mode);
     }
+    
+    const rows = this.sizeGridRows(node, grid, columns, Infinity);
+    
+    return {
+      width: getSpanSize(columns, { start: 0, span: columns.length }, columnGap),
+      height: getSpanSize(rows, { start: 0, span: rows.length }, rowGap),
+    };
   }
   
   /**
-   * Get content box (inner dimensions after padding)
+   * Get content box (inner dimensions after padding and border)
    */
   getContentBox(node) {
+    const insets = this.getInsets(node);
+    
+    return {
+      x: insets.left,
+      y: insets.top,
+      width: Math.max(0, node.width - insets.left - insets.right),
+      height: Math.max(0, node.height - insets.top - insets.bottom),
+    };
+  }
+  
+  /**
+   * Get the space between a node's edges and its content: padding, plus one
+   * cell per side for a border
+   */
+  getInsets(node) {
     const padding = this.normalizePadding(node.style.padding);
+    const border = node.style.border ? 1 : 0;
     
     return {
-      x: padding.left,
-      y: padding.top,
-      width: Math.max(0, node.width - padding.left - padding.right),
-      height: Math.max(0, node.height - padding.top - padding.bottom),
+      top: padding.top + border,
+      right: padding.right + border,
+      bottom: padding.bottom + border,
+      left: padding.left + border,
     };
   }
   
@@ -358,7 +1408,7 @@ export class Layout {
    * Get outer box (dimensions including margin)
    */
   getOuterBox(node) {
-    const margin = this.normalizeMargin(node.style.margin);
+    const margin = this.getMargins(node);
     
     return {
       x: node.x - margin.left,
@@ -368,6 +1418,173 @@ export class Layout {
     };
   }
   
+  /**
+   * Get the margins of a node in cells, auto margins counting as 0
+   */
+  getMargins(node) {
+    const margin = this.normalizeMargin(node.style.margin);
+    const cells = (value) => (value === 'auto' ? 0 : value);
+    
+    return {
+      top: cells(margin.top),
+      right: cells(margin.right),
+      bottom: cells(margin.bottom),
+      left: cells(margin.left),
+    };
+  }
+  
+  /**
+   * Measure the size a node asks for: { width, height }, padding included
+   * Explicit sizes are used as they are; automatic ones come from the content.
+   * mode is 'max-content' (content on as few lines as it takes), 'min-content'
+   * (as narrow as the content can get) or 'fit-content' (max-content, but no
+   * wider than availableWidth). Leaves are measured by their measure()
+   * function and containers from their children.
+   */
+  measureNode(node, availableWidth = Infinity, mode = 'fit-content') {
+    if (node.style.display === 'none') {
+      return { width: 0, height: 0 };
+    }
+    
+    let width = this.resolveSize(node.style.width, availableWidth);
+    
+    if (width === null) {
+      const contentMode = isIntrinsicSize(node.style.width) ? node.style.width : mode;
+      
+      ({ width } = this.measureContent(node, availableWidth, contentMode));
+      
+      if (contentMode === 'fit-content') {
+        width = Math.min(width, availableWidth);
+      }
+    }
+    
+    width = this.clampSize(node, 'width', width);
+    
+    return { width, height: this.measureHeight(node, width) };
+  }
+  
+  /**
+   * Measure the height of a node laid out at a width
+   */
+  measureHeight(node, width) {
+    if (node.style.display === 'none') {
+      return 0;
+    }
+    
+    const height = typeof node.style.height === 'number'
+      ? node.style.height
+      : this.measureContent(node, width, 'fit-content').height;
+    
+    return this.clampSize(node, 'height', height);
+  }
+  
+  /**
+   * Measure the content of a node within an available width, padding included
+   */
+  measureContent(node, availableWidth, mode) {
+    const insets = this.getInsets(node);
+    const horizontal = insets.left + insets.right;
+    const vertical = insets.top + insets.bottom;
+    const innerWidth = Math.max(0, availableWidth - horizontal);
+    const children = node.children.filter((child) => this.isInFlow(child));
+    let width = 0;
+    let height = 0;
+    
+    if (children.length === 0) {
+      if (node.measure) {
+        ({ width, height } = node.measure(innerWidth, mode));
+      }
+    } else if (node.style.display === 'grid') {
+      ({ width, height } = this.measureGrid(node, innerWidth, mode));
+    } else {
+      // Children take up their size plus their margins
+      const sizes = children.map((child) => {
+        const margins = this.getMargins(child);
+        const size = this.measureNode(child, innerWidth - margins.left - margins.right, mode);
+        
+        return {
+          width: size.width + margins.left + margins.right,
+          height: size.height + margins.top + margins.bottom,
+        };
+      });
+      const widths = sizes.map((size) => size.width);
+      const heights = sizes.map((size) => size.height);
+      
+      if (node.style.display === 'flex') {
+        const gaps = (node.style.gap || 0) * (children.length - 1);
+        const isRow = node.style.flexDirection.startsWith('row');
+        const isWrap = node.style.flexWrap !== 'nowrap';
+        
+        // At its narrowest, a wrapping row puts each item on a line of its own
+        if (isRow && isWrap && mode === 'min-content') {
+          width = Math.max(...widths);
+          height = sum(heights) + gaps;
+        } else {
+          width = isRow ? sum(widths) + gaps : Math.max(...widths);
+          height = isRow ? Math.max(...heights) : sum(heights) + gaps;
+        }
+      } else {
+        width = Math.max(...widths);
+        height = sum(heights);
+      }
+    }
+    
+    return { width: width + horizontal, height: height + vertical };
+  }
+  
+  /**
+   * Resolve a width or height style to cells
+   * Numbers are used as they are and percentages of a known parent size are
+   * resolved; null means the size comes from the content.
+   */
+  resolveSize(value, parentSize) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    
+    if (typeof value === 'string' && value.endsWith('%') && Number.isFinite(parentSize)) {
+      return parentSize * parseFloat(value) / 100;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Resolve a min/max size style (minWidth, maxHeight...) to cells
+   * Intrinsic keywords measure the node, so minWidth: 'min-content' keeps an
+   * item from shrinking narrower than its content.
+   */
+  resolveLimit(node, property, parentSize = null) {
+    const value = node.style[property];
+    const isWidth = property.endsWith('Width');
+    
+    if (isIntrinsicSize(value)) {
+      return isWidth
+        ? this.measureNode(node, parentSize ?? Infinity, value).width
+        : this.measureHeight(node, node.width);
+    }
+    
+    return this.resolveSize(value, parentSize) ?? (property.startsWith('min') ? 0 : Infinity);
+  }
+  
+  /**
+   * Clamp a size between the numeric min and max sizes of a node
+   */
+  clampSize(node, axis, size) {
+    const min = axis === 'width' ? node.style.minWidth : node.style.minHeight;
+    const max = axis === 'width' ? node.style.maxWidth : node.style.maxHeight;
+    let result = size;
+    
+    if (typeof min === 'number') {
+      result = Math.max(result, min);
+    }
+    if (typeof max === 'number') {
+      result = Math.min(result, max);
+    }
+    
+    return result;
+  }
+  
   /**
    * Apply size constraints to a node
    */
@@ -380,6 +1597,8 @@ export class Layout {
       node.width = parentWidth * percent;
     } else if (typeof style.width === 'number') {
       node.width = style.width;
+    } else if (isIntrinsicSize(style.width)) {
+      node.width = this.measureNode(node, parentWidth ?? Infinity, style.width).width;
     }
     
     if (typeof style.height === 'string' && style.height.endsWith('%') && parentHeight) {
@@ -387,21 +1606,19 @@ export class Layout {
       node.height = parentHeight * percent;
     } else if (typeof style.height === 'number') {
       node.height = style.height;
+    } else if (isIntrinsicSize(style.height)) {
+      node.height = this.measureHeight(node, node.width);
     }
     
     // Apply min/max constraints
-    if (style.minWidth) {
-      node.width = Math.max(node.width, style.minWidth);
-    }
-    if (style.maxWidth && style.maxWidth !== Infinity) {
-      node.width = Math.min(node.width, style.maxWidth);
-    }
-    if (style.minHeight) {
-      node.height = Math.max(node.height, style.minHeight);
-    }
-    if (style.maxHeight && style.maxHeight !== Infinity) {
-      node.height = Math.min(node.height, style.maxHeight);
-    }
+    node.width = Math.min(
+      Math.max(node.width, this.resolveLimit(node, 'minWidth', parentWidth)),
+      this.resolveLimit(node, 'maxWidth', parentWidth)
+    );
+    node.height = Math.min(
+      Math.max(node.height, this.resolveLimit(node, 'minHeight', parentHeight)),
+      this.resolveLimit(node, 'maxHeight', parentHeight)
+    );
   }
   
   /**
@@ -426,7 +1643,22 @@ export class Layout {
    * Normalize margin value to object
    */
   normalizeMargin(margin) {
-    return this.normalizePadding(margin); // Same logic
+    if (margin === 'auto') {
+      return { top: 'auto', right: 'auto', bottom: 'auto', left: 'auto' };
+    }
+    
+    const normalized = this.normalizePadding(margin);
+    
+    // Sides set to 'auto' take a share of the free space (see calculateBlockLayout)
+    if (margin && typeof margin === 'object') {
+      for (const side of ['top', 'right', 'bottom', 'left']) {
+        if (margin[side] === 'auto') {
+          normalized[side] = 'auto';
+        }
+      }
+    }
+    
+    return normalized;
   }
 }
 
@@ -434,19 +1666,22 @@ export class Layout {
  * Helper function to create a layout tree from component tree
  */
 export function createLayoutTree(component) {
-  const node = new LayoutNode(component.style || {});
+  const node = new LayoutNode(component?.style ?? component?.props?.style ?? {});
+  
+  node.component = component;
+  node.element = component;
   
-  if (component.children) {
+  if (component?.children) {
     const children = Array.isArray(component.children) 
       ? component.children 
       : [component.children];
     
     for (const child of children) {
-      if (child) {
+      if (child !== null && child !== undefined && child !== false) {
         node.appendChild(createLayoutTree(child));
       }
     }
   }
   
   return node;
-}
\ No newline at end of file
+}
@@ -0,0 +1,337 @@
+/**
+ * Paint - Draws a computed layout tree into a screen buffer
+ * Each node is painted into the rectangle the layout engine allocated for it
+ */
+
+import { applyStyle, box as boxChars, style as ansiStyle } from './utils/ansi.js';
+import { stringWidth } from './utils/buffer.js';
+
+/**
+ * Get the style object of an element description
+ */
+export function getElementStyle(element) {
+  if (!element || typeof element !== 'object') {
+    return {};
+  }
+
+  return element.style ?? element.props?.style ?? {};
+}
+
+/**
+ * Get the children of an element description as an array
+ */
+export function getElementChildren(element) {
+  if (!element || typeof element !== 'object') {
+    return [];
+  }
+
+  const children = element.children ?? element.props?.children ?? [];
+
+  return (Array.isArray(children) ? children : [children]).filter(
+    (child) => child !== null && child !== undefined && child !== false
+  );
+}
+
+/**
+ * Check whether an element lays out its children (as opposed to drawing itself)
+ */
+export function isContainer(element) {
+  return !!element && typeof element === 'object' && element.type === 'box';
+}
+
+/**
+ * Get the text content drawn by a leaf element
+ */
+export function getElementContent(element) {
+  if (element === null || element === undefined || element === false) {
+    return '';
+  }
+
+  if (typeof element === 'string' || typeof element === 'number') {
+    return String(element);
+  }
+
+  if (typeof element.render === 'function') {
+    const rendered = element.render();
+
+    return typeof rendered === 'string' ? rendered : '';
+  }
+
+  if (element.type === 'text') {
+    return String(element.content ?? getElementChildren(element).join(''));
+  }
+
+  return getElementChildren(element)
+    .filter((child) => typeof child === 'string' || typeof child === 'number')
+    .join('');
+}
+
+/**
+ * Give leaf nodes their content and a measure function for the layout engine
+ * Elements can size themselves with a measure(availableWidth, mode) method;
+ * the rest measure the lines of their text.
+ */
+export function measureTree(node) {
+  if (node.children.length > 0 || isContainer(node.element)) {
+    for (const child of node.children) {
+      measureTree(child);
+    }
+
+    return;
+  }
+
+  node.content = getElementContent(node.element);
+
+  if (typeof node.element?.measure === 'function') {
+    node.measure = (availableWidth, mode) => node.element.measure(availableWidth, mode);
+
+    return;
+  }
+
+  const lines = node.content === '' ? [] : node.content.split('\n');
+  const size = {
+    width: Math.max(0, ...lines.map((line) => stringWidth(line))),
+    height: lines.length,
+  };
+
+  node.measure = () => size;
+}
+
+/**
+ * Get the rectangle a node covers on screen, snapped to the cell grid
+ */
+function getScreenRect(node, originX, originY) {
+  const x = Math.round(originX + node.x);
+  const y = Math.round(originY + node.y);
+
+  return {
+    x,
+    y,
+    width: Math.round(originX + node.x + node.width) - x,
+    height: Math.round(originY + node.y + node.height) - y,
+  };
+}
+
+/**
+ * Intersect two rectangles
+ */
+function intersect(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+
+  return { x, y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+}
+
+/**
+ * Paint a border around a rectangle
+ */
+function paintBorder(buffer, rect, style, clip) {
+  const { x, y, width, height } = rect;
+
+  if (width < 2 || height < 2) {
+    return;
+  }
+
+  const chars = boxChars[style.border] || boxChars.single;
+  const color = ansiStyle[style.borderColor];
+  const draw = (text) => (color ? applyStyle(text, color) : text);
+  const inner = chars.horizontal.repeat(width - 2);
+
+  buffer.writeText(x, y, draw(chars.topLeft + inner + chars.topRight), { clip });
+  buffer.writeText(x, y + height - 1, draw(chars.bottomLeft + inner + chars.bottomRight), { clip });
+
+  for (let row = y + 1; row < y + height - 1; row++) {
+    buffer.writeText(x, row, draw(chars.vertical), { clip });
+    buffer.writeText(x + width - 1, row, draw(chars.vertical), { clip });
+  }
+}
+
+/**
+ * Check whether a node paints on a layer of its own (see paintTree)
+ */
+function isLayer(node) {
+  return node.style.position === 'relative' || node.style.position === 'absolute';
+}
+
+/**
+ * Get the clip rectangle a node gives its children
+ * Hidden overflow clips them to the node, and a border keeps them off it.
+ */
+function getChildClip(node, rect, clip) {
+  if (getElementStyle(node.element).border) {
+    return intersect({ x: rect.x + 1, y: rect.y + 1, width: rect.width - 2, height: rect.height - 2 }, clip);
+  }
+
+  return node.style.overflow === 'hidden' ? intersect(rect, clip) : clip;
+}
+
+/**
+ * Collect the layers of a tree, bottom first
+ * The root is a layer at zIndex 0; so is every relatively or absolutely
+ * positioned node, at its own zIndex. Layers with a lower zIndex are below,
+ * equal ones keep tree order. Each layer is { node, originX, originY, clip }.
+ */
+function getLayers(root, originX, originY, bounds) {
+  const layers = [{ node: root, originX, originY, clip: bounds, zIndex: 0 }];
+
+  const visit = (node, nodeOriginX, nodeOriginY, clip, containerClip) => {
+    if (node.style.display === 'none') {
+      return;
+    }
+
+    const childClip = getChildClip(node, getScreenRect(node, nodeOriginX, nodeOriginY), clip);
+    const childOriginX = nodeOriginX + node.x;
+    const childOriginY = nodeOriginY + node.y;
+
+    // Positioned nodes clip their absolutely positioned descendants like their children
+    const absoluteClip = isLayer(node) || node === root ? childClip : containerClip;
+
+    for (const child of node.children) {
+      const ownClip = child.style.position === 'absolute' ? absoluteClip : childClip;
+
+      if (isLayer(child)) {
+        layers.push({
+          node: child,
+          originX: childOriginX,
+          originY: childOriginY,
+          clip: ownClip,
+          zIndex: Number(child.style.zIndex) || 0,
+        });
+      }
+
+      visit(child, childOriginX, childOriginY, ownClip, absoluteClip);
+    }
+  };
+
+  visit(root, originX, originY, bounds, bounds);
+
+  return layers.sort((a, b) => a.zIndex - b.zIndex);
+}
+
+/**
+ * Find the nodes under a screen position
+ * Returns the path from the root to the deepest node containing the point,
+ * each entry being { node, rect }. Higher layers (see paintTree) and later
+ * siblings are on top.
+ */
+export function hitTest(node, pointX, pointY, originX = 0, originY = 0) {
+  if (!node || node.style.display === 'none') {
+    return [];
+  }
+
+  // Layers are only needed for their order and origins here, so nothing is clipped
+  const layers = getLayers(node, originX, originY, { x: 0, y: 0, width: Infinity, height: Infinity });
+
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const layer = layers[i];
+    const path = hitTestLayer(layer.node, pointX, pointY, layer.originX, layer.originY);
+
+    if (path.length > 0) {
+      // Lead the path with the layer's ancestors
+      const ancestors = [];
+      let ancestorOriginX = layer.originX;
+      let ancestorOriginY = layer.originY;
+
+      for (let ancestor = layer.node; ancestor !== node; ancestor = ancestor.parent) {
+        ancestorOriginX -= ancestor.parent.x;
+        ancestorOriginY -= ancestor.parent.y;
+        ancestors.unshift({
+          node: ancestor.parent,
+          rect: getScreenRect(ancestor.parent, ancestorOriginX, ancestorOriginY),
+        });
+      }
+
+      return [...ancestors, ...path];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Find the nodes of one layer under a screen position
+ */
+function hitTestLayer(node, pointX, pointY, originX, originY) {
+  if (node.style.display === 'none') {
+    return [];
+  }
+
+  const rect = getScreenRect(node, originX, originY);
+  const inside =
+    pointX >= rect.x &&
+    pointY >= rect.y &&
+    pointX < rect.x + rect.width &&
+    pointY < rect.y + rect.height;
+
+  // Children are clipped to hidden-overflow parents
+  if (inside || node.style.overflow !== 'hidden') {
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      if (isLayer(node.children[i])) {
+        continue;
+      }
+
+      const path = hitTestLayer(node.children[i], pointX, pointY, originX + node.x, originY + node.y);
+
+      if (path.length > 0) {
+        return [{ node, rect }, ...path];
+      }
+    }
+  }
+
+  return inside ? [{ node, rect }] : [];
+}
+
+/**
+ * Paint a layout node and its subtree into a buffer
+ * Node positions are relative to their parent, so offsets accumulate on the way down.
+ * Positioned nodes paint on layers of their own, after the rest of the tree
+ * and in zIndex order, so they cover what they overlap.
+ */
+export function paintTree(buffer, node, originX = 0, originY = 0, clip = null) {
+  const bounds = clip ?? { x: 0, y: 0, width: buffer.width, height: buffer.height };
+
+  if (!node || node.style.display === 'none') {
+    return;
+  }
+
+  for (const layer of getLayers(node, originX, originY, bounds)) {
+    paintLayer(buffer, layer.node, layer.originX, layer.originY, layer.clip);
+  }
+}
+
+/**
+ * Paint a node and its subtree, leaving out positioned descendants
+ */
+function paintLayer(buffer, node, originX, originY, clip) {
+  if (node.style.display === 'none') {
+    return;
+  }
+
+  // Snap to the cell grid so adjacent nodes do not leave gaps
+  const rect = getScreenRect(node, originX, originY);
+  const { x, y } = rect;
+
+  if (node.children.length === 0 && !isContainer(node.element)) {
+    const content = node.content ?? getElementContent(node.element);
+
+    buffer.writeText(x, y, content, { clip: intersect(rect, clip) });
+
+    return;
+  }
+
+  const style = getElementStyle(node.element);
+
+  if (style.border) {
+    paintBorder(buffer, rect, style, clip);
+  }
+
+  const childClip = getChildClip(node, rect, clip);
+
+  for (const child of node.children) {
+    if (!isLayer(child)) {
+      paintLayer(buffer, child, originX + node.x, originY + node.y, childClip);
+    }
+  }
+}
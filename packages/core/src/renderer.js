@@ -4,19 +4,64 @@
  */
 
 import process from 'node:process';
-import { clearScreen, moveCursor, hideCursor, showCursor } from './utils/ansi.js';
+import {
+  clearScreen,
+  moveCursor,
+  moveCursorRight,
+  moveCursorLeft,
+  moveCursorUp,
+  moveCursorToColumn,
+  clearLine,
+  clearToEndOfScreen,
+  hideCursor,
+  showCursor,
+  enterAltScreen,
+  exitAltScreen,
+  style,
+} from './utils/ansi.js';
+import { ScreenBuffer, sgrTransition } from './utils/buffer.js';
+import { Layout, LayoutNode, createLayoutTree } from './layout.js';
+import { measureTree, paintTree } from './paint.js';
+import { TerminalState, resolveSize } from './terminal.js';
 
 export class Renderer {
   constructor(config = {}) {
+    const {
+      terminal,
+      stdout = process.stdout,
+      columns,
+      rows,
+      ...options
+    } = config;
+    
+    // Output stream and optional size sources (numbers or functions)
+    this.stdout = stdout;
+    this.sizeSource = { columns, rows };
+    
     this.config = {
       fullscreen: false,
-      width: process.stdout.columns || 80,
-      height: process.stdout.rows || 24,
-      ...config,
+      altScreen: false,
+      width: resolveSize(columns, stdout.columns, 80),
+      height: resolveSize(rows, stdout.rows, 24),
+      ...options,
     };
     
-    this.buffer = [];
-    this.previousBuffer = [];
+    // The alternate screen is always drawn as a full screen
+    if (this.config.altScreen) {
+      this.config.fullscreen = true;
+    }
+    
+    // Modes we change are recorded here so they can be undone on any exit path
+    this.terminal = terminal ?? new TerminalState((data) => this.writeRaw(data));
+    
+    this.buffer = new ScreenBuffer(this.config.width, this.config.height);
+    this.previousBuffer = null;
+    this.contentHeight = 0;
+    this.liveHeight = 0;
+    this.staticCounts = new Map();
+    this.cursor = null;
+    this.layout = new Layout();
+    this.layoutTree = null;
     this.isInitialized = false;
   }
 
@@ -28,26 +73,36 @@ export class Renderer {
       return;
     }
 
-    // Save current terminal state
-    this.saveTerminalState();
+    // Switch to the alternate screen so the user's scrollback is left untouched,
+    // otherwise save current terminal state
+    if (this.config.altScreen) {
+      this.terminal.enable('altScreen', enterAltScreen(), exitAltScreen());
+    } else if (this.config.fullscreen) {
+      this.saveTerminalState();
+    }
     
     // Clear screen if fullscreen mode
     if (this.config.fullscreen) {
-      process.stdout.write(clearScreen());
-      process.stdout.write(moveCursor(0, 0));
+      this.writeRaw(clearScreen());
+      this.writeRaw(moveCursor(0, 0));
+      
+      // The terminal now matches a blank buffer
+      this.previousBuffer = new ScreenBuffer(this.config.width, this.config.height);
+      this.cursor = { x: 0, y: 0 };
     }
     
     // Hide cursor for cleaner rendering
-    process.stdout.write(hideCursor());
+    this.terminal.enable('cursor', hideCursor(), showCursor());
     
     // Set up terminal resize handler
     this.handleResize = () => {
-      this.config.width = process.stdout.columns || 80;
-      this.config.height = process.stdout.rows || 24;
-      this.clear();
+      this.resize(
+        resolveSize(this.sizeSource.columns, this.stdout.columns, 80),
+        resolveSize(this.sizeSource.rows, this.stdout.rows, 24)
+      );
     };
     
-    process.stdout.on('resize', this.handleResize);
+    this.stdout.on?.('resize', this.handleResize);
     
     this.isInitialized = true;
   }
@@ -62,21 +117,27 @@ export class Renderer {
 
     // Remove resize handler
     if (this.handleResize) {
-      process.stdout.off('resize', this.handleResize);
+      this.stdout.off?.('resize', this.handleResize);
     }
     
-    // Restore terminal state
-    this.restoreTerminalState();
-    
     // Show cursor again
-    process.stdout.write(showCursor());
+    this.terminal.disable('cursor');
     
-    // Clear screen if we were in fullscreen
-    if (this.config.fullscreen) {
-      process.stdout.write(clearScreen());
-      process.stdout.write(moveCursor(0, 0));
+    if (this.config.altScreen) {
+      // Leaving the alternate screen brings back the original screen and cursor
+      this.terminal.disable('altScreen');
+    } else if (this.config.fullscreen) {
+      // Restore terminal state
+      this.restoreTerminalState();
+      
+      // Clear screen if we were in fullscreen
+      this.writeRaw(clearScreen());
+      this.writeRaw(moveCursor(0, 0));
     }
     
+    // Inline frames stay in place, with the cursor on the line below them
+    this.liveHeight = 0;
+    
     this.isInitialized = false;
   }
 
@@ -85,7 +146,7 @@ export class Renderer {
    */
   saveTerminalState() {
     // Save cursor position
-    process.stdout.write('\x1b7');
+    this.writeRaw('\x1b7');
   }
 
   /**
@@ -93,140 +154,310 @@ export class Renderer {
    */
   restoreTerminalState() {
     // Restore cursor position
-    process.stdout.write('\x1b8');
+    this.writeRaw('\x1b8');
   }
 
   /**
    * Render content to the terminal
+   * Accepts a string, an element tree, or an already calculated layout tree
    */
   render(content) {
     if (!this.isInitialized) {
       return;
     }
 
-    // Convert content to string if needed
-    const output = typeof content === 'string' 
-      ? content 
-      : this.renderComponent(content);
-    
-    // Split into lines
-    const lines = output.split('\n');
+    // Draw into a fresh buffer sized to the terminal
+    this.buffer = new ScreenBuffer(this.config.width, this.getFrameHeight());
     
-    // Update buffer
-    this.buffer = lines;
+    if (typeof content === 'string') {
+      const end = this.buffer.writeText(0, 0, content);
+      
+      this.layoutTree = null;
+      this.contentHeight = Math.min(end.y + 1, this.buffer.height);
+    } else {
+      this.layoutTree = content instanceof LayoutNode
+        ? content
+        : this.layoutComponent(content);
+      
+      if (this.layoutTree) {
+        this.flushStatic(this.layoutTree);
+        paintTree(this.buffer, this.layoutTree);
+      }
+      this.contentHeight = this.measureContentHeight();
+    }
     
     // Perform differential rendering
     this.performRender();
   }
 
   /**
-   * Render a component tree to string
+   * Build and calculate the layout tree for an element tree
    */
-  renderComponent(component) {
+  layoutComponent(component) {
     if (!component) {
-      return '';
+      return null;
     }
+    
+    // Wrap bare lists of elements in a container
+    const root = createLayoutTree(
+      Array.isArray(component) ? { type: 'box', children: component } : component
+    );
+    
+    // Size leaves to their content, then fit everything into the terminal
+    measureTree(root);
+    this.layout.calculate(root, this.config.width, this.getFrameHeight());
+    
+    return root;
+  }
 
-    // Handle different component types
-    if (typeof component === 'string') {
-      return component;
+  /**
+   * Get the number of rows available to a frame
+   * Inline frames leave the last row free so writing them never scrolls the top away
+   */
+  getFrameHeight() {
+    return this.config.fullscreen ? this.config.height : Math.max(1, this.config.height - 1);
+  }
+
+  /**
+   * Get the number of rows down to the last one with visible content
+   */
+  measureContentHeight() {
+    for (let y = this.buffer.height - 1; y >= 0; y--) {
+      const row = this.buffer.cells[y];
+      
+      if (row.some((cell) => cell.char !== ' ' || cell.bg || cell.attrs)) {
+        return y + 1;
+      }
     }
     
-    if (Array.isArray(component)) {
-      return component.map((c) => this.renderComponent(c)).join('');
-    }
+    return 0;
+  }
+
+  /**
+   * Perform the actual rendering to terminal
+   */
+  performRender() {
+    const output = this.config.fullscreen
+      ? this.renderDiff()
+      : this.renderInline();
     
-    if (component.type === 'text') {
-      return component.content || '';
+    if (output) {
+      this.writeRaw(output);
     }
     
-    if (component.type === 'box') {
-      return this.renderBox(component);
+    // Update previous buffer
+    this.previousBuffer = this.buffer;
+  }
+
+  /**
+   * Build the output for cells that changed since the previous frame
+   * Only the changed runs are written, with minimal cursor moves and SGR changes
+   */
+  renderDiff() {
+    const runs = this.buffer.diff(this.previousBuffer);
+    
+    if (runs.length === 0) {
+      return '';
     }
     
-    // Default: try to render children
-    if (component.children) {
-      return this.renderComponent(component.children);
+    let output = '';
+    let pen = null;
+    
+    for (const run of runs) {
+      output += this.moveTo(run.x, run.y);
+      
+      for (const cell of run.cells) {
+        // Trailing halves of wide characters are covered by the leading cell
+        if (cell.width === 0) {
+          continue;
+        }
+        
+        output += sgrTransition(pen, cell);
+        output += cell.char;
+        pen = cell;
+        this.cursor.x += cell.width;
+      }
+      
+      // The cursor position is unreliable once it reaches the right margin
+      if (this.cursor.x >= this.buffer.width) {
+        this.cursor = null;
+      }
     }
     
-    return '';
+    return output + style.reset;
   }
 
   /**
-   * Render a box component
+   * Build the output that updates the live region in place, used outside of fullscreen mode
+   * The cursor rests on the line below the live region, so the previous frame starts
+   * `liveHeight` rows up. Changed cells are rewritten row by row and rows the new frame
+   * no longer covers are cleared.
    */
-  renderBox(box) {
-    const { width = 10, height = 3, border = false, children } = box;
-    const content = this.renderComponent(children);
+  renderInline() {
+    const rows = this.contentHeight;
+    const previousRows = this.liveHeight;
+    const previous = this.previousBuffer?.width === this.buffer.width
+      ? this.previousBuffer
+      : new ScreenBuffer(this.buffer.width, this.buffer.height);
+    
+    // Rows below the previous frame are blank on screen
+    const blank = new ScreenBuffer(this.buffer.width, 1).cells[0];
+    const reference = previous.clone();
     
-    if (!border) {
-      return content;
+    for (let y = previousRows; y < reference.height; y++) {
+      reference.cells[y] = blank;
     }
     
-    // Simple box drawing
-    const lines = [];
-    const contentLines = content.split('\n');
+    const runs = this.buffer.diff(reference).filter((run) => run.y < rows);
+    
+    if (runs.length === 0 && rows === previousRows) {
+      return '';
+    }
     
-    // Top border
-    lines.push('┌' + '─'.repeat(width - 2) + '┐');
+    let output = previousRows > 0 ? `${moveCursorUp(previousRows)}\r` : '';
     
-    // Content with side borders
-    for (let i = 0; i < height - 2; i++) {
-      const line = contentLines[i] || '';
-      const paddedLine = line.padEnd(width - 2, ' ').slice(0, width - 2);
-      lines.push('│' + paddedLine + '│');
+    for (let y = 0; y < Math.max(rows, previousRows); y++) {
+      if (y >= rows) {
+        output += clearLine();
+      }
+      
+      let pen = null;
+      
+      for (const run of runs.filter((r) => r.y === y)) {
+        output += moveCursorToColumn(run.x);
+        
+        for (const cell of run.cells) {
+          if (cell.width === 0) {
+            continue;
+          }
+          
+          output += sgrTransition(pen, cell) + cell.char;
+          pen = cell;
+        }
+      }
+      
+      if (pen) {
+        output += style.reset;
+      }
+      output += '\r\n';
+    }
+    
+    // Step back up over cleared rows so the cursor sits right below the new frame
+    if (previousRows > rows) {
+      output += moveCursorUp(previousRows - rows);
     }
     
-    // Bottom border
-    lines.push('└' + '─'.repeat(width - 2) + '┘');
+    this.liveHeight = rows;
     
-    return lines.join('\n');
+    return output;
   }
 
   /**
-   * Perform the actual rendering to terminal
+   * Build the output that erases the live region, leaving the cursor where it started
    */
-  performRender() {
-    // Move cursor to top-left if fullscreen
+  eraseLiveRegion() {
+    if (this.liveHeight === 0) {
+      return '';
+    }
+    
+    const output = `${moveCursorUp(this.liveHeight)}\r${clearToEndOfScreen()}`;
+    
+    this.liveHeight = 0;
+    this.previousBuffer = null;
+    
+    return output;
+  }
+
+  /**
+   * Write text above the live region, where it scrolls into history permanently
+   * Only meaningful outside of fullscreen mode, which has no scrollback.
+   */
+  writeStatic(text) {
+    if (!this.isInitialized || this.config.fullscreen) {
+      return;
+    }
+    
+    this.writeStaticOutput(text);
+    
+    // Redraw the current frame below the new output
+    this.performRender();
+  }
+
+  /**
+   * Erase the live region and write static text in its place
+   */
+  writeStaticOutput(text) {
+    const lines = String(text).replace(/\n$/, '').split('\n');
+    
+    this.writeRaw(`${this.eraseLiveRegion()}${lines.join('\r\n')}${style.reset}\r\n`);
+  }
+
+  /**
+   * Write out items added to Static elements since the last frame
+   * Static elements take no space in the live region; each item is written once.
+   */
+  flushStatic(root) {
     if (this.config.fullscreen) {
-      process.stdout.write(moveCursor(0, 0));
+      return;
     }
     
-    // Render each line
-    const maxLines = Math.min(this.buffer.length, this.config.height);
+    const nodes = [];
+    const collect = (node) => {
+      if (node.element?.type === 'static') {
+        nodes.push(node);
+      }
+      node.children.forEach(collect);
+    };
+    
+    collect(root);
     
-    for (let i = 0; i < maxLines; i++) {
-      const line = this.buffer[i] || '';
-      const previousLine = this.previousBuffer[i];
+    nodes.forEach((node, index) => {
+      const { element } = node;
+      const id = element.key ?? index;
+      const items = element.items ?? [];
+      const written = this.staticCounts.get(id) ?? 0;
       
-      // Only update changed lines for efficiency
-      if (line !== previousLine) {
-        if (this.config.fullscreen) {
-          process.stdout.write(moveCursor(0, i));
-        }
-        
-        // Clear line and write new content
-        process.stdout.write('\x1b[2K'); // Clear entire line
-        process.stdout.write(line.slice(0, this.config.width));
-        
-        if (!this.config.fullscreen || i < maxLines - 1) {
-          process.stdout.write('\n');
-        }
+      if (items.length <= written) {
+        return;
       }
-    }
+      
+      const renderItem = element.renderItem ?? String;
+      const output = items
+        .slice(written)
+        .map((item, offset) => renderItem(item, written + offset))
+        .join('\n');
+      
+      this.staticCounts.set(id, items.length);
+      this.writeStaticOutput(output);
+    });
+  }
+
+  /**
+   * Build the cursor movement from the tracked cursor position to (x, y)
+   */
+  moveTo(x, y) {
+    const { cursor } = this;
     
-    // Clear any remaining lines from previous render
-    if (this.previousBuffer.length > this.buffer.length) {
-      for (let i = this.buffer.length; i < this.previousBuffer.length; i++) {
-        if (this.config.fullscreen) {
-          process.stdout.write(moveCursor(0, i));
-        }
-        process.stdout.write('\x1b[2K'); // Clear entire line
+    this.cursor = { x, y };
+    
+    if (cursor && cursor.y === y) {
+      if (cursor.x === x) {
+        return '';
       }
+      
+      return x > cursor.x ? moveCursorRight(x - cursor.x) : moveCursorLeft(cursor.x - x);
     }
     
-    // Update previous buffer
-    this.previousBuffer = [...this.buffer];
+    return moveCursor(x, y);
+  }
+
+  /**
+   * Update the terminal size and start over with a clean screen
+   */
+  resize(width, height) {
+    this.config.width = width;
+    this.config.height = height;
+    this.clear();
   }
 
   /**
@@ -237,15 +468,26 @@ export class Renderer {
       return;
     }
 
-    process.stdout.write(clearScreen());
-    this.buffer = [];
-    this.previousBuffer = [];
+    if (!this.config.fullscreen) {
+      // Only the live region belongs to us outside of fullscreen mode
+      this.writeRaw(this.eraseLiveRegion());
+      this.buffer = new ScreenBuffer(this.config.width, this.getFrameHeight());
+      
+      return;
+    }
+
+    this.writeRaw(clearScreen());
+    this.buffer = new ScreenBuffer(this.config.width, this.config.height);
+    
+    // The terminal now matches a blank buffer
+    this.previousBuffer = this.buffer.clone();
+    this.cursor = null;
   }
 
   /**
    * Write raw output to terminal
    */
   writeRaw(text) {
-    process.stdout.write(text);
+    this.stdout.write(text);
   }
 }
\ No newline at end of file
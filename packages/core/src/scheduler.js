@@ -0,0 +1,227 @@
+/**
+ * FrameScheduler - Batches rendering into frames, at most maxFps per second
+ * Anything that changes what is on screen (state updates, input, resizes)
+ * invalidates the frame; all invalidations until the frame runs share one
+ * layout-and-paint pass. Frames that nothing invalidated skip rendering.
+ *
+ * requestFrame(callback) runs a callback at the start of the next frame, with
+ * the frame's timestamp, which is where animations advance before rendering.
+ */
+
+import { EventEmitter } from 'node:events';
+import { performance } from 'node:perf_hooks';
+
+export class FrameScheduler extends EventEmitter {
+  constructor(render, options = {}) {
+    super();
+
+    this.render = render;
+    this.options = {
+      // Frames per second at most; 0 or Infinity renders as soon as possible
+      maxFps: 60,
+      // Called with errors thrown by frame callbacks; rethrows by default
+      onError: (error) => {
+        throw error;
+      },
+      ...options,
+    };
+
+    this.dirty = false;
+    this.callbacks = new Map();
+    this.nextCallbackId = 1;
+    this.timer = null;
+    this.lastFrameTime = -Infinity;
+    this.waiters = [];
+    this.runningCallbacks = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Minimum time between frames, in milliseconds
+   */
+  get frameInterval() {
+    const { maxFps } = this.options;
+
+    return maxFps > 0 && Number.isFinite(maxFps) ? 1000 / maxFps : 0;
+  }
+
+  /**
+   * Whether a frame is waiting to run
+   */
+  get isScheduled() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Mark the screen as out of date and schedule a frame
+   */
+  invalidate() {
+    this.dirty = true;
+
+    // Changes made by frame callbacks are drawn by the frame they run in
+    if (!this.runningCallbacks) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Run a callback at the start of the next frame
+   * The callback receives the frame time in milliseconds. Returns an id for cancelFrame().
+   */
+  requestFrame(callback) {
+    const id = this.nextCallbackId++;
+
+    this.callbacks.set(id, callback);
+    this.schedule();
+
+    return id;
+  }
+
+  /**
+   * Cancel a callback registered with requestFrame()
+   */
+  cancelFrame(id) {
+    this.callbacks.delete(id);
+  }
+
+  /**
+   * Wait until the scheduled frame has run; resolves right away when none is scheduled
+   */
+  waitForFrame() {
+    if (!this.isScheduled) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => this.waiters.push(resolve));
+  }
+
+  /**
+   * Schedule the next frame, keeping frames at least frameInterval apart
+   */
+  schedule() {
+    if (this.timer || this.stopped) {
+      return;
+    }
+
+    const delay = this.lastFrameTime + this.frameInterval - performance.now();
+
+    if (delay > 0) {
+      this.timer = { timeout: setTimeout(() => this.runFrame(), delay) };
+    } else {
+      this.timer = { immediate: setImmediate(() => this.runFrame()) };
+    }
+  }
+
+  /**
+   * Run the scheduled frame now instead of waiting for it
+   */
+  flush() {
+    if (this.isScheduled) {
+      this.cancelTimer();
+      this.runFrame();
+    }
+  }
+
+  /**
+   * Call a frame callback, passing an error it throws to onError
+   * Returns the error when onError rethrows it.
+   */
+  runCallback(callback, time) {
+    try {
+      callback(time);
+
+      return null;
+    } catch (error) {
+      try {
+        this.options.onError(error, { phase: 'frame' });
+
+        return null;
+      } catch (rethrown) {
+        return rethrown;
+      }
+    }
+  }
+
+  /**
+   * Run frame callbacks, then render if anything invalidated the frame
+   * Callbacks requested and invalidations made while rendering go to the next frame.
+   * A callback that throws doesn't stop the others; its error goes to onError,
+   * and one onError rethrows is thrown once the frame has rendered.
+   */
+  runFrame() {
+    const time = performance.now();
+    const callbacks = [...this.callbacks.values()];
+    const { waiters } = this;
+
+    this.timer = null;
+    this.lastFrameTime = time;
+    this.callbacks.clear();
+    this.waiters = [];
+
+    let unhandled = null;
+
+    try {
+      this.runningCallbacks = true;
+
+      try {
+        for (const callback of callbacks) {
+          unhandled ??= this.runCallback(callback, time);
+        }
+      } finally {
+        this.runningCallbacks = false;
+      }
+
+      if (this.dirty) {
+        this.dirty = false;
+        this.render();
+        this.emit('frame', time);
+      } else {
+        this.emit('skip', time);
+      }
+
+      if (unhandled) {
+        throw unhandled;
+      }
+    } finally {
+      for (const resolve of waiters) {
+        resolve();
+      }
+    }
+  }
+
+  /**
+   * Stop scheduling frames and drop pending callbacks
+   */
+  stop() {
+    this.stopped = true;
+    this.cancelTimer();
+    this.callbacks.clear();
+    this.dirty = false;
+
+    for (const resolve of this.waiters) {
+      resolve();
+    }
+
+    this.waiters = [];
+  }
+
+  /**
+   * Start scheduling frames again after stop()
+   */
+  start() {
+    this.stopped = false;
+  }
+
+  /**
+   * Cancel the timer of the scheduled frame
+   */
+  cancelTimer() {
+    if (this.timer?.timeout) {
+      clearTimeout(this.timer.timeout);
+    } else if (this.timer?.immediate) {
+      clearImmediate(this.timer.immediate);
+    }
+
+    this.timer = null;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * TerminalState - Tracks terminal modes changed by the application
+ * Every mode is recorded with the sequence that undoes it, so the terminal
+ * can be restored on any exit path, including crashes and signals.
+ */
+
+import process from 'node:process';
+
+/**
+ * Resolve a terminal dimension from an explicit source (number or function),
+ * then the stream's own value, then a fallback
+ */
+export function resolveSize(source, streamValue, fallback) {
+  const value = typeof source === 'function' ? source() : source;
+
+  return value || streamValue || fallback;
+}
+
+export class TerminalState {
+  constructor(write = (data) => process.stdout.write(data)) {
+    this.write = write;
+    this.modes = new Map();
+  }
+
+  /**
+   * Enable a mode and remember how to undo it
+   */
+  enable(name, enableSequence, disableSequence) {
+    // Re-enabling replaces the mode, but keeps its original position in the restore order
+    this.modes.set(name, disableSequence);
+    this.write(enableSequence);
+  }
+
+  /**
+   * Disable a previously enabled mode
+   */
+  disable(name) {
+    if (!this.modes.has(name)) {
+      return false;
+    }
+
+    const disableSequence = this.modes.get(name);
+
+    this.modes.delete(name);
+    this.write(disableSequence);
+
+    return true;
+  }
+
+  /**
+   * Check whether a mode is currently enabled
+   */
+  isEnabled(name) {
+    return this.modes.has(name);
+  }
+
+  /**
+   * Undo every enabled mode, most recent first
+   * Runs synchronously so it is safe to call from exit and signal handlers.
+   */
+  restore() {
+    const names = [...this.modes.keys()].reverse();
+
+    for (const name of names) {
+      this.disable(name);
+    }
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * InputTokenizer - Splits raw terminal input into individual key sequences
+ * Input arrives in arbitrary chunks: one chunk may hold several keys (fast typing,
+ * pastes) and one key may be split across chunks. Incomplete sequences are kept
+ * until more data arrives or the caller flushes them after an escape timeout.
+ */
+
+export const ESC = '\x1b';
+
+// Bracketed paste markers
+export const PASTE_START = '\x1b[200~';
+export const PASTE_END = '\x1b[201~';
+
+/**
+ * Check whether a character is a CSI parameter byte (0-9 : ; < = > ?)
+ */
+const isParameter = (char) => char >= '0' && char <= '?';
+
+/**
+ * Check whether a character is a CSI intermediate byte (space to /)
+ */
+const isIntermediate = (char) => char >= ' ' && char <= '/';
+
+/**
+ * Check whether a character is a CSI final byte (@ to ~)
+ */
+const isFinal = (char) => char >= '@' && char <= '~';
+
+/**
+ * Read a single code point, keeping surrogate pairs together
+ */
+function readCodePoint(text, start, final) {
+  const code = text.charCodeAt(start);
+
+  if (code >= 0xd800 && code <= 0xdbff) {
+    if (start + 1 >= text.length) {
+      return final ? { token: text[start], length: 1 } : null;
+    }
+
+    return { token: text.slice(start, start + 2), length: 2 };
+  }
+
+  return { token: text[start], length: 1 };
+}
+
+/**
+ * Read a control sequence: ESC [ parameters intermediates final
+ */
+function readCsi(text, start, final) {
+  let i = start + 2;
+
+  while (i < text.length && isParameter(text[i])) {
+    i++;
+  }
+  while (i < text.length && isIntermediate(text[i])) {
+    i++;
+  }
+
+  if (i >= text.length) {
+    return null;
+  }
+
+  if (!isFinal(text[i])) {
+    // Malformed: give up on the sequence and treat ESC [ as Alt+[
+    return { token: text.slice(start, start + 2), length: 2 };
+  }
+
+  // Legacy X10 mouse reports carry three raw bytes after ESC [ M
+  if (i === start + 2 && text[i] === 'M') {
+    if (i + 3 >= text.length) {
+      return final ? { token: text.slice(start, i + 1), length: i + 1 - start } : null;
+    }
+
+    return { token: text.slice(start, i + 4), length: i + 4 - start };
+  }
+
+  return { token: text.slice(start, i + 1), length: i + 1 - start };
+}
+
+/**
+ * Read an SS3 sequence: ESC O [modifier digits] final
+ */
+function readSs3(text, start) {
+  let i = start + 2;
+
+  while (i < text.length && text[i] >= '0' && text[i] <= '9') {
+    i++;
+  }
+
+  if (i >= text.length) {
+    return null;
+  }
+
+  return { token: text.slice(start, i + 1), length: i + 1 - start };
+}
+
+/**
+ * Read a string sequence (OSC, DCS, APC) terminated by BEL or ST
+ */
+function readString(text, start) {
+  for (let i = start + 2; i < text.length; i++) {
+    if (text[i] === '\x07') {
+      return { token: text.slice(start, i + 1), length: i + 1 - start };
+    }
+    if (text[i] === ESC && text[i + 1] === '\\') {
+      return { token: text.slice(start, i + 2), length: i + 2 - start };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read one token starting at `start`
+ * Returns { token, length }, or null when more input is needed to decide.
+ * With `final` set, incomplete input is resolved as best as possible instead.
+ */
+export function readToken(text, start, final = false) {
+  if (text[start] !== ESC) {
+    return readCodePoint(text, start, final);
+  }
+
+  // A trailing ESC is either a lone Escape or the start of a sequence
+  if (start + 1 >= text.length) {
+    return final ? { token: ESC, length: 1 } : null;
+  }
+
+  const next = text[start + 1];
+  let result = null;
+
+  if (text.startsWith(PASTE_START, start)) {
+    // Everything up to the end marker is pasted text, escape sequences included
+    const end = text.indexOf(PASTE_END, start + PASTE_START.length);
+
+    if (end === -1) {
+      return final ? { token: text.slice(start), length: text.length - start } : null;
+    }
+
+    const length = end + PASTE_END.length - start;
+
+    return { token: text.slice(start, start + length), length };
+  }
+
+  if (next === '[') {
+    result = readCsi(text, start, final);
+  } else if (next === 'O') {
+    result = readSs3(text, start);
+  } else if (next === ']' || next === 'P' || next === '_') {
+    result = readString(text, start);
+  } else if (next === ESC) {
+    // Alt combined with an escape sequence, or Escape pressed twice
+    const inner = readToken(text, start + 1, final);
+
+    if (!inner) {
+      return null;
+    }
+
+    return inner.token === ESC
+      ? { token: ESC, length: 1 }
+      : { token: ESC + inner.token, length: inner.length + 1 };
+  } else {
+    // Alt + key
+    const inner = readCodePoint(text, start + 1, final);
+
+    return inner ? { token: ESC + inner.token, length: inner.length + 1 } : null;
+  }
+
+  if (result || !final) {
+    return result;
+  }
+
+  // Out of time: treat the introducer as Alt + its second character
+  return { token: text.slice(start, start + 2), length: 2 };
+}
+
+export class InputTokenizer {
+  constructor() {
+    this.pending = '';
+    // A paste waiting for its end marker is kept as chunks, so each new chunk
+    // is searched for the marker without rescanning what came before
+    this.pasteChunks = [];
+    this.pasteTail = '';
+  }
+
+  /**
+   * Whether input is held back waiting for the rest of a sequence
+   */
+  get hasPending() {
+    return this.pending.length > 0 || this.pasteChunks.length > 0;
+  }
+
+  /**
+   * Whether the held back input is a paste still waiting for its end marker
+   */
+  get isPasting() {
+    return this.pasteChunks.length > 0;
+  }
+
+  /**
+   * Add a chunk of input and return every complete token
+   */
+  push(data) {
+    let chunk = String(data);
+
+    if (this.isPasting) {
+      // The end marker may be split across chunks, so look back into the previous ones
+      const searched = this.pasteTail + chunk;
+
+      if (!searched.includes(PASTE_END)) {
+        this.pasteChunks.push(chunk);
+        this.pasteTail = searched.slice(-(PASTE_END.length - 1));
+
+        return [];
+      }
+
+      chunk = this.pasteChunks.join('') + chunk;
+      this.pasteChunks = [];
+      this.pasteTail = '';
+    }
+
+    const text = this.pending + chunk;
+    const tokens = [];
+    let i = 0;
+
+    this.pending = '';
+
+    while (i < text.length) {
+      const result = readToken(text, i);
+
+      if (!result) {
+        this.holdBack(text.slice(i));
+        break;
+      }
+
+      tokens.push(result.token);
+      i += result.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Keep the start of an unfinished sequence until more data arrives
+   */
+  holdBack(text) {
+    if (text.startsWith(PASTE_START)) {
+      this.pasteChunks = [text];
+      this.pasteTail = text.slice(-(PASTE_END.length - 1));
+    } else {
+      this.pending = text;
+    }
+  }
+
+  /**
+   * Resolve held back input once no more data is expected
+   */
+  flush() {
+    const text = this.pasteChunks.join('') + this.pending;
+    const tokens = [];
+    let i = 0;
+
+    this.pending = '';
+    this.pasteChunks = [];
+    this.pasteTail = '';
+
+    while (i < text.length) {
+      const result = readToken(text, i, true);
+
+      tokens.push(result.token);
+      i += result.length;
+    }
+
+    return tokens;
+  }
+}
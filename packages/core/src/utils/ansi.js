@@ -8,11 +8,58 @@ export const moveCursorUp = (n = 1) => `\x1b[${n}A`;
 export const moveCursorDown = (n = 1) => `\x1b[${n}B`;
 export const moveCursorRight = (n = 1) => `\x1b[${n}C`;
 export const moveCursorLeft = (n = 1) => `\x1b[${n}D`;
+export const moveCursorToColumn = (x) => `\x1b[${x + 1}G`;
 
 // Cursor visibility
 export const hideCursor = () => '\x1b[?25l';
 export const showCursor = () => '\x1b[?25h';
 
+// Alternate screen buffer
+export const enterAltScreen = () => '\x1b[?1049h';
+export const exitAltScreen = () => '\x1b[?1049l';
+
+// Application keypad mode
+export const enableKeypad = () => '\x1b=';
+export const disableKeypad = () => '\x1b>';
+
+// Bracketed paste mode
+export const enableBracketedPaste = () => '\x1b[?2004h';
+export const disableBracketedPaste = () => '\x1b[?2004l';
+
+// Mouse tracking (button events, any-motion events, SGR coordinates)
+export const enableMouse = () => '\x1b[?1000h\x1b[?1003h\x1b[?1006h';
+export const disableMouse = () => '\x1b[?1000l\x1b[?1003l\x1b[?1006l';
+
+// Kitty keyboard protocol: progressive enhancement flags
+export const keyboardFlags = {
+  disambiguate: 1,
+  eventTypes: 2,
+  alternateKeys: 4,
+  allKeysAsEscapes: 8,
+  associatedText: 16,
+};
+export const pushKeyboardFlags = (flags) => `\x1b[>${flags}u`;
+export const popKeyboardFlags = () => '\x1b[<u';
+export const queryKeyboardFlags = () => '\x1b[?u';
+
+// Primary device attributes; every terminal answers, so it marks the end of a query
+export const queryDeviceAttributes = () => '\x1b[c';
+
+/**
+ * Cursor shapes (DECSCUSR)
+ */
+export const cursorShapes = {
+  default: 0,
+  blinkingBlock: 1,
+  block: 2,
+  blinkingUnderline: 3,
+  underline: 4,
+  blinkingBar: 5,
+  bar: 6,
+};
+
+export const setCursorShape = (shape = 'default') => `\x1b[${cursorShapes[shape] ?? 0} q`;
+
 // Screen clearing
 export const clearScreen = () => '\x1b[2J';
 export const clearLine = () => '\x1b[2K';
@@ -275,4 +322,10 @@ export const restoreCursor = () => '\x1b8';
 /**
  * Set terminal title
  */
-export const setTitle = (title) => `\x1b]0;${title}\x07`;
\ No newline at end of file
+export const setTitle = (title) => `\x1b]0;${title}\x07`;
+
+/**
+ * Save and restore the terminal title on the title stack
+ */
+export const pushTitle = () => '\x1b[22;0t';
+export const popTitle = () => '\x1b[23;0t';
\ No newline at end of file
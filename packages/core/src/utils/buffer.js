@@ -0,0 +1,505 @@
+/**
+ * Screen Buffer - Cell grid used by the renderer for differential updates
+ * Each cell holds a character, its colors, text attributes and display width
+ */
+
+/**
+ * Text attribute bit flags
+ */
+export const Attr = {
+  NONE: 0,
+  BOLD: 1,
+  DIM: 2,
+  ITALIC: 4,
+  UNDERLINE: 8,
+  BLINK: 16,
+  REVERSE: 32,
+  HIDDEN: 64,
+  STRIKETHROUGH: 128,
+};
+
+// SGR parameter for each attribute, in emission order
+const ATTR_CODES = [
+  [Attr.BOLD, 1],
+  [Attr.DIM, 2],
+  [Attr.ITALIC, 3],
+  [Attr.UNDERLINE, 4],
+  [Attr.BLINK, 5],
+  [Attr.REVERSE, 7],
+  [Attr.HIDDEN, 8],
+  [Attr.STRIKETHROUGH, 9],
+];
+
+// Attributes cleared by each SGR "off" parameter
+const ATTR_RESETS = {
+  22: Attr.BOLD | Attr.DIM,
+  23: Attr.ITALIC,
+  24: Attr.UNDERLINE,
+  25: Attr.BLINK,
+  27: Attr.REVERSE,
+  28: Attr.HIDDEN,
+  29: Attr.STRIKETHROUGH,
+};
+
+const ESC = '\x1b';
+const BEL = '\x07';
+
+// Matches CSI, OSC and two-character escape sequences
+const ANSI_PATTERN = new RegExp(
+  `${ESC}(?:\\[[0-?]*[ -/]*[@-~]|\\][^${BEL}${ESC}]*(?:${BEL}|${ESC}\\\\)|[@-Z\\\\-_])`,
+  'g',
+);
+
+/**
+ * Create a cell
+ * fg/bg are SGR color parameters (e.g. '31', '38;5;208') or null for default
+ */
+export const createCell = (char = ' ', fg = null, bg = null, attrs = Attr.NONE, width = 1) => ({
+  char,
+  fg,
+  bg,
+  attrs,
+  width,
+});
+
+/**
+ * Compare two cells for visual equality
+ */
+export const cellsEqual = (a, b) =>
+  a === b ||
+  (!!a &&
+    !!b &&
+    a.char === b.char &&
+    a.fg === b.fg &&
+    a.bg === b.bg &&
+    a.attrs === b.attrs &&
+    a.width === b.width);
+
+/**
+ * Get the display width of a single code point
+ * Returns 0 for combining marks, 2 for wide (CJK, emoji) characters and 1 otherwise
+ */
+export const charWidth = (char) => {
+  const code = char.codePointAt(0);
+
+  if (code === undefined || code < 32 || (code >= 0x7f && code < 0xa0)) {
+    return 0;
+  }
+
+  // Combining marks, zero width spaces and variation selectors
+  if (
+    (code >= 0x0300 && code <= 0x036f) ||
+    (code >= 0x200b && code <= 0x200f) ||
+    (code >= 0x20d0 && code <= 0x20ff) ||
+    (code >= 0xfe00 && code <= 0xfe0f) ||
+    (code >= 0xfe20 && code <= 0xfe2f)
+  ) {
+    return 0;
+  }
+
+  // Wide East Asian ranges and emoji
+  if (
+    (code >= 0x1100 && code <= 0x115f) ||
+    (code >= 0x2e80 && code <= 0x303e) ||
+    (code >= 0x3041 && code <= 0x33ff) ||
+    (code >= 0x3400 && code <= 0x4dbf) ||
+    (code >= 0x4e00 && code <= 0x9fff) ||
+    (code >= 0xa000 && code <= 0xa4cf) ||
+    (code >= 0xac00 && code <= 0xd7a3) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0xfe30 && code <= 0xfe4f) ||
+    (code >= 0xff00 && code <= 0xff60) ||
+    (code >= 0xffe0 && code <= 0xffe6) ||
+    (code >= 0x1f300 && code <= 0x1f64f) ||
+    (code >= 0x1f900 && code <= 0x1f9ff) ||
+    (code >= 0x20000 && code <= 0x3fffd)
+  ) {
+    return 2;
+  }
+
+  return 1;
+};
+
+/**
+ * Remove ANSI escape sequences from a string
+ */
+export const stripAnsi = (text) => String(text).replace(ANSI_PATTERN, '');
+
+/**
+ * Measure the display width of a string (ANSI sequences excluded)
+ */
+export const stringWidth = (text) => {
+  let width = 0;
+
+  for (const char of stripAnsi(text)) {
+    width += charWidth(char);
+  }
+
+  return width;
+};
+
+/**
+ * Build the SGR sequence that sets a cell's full style from a reset state
+ */
+export const sgrFor = (cell) => {
+  const params = ['0'];
+
+  for (const [flag, code] of ATTR_CODES) {
+    if (cell.attrs & flag) {
+      params.push(String(code));
+    }
+  }
+
+  if (cell.fg) {
+    params.push(cell.fg);
+  }
+  if (cell.bg) {
+    params.push(cell.bg);
+  }
+
+  return `\x1b[${params.join(';')}m`;
+};
+
+/**
+ * Build the shortest SGR sequence that moves the pen from one cell style to another
+ * Passing null for `from` means the current pen state is unknown
+ */
+export const sgrTransition = (from, to) => {
+  if (!from) {
+    return sgrFor(to);
+  }
+
+  // Attributes can only be added incrementally; removing any needs a reset
+  if ((from.attrs & to.attrs) !== from.attrs) {
+    return sgrFor(to);
+  }
+
+  const params = [];
+
+  for (const [flag, code] of ATTR_CODES) {
+    if (to.attrs & flag && !(from.attrs & flag)) {
+      params.push(String(code));
+    }
+  }
+
+  if (from.fg !== to.fg) {
+    params.push(to.fg ?? '39');
+  }
+  if (from.bg !== to.bg) {
+    params.push(to.bg ?? '49');
+  }
+
+  return params.length > 0 ? `\x1b[${params.join(';')}m` : '';
+};
+
+/**
+ * Apply an SGR parameter list to a pen style in place
+ */
+export const applySgr = (pen, paramString) => {
+  const params = paramString === '' ? [0] : paramString.split(';').map((p) => parseInt(p, 10) || 0);
+
+  for (let i = 0; i < params.length; i++) {
+    const code = params[i];
+
+    if (code === 0) {
+      pen.fg = null;
+      pen.bg = null;
+      pen.attrs = Attr.NONE;
+    } else if (ATTR_RESETS[code]) {
+      pen.attrs &= ~ATTR_RESETS[code];
+    } else if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+      pen.fg = String(code);
+    } else if ((code >= 40 && code <= 47) || (code >= 100 && code <= 107)) {
+      pen.bg = String(code);
+    } else if (code === 39) {
+      pen.fg = null;
+    } else if (code === 49) {
+      pen.bg = null;
+    } else if (code === 38 || code === 48) {
+      // Extended colors: 38;5;n or 38;2;r;g;b
+      const mode = params[i + 1];
+      const length = mode === 5 ? 2 : mode === 2 ? 4 : 1;
+      const color = params.slice(i, i + 1 + length).join(';');
+
+      if (code === 38) {
+        pen.fg = color;
+      } else {
+        pen.bg = color;
+      }
+      i += length;
+    } else {
+      const attr = ATTR_CODES.find(([, value]) => value === code);
+
+      if (attr) {
+        pen.attrs |= attr[0];
+      }
+    }
+  }
+
+  return pen;
+};
+
+/**
+ * ScreenBuffer - A width x height grid of cells
+ */
+export class ScreenBuffer {
+  constructor(width = 80, height = 24) {
+    this.width = Math.max(0, Math.floor(width));
+    this.height = Math.max(0, Math.floor(height));
+    this.cells = [];
+
+    this.clear();
+  }
+
+  /**
+   * Reset every cell to a blank
+   */
+  clear() {
+    this.cells = Array.from({ length: this.height }, () => this.createRow());
+  }
+
+  /**
+   * Create a row of blank cells
+   */
+  createRow() {
+    return Array.from({ length: this.width }, () => createCell());
+  }
+
+  /**
+   * Resize the buffer, keeping existing content where it fits
+   */
+  resize(width, height) {
+    const rows = this.cells;
+
+    this.width = Math.max(0, Math.floor(width));
+    this.height = Math.max(0, Math.floor(height));
+    this.clear();
+
+    for (let y = 0; y < Math.min(rows.length, this.height); y++) {
+      for (let x = 0; x < Math.min(rows[y].length, this.width); x++) {
+        this.cells[y][x] = rows[y][x];
+      }
+    }
+  }
+
+  /**
+   * Check whether a position lies inside the buffer
+   */
+  inBounds(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height;
+  }
+
+  /**
+   * Get the cell at a position
+   */
+  getCell(x, y) {
+    if (!this.inBounds(x, y)) {
+      return null;
+    }
+
+    return this.cells[y][x];
+  }
+
+  /**
+   * Set the cell at a position
+   * Wide cells claim the following column; overwriting half of a wide cell blanks the other half
+   */
+  setCell(x, y, cell) {
+    if (!this.inBounds(x, y)) {
+      return;
+    }
+
+    const row = this.cells[y];
+    const existing = row[x];
+
+    // Break up any wide character we are overwriting part of
+    if (existing.width === 0 && x > 0) {
+      row[x - 1] = createCell(' ', row[x - 1].fg, row[x - 1].bg, row[x - 1].attrs);
+    }
+    if (existing.width === 2 && x + 1 < this.width) {
+      row[x + 1] = createCell(' ', existing.fg, existing.bg, existing.attrs);
+    }
+
+    if (cell.width === 2) {
+      if (x + 1 >= this.width) {
+        // No room for the second column
+        row[x] = createCell(' ', cell.fg, cell.bg, cell.attrs);
+
+        return;
+      }
+
+      const next = row[x + 1];
+
+      if (next.width === 2 && x + 2 < this.width) {
+        row[x + 2] = createCell(' ', next.fg, next.bg, next.attrs);
+      }
+      row[x + 1] = createCell('', cell.fg, cell.bg, cell.attrs, 0);
+    }
+
+    row[x] = { ...cell };
+  }
+
+  /**
+   * Fill a rectangle with copies of a cell
+   */
+  fill(x, y, width, height, cell = createCell()) {
+    for (let row = Math.max(0, y); row < Math.min(this.height, y + height); row++) {
+      for (let col = Math.max(0, x); col < Math.min(this.width, x + width); col++) {
+        this.setCell(col, row, cell);
+      }
+    }
+  }
+
+  /**
+   * Write text (which may contain SGR sequences and newlines) starting at a position
+   * Options:
+   * - clip: { x, y, width, height } rectangle outside of which nothing is drawn
+   * - pen: initial { fg, bg, attrs } style
+   * Returns the position after the last written character
+   */
+  writeText(x, y, text, options = {}) {
+    const clip = options.clip ?? { x: 0, y: 0, width: this.width, height: this.height };
+    const pen = { fg: null, bg: null, attrs: Attr.NONE, ...options.pen };
+    const str = String(text);
+    const right = clip.x + clip.width;
+    const bottom = clip.y + clip.height;
+
+    let cursorX = x;
+    let cursorY = y;
+    let i = 0;
+
+    while (i < str.length) {
+      const char = str[i];
+
+      if (char === '\x1b') {
+        // Escape sequence: apply SGR, skip everything else
+        ANSI_PATTERN.lastIndex = i;
+        const match = ANSI_PATTERN.exec(str);
+
+        if (match && match.index === i) {
+          const sequence = match[0];
+
+          if (sequence.startsWith('\x1b[') && sequence.endsWith('m')) {
+            applySgr(pen, sequence.slice(2, -1));
+          }
+          i += sequence.length;
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      if (char === '\n') {
+        cursorX = x;
+        cursorY++;
+        i++;
+        continue;
+      }
+
+      if (char === '\r') {
+        cursorX = x;
+        i++;
+        continue;
+      }
+
+      const codePoint = str.codePointAt(i);
+      const glyph = String.fromCodePoint(codePoint);
+      const width = charWidth(glyph);
+
+      i += glyph.length;
+
+      if (char === '\t') {
+        // Expand tabs to the next multiple of 8 columns
+        const spaces = 8 - ((cursorX - x) % 8);
+
+        for (let s = 0; s < spaces; s++) {
+          if (cursorX >= clip.x && cursorX < right && cursorY >= clip.y && cursorY < bottom) {
+            this.setCell(cursorX, cursorY, createCell(' ', pen.fg, pen.bg, pen.attrs));
+          }
+          cursorX++;
+        }
+        continue;
+      }
+
+      if (width === 0) {
+        // Attach combining marks to the previous cell
+        const previous = this.getCell(cursorX - 1, cursorY);
+
+        if (previous && previous.width > 0 && cursorX - 1 >= clip.x && cursorY >= clip.y && cursorY < bottom) {
+          previous.char += glyph;
+        }
+        continue;
+      }
+
+      const visible =
+        cursorY >= clip.y && cursorY < bottom && cursorX >= clip.x && cursorX + width <= right;
+
+      if (visible) {
+        this.setCell(cursorX, cursorY, createCell(glyph, pen.fg, pen.bg, pen.attrs, width));
+      }
+      cursorX += width;
+    }
+
+    return { x: cursorX, y: cursorY };
+  }
+
+  /**
+   * Create a deep copy of this buffer
+   */
+  clone() {
+    const copy = new ScreenBuffer(0, 0);
+
+    copy.width = this.width;
+    copy.height = this.height;
+    copy.cells = this.cells.map((row) => row.map((cell) => ({ ...cell })));
+
+    return copy;
+  }
+
+  /**
+   * Compare against a previous buffer and collect runs of changed cells
+   * Returns an array of { x, y, cells } where cells are the new contents of the run.
+   * A missing or differently sized previous buffer marks every cell as changed.
+   */
+  diff(previous) {
+    const full = !previous || previous.width !== this.width || previous.height !== this.height;
+    const runs = [];
+
+    for (let y = 0; y < this.height; y++) {
+      const row = this.cells[y];
+      const prevRow = full ? null : previous.cells[y];
+      let run = null;
+
+      for (let x = 0; x < this.width; x++) {
+        const changed = full || !cellsEqual(row[x], prevRow[x]);
+
+        if (changed) {
+          if (!run) {
+            // A run may not begin on the trailing half of a wide character
+            const start = row[x].width === 0 && x > 0 ? x - 1 : x;
+
+            run = { x: start, y, cells: row.slice(start, x) };
+            runs.push(run);
+          }
+          run.cells.push(row[x]);
+        } else {
+          run = null;
+        }
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Get the plain text contents of each row
+   */
+  toLines() {
+    return this.cells.map((row) =>
+      row
+        .filter((cell) => cell.width > 0)
+        .map((cell) => cell.char)
+        .join('')
+    );
+  }
+}
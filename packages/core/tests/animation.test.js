@@ -0,0 +1,202 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import {
+  Tween,
+  Spring,
+  Keyframes,
+  Animator,
+  mixColors,
+  tweenColor,
+  tweenLayout,
+  setReducedMotion,
+  useTween,
+} from '../src/animation.js';
+import { Component } from '../src/component.js';
+import { Layout, LayoutNode } from '../src/layout.js';
+import { FrameScheduler } from '../src/scheduler.js';
+import { FerroHost } from '../src/host.js';
+import { trueColor } from '../src/utils/ansi.js';
+import { useState } from '../src/hooks.js';
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Animation', () => {
+  afterEach(() => {
+    setReducedMotion(false);
+  });
+
+  it('should tween values with easing and resolve when finished', async () => {
+    const values = [];
+    const tween = new Tween(0, 100, { duration: 100, easing: 'linear', onUpdate: (value) => values.push(value) });
+
+    tween.step(1000);
+    tween.step(1050);
+    tween.step(1200);
+
+    expect(values).to.deep.equal([0, 50, 100]);
+    expect(await tween.finished).to.be.true;
+
+    const eased = new Tween(0, 100, { duration: 100, easing: 'easeInQuad' });
+
+    eased.step(0);
+    eased.step(50);
+    expect(eased.value).to.equal(25);
+  });
+
+  it('should settle springs on the target', () => {
+    const spring = new Spring(0, 10);
+    let time = 0;
+
+    while (spring.isRunning && time < 5000) {
+      spring.step(time);
+      time += 16;
+    }
+
+    expect(spring.done).to.be.true;
+    expect(spring.value).to.equal(10);
+  });
+
+  it('should play keyframes and hold non-numeric frames', () => {
+    const spinner = new Keyframes(['|', '/', '-', '\\'], { duration: 400, iterations: Infinity });
+    const frames = [];
+
+    for (const time of [0, 150, 290, 400, 550]) {
+      spinner.step(time);
+      frames.push(spinner.value);
+    }
+
+    expect(frames).to.deep.equal(['|', '/', '-', '|', '/']);
+    expect(spinner.isRunning).to.be.true;
+
+    const bar = new Keyframes([{ value: 0 }, { offset: 0.5, value: 8 }, { value: 10 }], { duration: 100 });
+
+    bar.step(0);
+    bar.step(25);
+    expect(bar.value).to.equal(4);
+    bar.step(100);
+    expect(bar.done).to.be.true;
+    expect(bar.value).to.equal(10);
+  });
+
+  it('should animate colors and layout properties', () => {
+    const color = tweenColor('#000000', [255, 100, 0], { duration: 100, easing: 'linear', background: true });
+    const panel = tweenLayout({ width: 0, x: -20 }, { width: 30, x: 0 }, { duration: 100, easing: 'linear' });
+
+    color.step(0);
+    color.step(50);
+    panel.step(0);
+    panel.step(50);
+
+    expect(mixColors('#fff', '#000', 0.5)).to.deep.equal([128, 128, 128]);
+    expect(color.value).to.equal(trueColor(128, 50, 0, true));
+    expect(panel.value).to.deep.equal({ width: 15, position: 'relative', left: -10 });
+  });
+
+  it('should offset laid out nodes by the animated x', () => {
+    const panel = tweenLayout({ width: 10, x: -20 }, { width: 10, x: 0 }, { duration: 100, easing: 'linear' });
+    const row = new LayoutNode({ display: 'flex', width: 40, height: 1 });
+    const sibling = new LayoutNode({ width: 5 });
+
+    panel.step(0);
+    panel.step(25);
+
+    const node = new LayoutNode(panel.value);
+
+    row.appendChild(node);
+    row.appendChild(sibling);
+    new Layout().calculate(row);
+
+    expect([node.x, node.width]).to.deep.equal([-15, 10]);
+    expect(sibling.x).to.equal(10);
+  });
+
+  it('should jump to the end with reduced motion', () => {
+    setReducedMotion(true);
+
+    const tween = new Tween(0, 100, { duration: 1000 });
+
+    tween.step(0);
+
+    expect(tween.done).to.be.true;
+    expect(tween.value).to.equal(100);
+  });
+
+  describe('Animator', () => {
+    it('should advance animations once per frame and render the changes', async () => {
+      let renders = 0;
+      const scheduler = new FrameScheduler(() => renders++, { maxFps: 0 });
+      const animator = new Animator(scheduler);
+      const tween = animator.start(new Tween(0, 1, { duration: 20 }));
+
+      expect(await tween.finished).to.be.true;
+      await scheduler.waitForFrame();
+
+      expect(renders).to.be.greaterThan(1);
+      expect(animator.animations.size).to.equal(0);
+      expect(scheduler.isScheduled).to.be.false;
+    });
+  });
+
+  describe('with a host', () => {
+    let host;
+
+    beforeEach(() => {
+      host = new FerroHost({ stdin: new PassThrough(), stdout: new PassThrough(), columns: 20, rows: 5, maxFps: 0 });
+    });
+
+    afterEach(async () => {
+      await host.cleanup();
+    });
+
+    it('should cancel component animations on unmount', async () => {
+      let animation;
+
+      class Loader extends Component {
+        constructor(props) {
+          super(props);
+          this.on('afterMount', () => {
+            animation = this.animate(new Keyframes(['.', '..', '...'], { iterations: Infinity }));
+          });
+        }
+
+        render() {
+          return 'loading';
+        }
+      }
+
+      await host.mount(Loader);
+      await tick();
+      await host.unmount();
+
+      expect(await animation.finished).to.be.false;
+      expect(host.animator.animations.size).to.equal(0);
+    });
+
+    it('should tween towards new targets with useTween', async () => {
+      let setTarget;
+      const outputs = [];
+
+      function Bar() {
+        const [target, set] = useState(0);
+        const width = useTween(target, { duration: 30, easing: 'linear' });
+
+        setTarget = set;
+
+        return `width ${Math.round(width)}`;
+      }
+
+      host.on('render', (output) => outputs.push(output));
+      await host.mount(Bar);
+      await tick();
+
+      setTarget(10);
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      await host.frameScheduler.waitForFrame();
+
+      expect(outputs[0]).to.equal('width 0');
+      expect(outputs.at(-1)).to.equal('width 10');
+      expect(outputs.length).to.be.greaterThan(2);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import {
+  ScreenBuffer,
+  Attr,
+  createCell,
+  charWidth,
+  stringWidth,
+  sgrTransition,
+} from '../src/utils/buffer.js';
+
+describe('ScreenBuffer', () => {
+  describe('cells', () => {
+    it('should start with blank cells', () => {
+      const buffer = new ScreenBuffer(4, 2);
+      
+      expect(buffer.getCell(0, 0)).to.deep.equal(createCell());
+      expect(buffer.toLines()).to.deep.equal(['    ', '    ']);
+    });
+
+    it('should return null outside of the grid', () => {
+      const buffer = new ScreenBuffer(4, 2);
+      
+      expect(buffer.getCell(4, 0)).to.be.null;
+      expect(buffer.getCell(0, -1)).to.be.null;
+    });
+
+    it('should reserve two columns for wide characters', () => {
+      const buffer = new ScreenBuffer(4, 1);
+      
+      buffer.writeText(0, 0, '世a');
+      
+      expect(buffer.getCell(0, 0).width).to.equal(2);
+      expect(buffer.getCell(1, 0).width).to.equal(0);
+      expect(buffer.getCell(2, 0).char).to.equal('a');
+      expect(buffer.toLines()).to.deep.equal(['世a ']);
+    });
+
+    it('should blank the other half when overwriting a wide character', () => {
+      const buffer = new ScreenBuffer(4, 1);
+      
+      buffer.writeText(0, 0, '世');
+      buffer.writeText(1, 0, 'x');
+      
+      expect(buffer.toLines()).to.deep.equal([' x  ']);
+    });
+
+    it('should measure string width', () => {
+      expect(charWidth('a')).to.equal(1);
+      expect(charWidth('世')).to.equal(2);
+      expect(stringWidth('\x1b[31mab世\x1b[0m')).to.equal(4);
+    });
+  });
+
+  describe('writeText', () => {
+    it('should parse SGR sequences into cell styles', () => {
+      const buffer = new ScreenBuffer(6, 1);
+      
+      buffer.writeText(0, 0, '\x1b[1;31mab\x1b[0m\x1b[38;5;208;44mc');
+      
+      const bold = buffer.getCell(0, 0);
+      
+      expect(bold.attrs).to.equal(Attr.BOLD);
+      expect(bold.fg).to.equal('31');
+      
+      const extended = buffer.getCell(2, 0);
+      
+      expect(extended.attrs).to.equal(Attr.NONE);
+      expect(extended.fg).to.equal('38;5;208');
+      expect(extended.bg).to.equal('44');
+    });
+
+    it('should move to the next row on newlines', () => {
+      const buffer = new ScreenBuffer(4, 3);
+      const end = buffer.writeText(1, 0, 'ab\ncd');
+      
+      expect(buffer.toLines()).to.deep.equal([' ab ', ' cd ', '    ']);
+      expect(end).to.deep.equal({ x: 3, y: 1 });
+    });
+
+    it('should clip text to a rectangle', () => {
+      const buffer = new ScreenBuffer(6, 2);
+      
+      buffer.writeText(0, 0, 'abcdef\nghijkl', { clip: { x: 1, y: 0, width: 3, height: 1 } });
+      
+      expect(buffer.toLines()).to.deep.equal([' bcd  ', '      ']);
+    });
+  });
+
+  describe('diff', () => {
+    it('should report every cell against a missing buffer', () => {
+      const buffer = new ScreenBuffer(3, 2);
+      const runs = buffer.diff(null);
+      
+      expect(runs).to.have.lengthOf(2);
+      expect(runs[0].cells).to.have.lengthOf(3);
+    });
+
+    it('should report only changed runs', () => {
+      const previous = new ScreenBuffer(10, 2);
+      
+      previous.writeText(0, 0, 'hello world');
+      
+      const next = previous.clone();
+      
+      next.writeText(6, 0, 'WO');
+      next.writeText(9, 1, 'x');
+      
+      const runs = next.diff(previous);
+      
+      expect(runs).to.have.lengthOf(2);
+      expect(runs[0]).to.include({ x: 6, y: 0 });
+      expect(runs[0].cells.map((c) => c.char).join('')).to.equal('WO');
+      expect(runs[1]).to.include({ x: 9, y: 1 });
+    });
+
+    it('should treat style changes as changes', () => {
+      const previous = new ScreenBuffer(3, 1);
+      
+      previous.writeText(0, 0, 'abc');
+      
+      const next = new ScreenBuffer(3, 1);
+      
+      next.writeText(0, 0, 'a\x1b[4mb\x1b[0mc');
+      
+      const runs = next.diff(previous);
+      
+      expect(runs).to.have.lengthOf(1);
+      expect(runs[0].x).to.equal(1);
+      expect(runs[0].cells).to.have.lengthOf(1);
+    });
+  });
+
+  describe('sgrTransition', () => {
+    it('should emit a full style when the pen is unknown', () => {
+      expect(sgrTransition(null, createCell('a', '31', null, Attr.BOLD))).to.equal('\x1b[0;1;31m');
+    });
+
+    it('should emit nothing for identical styles', () => {
+      expect(sgrTransition(createCell('a', '31'), createCell('b', '31'))).to.equal('');
+    });
+
+    it('should only add what changed', () => {
+      const from = createCell('a', '31');
+      const to = createCell('b', '32', null, Attr.UNDERLINE);
+      
+      expect(sgrTransition(from, to)).to.equal('\x1b[4;32m');
+    });
+
+    it('should reset when an attribute is removed', () => {
+      const from = createCell('a', null, '44', Attr.BOLD);
+      const to = createCell('b', null, '44');
+      
+      expect(sgrTransition(from, to)).to.equal('\x1b[0;44m');
+    });
+  });
+});
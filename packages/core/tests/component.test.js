@@ -0,0 +1,140 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { Component, ComponentTree, h } from '../src/component.js';
+
+/**
+ * A component that counts its mounts and unmounts
+ */
+class Counter extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { count: 0 };
+    this.on('mount', () => Counter.log.push(`mount ${props.label}`));
+    this.on('unmount', () => Counter.log.push(`unmount ${this.props.label}`));
+  }
+
+  render() {
+    return h('text', {}, `${this.props.label}: ${this.state.count}`);
+  }
+}
+
+/**
+ * A factory element, like the ones in the components package
+ */
+function Field(props) {
+  return {
+    type: 'text',
+    value: props.value ?? '',
+    render() {
+      return `[${this.value}]`;
+    },
+    restoreState(previous) {
+      if (props.value === undefined) {
+        this.value = previous.value;
+      }
+    },
+  };
+}
+
+class List extends Component {
+  render() {
+    return h(
+      'box',
+      { style: { display: 'flex', flexDirection: 'column' } },
+      this.props.items.map((label) => h(Counter, { key: label, label }))
+    );
+  }
+}
+
+/**
+ * Get the text of every leaf of a layout tree
+ */
+function leaves(node) {
+  return node.children.length === 0 ? [node.content] : node.children.flatMap(leaves);
+}
+
+describe('ComponentTree reconciliation', () => {
+  beforeEach(() => {
+    Counter.log = [];
+  });
+
+  it('should reuse component instances and keep their state', () => {
+    const list = new List({ items: ['a', 'b'] });
+    const tree = new ComponentTree(list);
+
+    tree.mount();
+    tree.updateLayout(20, 5);
+
+    const [{ instance: a }] = list._rendered.values();
+
+    a.state.count = 5;
+    list.props = { items: ['a', 'b'] };
+
+    expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['a: 5', 'b: 0']);
+    expect(Counter.log).to.deep.equal(['mount a', 'mount b']);
+  });
+
+  it('should match keyed children when they move', () => {
+    const list = new List({ items: ['a', 'b', 'c'] });
+    const tree = new ComponentTree(list);
+
+    tree.mount();
+    tree.updateLayout(20, 5);
+
+    for (const { instance } of list._rendered.values()) {
+      instance.state.count = instance.props.label.charCodeAt(0) - 96;
+    }
+
+    list.props = { items: ['c', 'a'] };
+
+    expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['c: 3', 'a: 1']);
+    expect(Counter.log).to.deep.equal(['mount a', 'mount b', 'mount c', 'unmount b']);
+  });
+
+  it('should replace components whose type changed', () => {
+    class Other extends Counter {}
+    let type = Counter;
+    const parent = new Component();
+
+    parent.render = () => h('box', {}, h(type, { label: 'x' }));
+
+    const tree = new ComponentTree(parent);
+
+    tree.mount();
+    tree.updateLayout(20, 5);
+    type = Other;
+    tree.updateLayout(20, 5);
+
+    expect(Counter.log).to.deep.equal(['mount x', 'mount x', 'unmount x']);
+  });
+
+  it('should unmount rendered children with their parent', () => {
+    const tree = new ComponentTree(new List({ items: ['a'] }));
+
+    tree.mount();
+    tree.updateLayout(20, 5);
+    tree.unmount();
+
+    expect(Counter.log).to.deep.equal(['mount a', 'unmount a']);
+  });
+
+  it('should let factory elements restore their state', () => {
+    const parent = new Component();
+
+    parent.render = () => h('box', {}, h(Field, { key: 'name' }), h(Field, { value: 'fixed' }));
+
+    const tree = new ComponentTree(parent);
+
+    tree.mount();
+
+    const first = tree.updateLayout(20, 5);
+
+    first.children[0].element.value = 'typed';
+    first.children[1].element.value = 'changed';
+
+    const second = tree.updateLayout(20, 5);
+
+    expect(leaves(second)).to.deep.equal(['[typed]', '[fixed]']);
+    expect(second.children[0].element.key).to.equal('name');
+  });
+});
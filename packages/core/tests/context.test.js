@@ -0,0 +1,91 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { Component, ComponentTree, h } from '../src/component.js';
+import { createContext } from '../src/context.js';
+import { useContext } from '../src/hooks.js';
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Get the text of every leaf of a layout tree
+ */
+function leaves(node) {
+  return node.children.length === 0 ? [node.content] : node.children.flatMap(leaves);
+}
+
+/**
+ * Create a component that renders its render function
+ */
+function rendering(render) {
+  const component = new Component();
+
+  component.render = render;
+
+  return component;
+}
+
+describe('Context', () => {
+  const Theme = createContext('plain');
+
+  function Label({ text }) {
+    return `${useContext(Theme)}:${text}`;
+  }
+
+  class Badge extends Component {
+    render() {
+      return `${this.getContext(Theme)} badge`;
+    }
+  }
+
+  it('should use the default value without a provider', () => {
+    const tree = new ComponentTree(rendering(() => h('box', {}, h(Label, { text: 'a' }))));
+
+    tree.mount();
+
+    expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['plain:a']);
+  });
+
+  it('should read the nearest provider from hooks and components', () => {
+    const tree = new ComponentTree(
+      rendering(() =>
+        h(Theme.Provider, { value: 'dark' },
+          h('box', { style: { display: 'flex', flexDirection: 'column' } },
+            h(Label, { text: 'a' }),
+            h(Theme.Provider, { value: 'light' }, h(Badge)),
+            h(Badge)
+          )
+        )
+      )
+    );
+
+    tree.mount();
+
+    expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['dark:a', 'light badge', 'dark badge']);
+  });
+
+  it('should re-render consumers when the value changes', async () => {
+    const updates = [];
+
+    class TrackedBadge extends Badge {
+      constructor(props) {
+        super(props);
+        this.on('update', (rendered) => updates.push(rendered));
+      }
+    }
+
+    let theme = 'dark';
+    const tree = new ComponentTree(
+      rendering(() => h(Theme.Provider, { value: theme }, h(TrackedBadge)))
+    );
+
+    tree.mount();
+    tree.updateLayout(20, 5);
+    theme = 'light';
+
+    expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['light badge']);
+
+    await tick();
+
+    expect(updates).to.deep.equal(['light badge']);
+  });
+});
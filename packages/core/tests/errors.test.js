@@ -0,0 +1,307 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { Component, ComponentTree, createComponent, h } from '../src/component.js';
+import { ErrorBoundary } from '../src/error-boundary.js';
+import { createErrorOverlay, getSourceSnippet } from '../src/error-overlay.js';
+import { FerroHost } from '../src/host.js';
+import { style } from '../src/utils/ansi.js';
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Wait for pending input to be read and the frame it schedules to render
+ */
+async function nextFrame(host) {
+  await tick();
+  await host.frameScheduler.waitForFrame();
+}
+
+/**
+ * Get the text of every leaf of a layout tree
+ */
+function leaves(node) {
+  return node.children.length === 0 ? [node.content] : node.children.flatMap(leaves);
+}
+
+/**
+ * Create a component that renders its render function
+ */
+function rendering(render) {
+  const component = new Component();
+
+  component.render = render;
+
+  return component;
+}
+
+describe('Error handling', () => {
+  describe('ErrorBoundary', () => {
+    let broken;
+
+    class Widget extends Component {
+      render() {
+        if (broken) {
+          throw new Error('widget broke');
+        }
+
+        return 'widget';
+      }
+    }
+
+    beforeEach(() => {
+      broken = false;
+    });
+
+    it('should render a fallback when a child throws, and retry on reset', () => {
+      let retry;
+      const errors = [];
+      const tree = new ComponentTree(
+        rendering(() =>
+          h('box', { style: { display: 'flex', flexDirection: 'column' } },
+            h(ErrorBoundary, {
+              fallback: (error, reset) => {
+                retry = reset;
+
+                return `failed: ${error.message}`;
+              },
+              onError: (error, info) => errors.push(info.phase),
+            }, h(Widget)),
+            'sibling'
+          )
+        )
+      );
+
+      tree.mount();
+      expect(leaves(tree.updateLayout(30, 5))).to.deep.equal(['widget', 'sibling']);
+
+      broken = true;
+      expect(leaves(tree.updateLayout(30, 5))).to.deep.equal(['failed: widget broke', 'sibling']);
+      expect(errors).to.deep.equal(['render']);
+
+      broken = false;
+      retry();
+      expect(leaves(tree.updateLayout(30, 5))).to.deep.equal(['widget', 'sibling']);
+    });
+
+    it('should catch errors from mount handlers', () => {
+      const Failing = createComponent(() => 'never shown', {
+        onMount() {
+          throw new Error('mount failed');
+        },
+      });
+      const tree = new ComponentTree(rendering(() => h(ErrorBoundary, {}, h(Failing))));
+
+      tree.mount();
+
+      const [fallback] = leaves(tree.updateLayout(40, 5));
+
+      expect(fallback).to.equal(`${style.red}Error: mount failed${style.reset}`);
+    });
+
+    it('should unmount what a failed render created', () => {
+      const log = [];
+
+      class Tracked extends Component {
+        constructor(props) {
+          super(props);
+          this.on('mount', () => log.push('mount'));
+          this.on('unmount', () => log.push('unmount'));
+        }
+
+        render() {
+          return 'tracked';
+        }
+      }
+
+      const tree = new ComponentTree(
+        rendering(() => h(ErrorBoundary, { fallback: 'fallback' }, h('box', {}, h(Tracked), h(Widget))))
+      );
+
+      broken = true;
+      tree.mount();
+
+      expect(leaves(tree.updateLayout(40, 5))).to.deep.equal(['fallback']);
+      expect(log).to.deep.equal(['mount', 'unmount']);
+    });
+
+    it('should unmount every replaced component when one throws on unmount', () => {
+      let shown = true;
+      const log = [];
+      const errors = [];
+
+      class Failing extends Component {
+        constructor(props) {
+          super(props);
+          this.on('unmount', () => {
+            throw new Error('unmount failed');
+          });
+        }
+
+        render() {
+          return 'failing';
+        }
+      }
+
+      class Tracked extends Component {
+        constructor(props) {
+          super(props);
+          this.on('unmount', () => log.push('unmount'));
+        }
+
+        render() {
+          return 'tracked';
+        }
+      }
+
+      const tree = new ComponentTree(
+        rendering(() =>
+          h(ErrorBoundary, { onError: (error, info) => errors.push(`${info.phase}: ${error.message}`) },
+            shown ? h('box', {}, h(Failing), h(Tracked)) : 'empty'
+          )
+        )
+      );
+
+      tree.mount();
+      tree.updateLayout(40, 5);
+
+      shown = false;
+      tree.updateLayout(40, 5);
+
+      expect(errors).to.deep.equal(['unmount: unmount failed']);
+      expect(log).to.deep.equal(['unmount']);
+    });
+
+    it('should catch errors from key handlers below it', () => {
+      class Field extends Component {
+        handleFocus() {}
+
+        handleInput() {
+          throw new Error('bad key');
+        }
+
+        render() {
+          return 'field';
+        }
+      }
+
+      const errors = [];
+      const tree = new ComponentTree(
+        rendering(() =>
+          h(ErrorBoundary, { fallback: 'fallback', onError: (error) => errors.push(error.message) },
+            h('box', {}, h(Field, { autoFocus: true }))
+          )
+        )
+      );
+
+      tree.mount();
+      tree.updateLayout(20, 5);
+      tree.handleInput({ name: 'x' });
+
+      expect(errors).to.deep.equal(['bad key']);
+      expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['fallback']);
+    });
+  });
+
+  describe('error overlay', () => {
+    let host;
+    let stdin;
+
+    beforeEach(() => {
+      stdin = new PassThrough();
+      host = new FerroHost({ stdin, stdout: new PassThrough(), columns: 60, rows: 20 });
+    });
+
+    afterEach(async () => {
+      await host.cleanup();
+    });
+
+    it('should show the source of an error', () => {
+      const error = new Error('shown');
+      const snippet = getSourceSnippet(error);
+
+      expect(snippet.file).to.match(/errors\.test\.js$/);
+      expect(snippet.lines.find((line) => line.current).text).to.include("new Error('shown')");
+      const header = createErrorOverlay(error).children.slice(0, 4).map((child) => child.content).join('\n');
+
+      // Style sequences, not style names, come before the text
+      expect(header).to.include(`${style.bold}${style.red}Error: shown`);
+      expect(header).to.include(`${style.yellow}Press r to retry`);
+      expect(header).to.include(`${style.cyan}${snippet.file}`);
+      expect(header).to.not.match(/bold|red|yellow|cyan|dim/);
+    });
+
+    it('should replace the app until r is pressed, and keep the app running', async () => {
+      let failing = true;
+      const errors = [];
+
+      host.on('error', (error, info) => errors.push(`${info.phase}: ${error.message}`));
+      await host.mount({
+        name: 'App',
+        render: () => {
+          if (failing) {
+            throw new Error('render failed');
+          }
+
+          return 'app';
+        },
+      });
+      await tick();
+
+      const overlay = leaves(host.renderer.layoutTree).join('\n');
+
+      expect(overlay).to.include('Error: render failed');
+      expect(overlay).to.include('Press r to retry');
+      expect(overlay).to.include('errors.test.js');
+      expect(errors).to.deep.equal(['render: render failed']);
+      expect(host.isRunning).to.be.true;
+
+      failing = false;
+      stdin.write('x');
+      await tick();
+      expect(host.error).to.not.be.null;
+
+      stdin.write('r');
+      await nextFrame(host);
+
+      expect(host.error).to.be.null;
+      expect(host.renderer.layoutTree).to.be.null;
+    });
+
+    it('should report errors from key handlers without crashing', async () => {
+      await host.mount({
+        type: 'box',
+        children: [
+          {
+            type: 'text',
+            content: 'field',
+            autoFocus: true,
+            handleFocus() {},
+            handleKeyPress() {
+              throw new Error('key failed');
+            },
+          },
+        ],
+      });
+      await tick();
+
+      stdin.write('a');
+      await nextFrame(host);
+
+      expect(host.error.message).to.equal('key failed');
+    });
+
+    it('should restore the terminal and rethrow errors nothing handles', () => {
+      let restored = false;
+
+      host.config.errorOverlay = false;
+      host.restoreTerminal = () => {
+        restored = true;
+      };
+
+      expect(() => host.handleError(new Error('unhandled'), { phase: 'input' })).to.throw('unhandled');
+      expect(restored).to.be.true;
+      expect(host.error).to.be.null;
+    });
+  });
+});
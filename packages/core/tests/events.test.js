@@ -0,0 +1,175 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { KeyEvent, dispatchKeyEvent } from '../src/events.js';
+import { Component, ComponentTree } from '../src/component.js';
+import { FerroHost } from '../src/host.js';
+
+/**
+ * Create an element that logs every phase it sees
+ */
+function logger(name, log, options = {}) {
+  return {
+    name,
+    onKeyPressCapture: (event) => log.push(`${name}:${event.eventPhase}:capture`),
+    onKeyPress: (event) => log.push(`${name}:${event.eventPhase}`),
+    ...options,
+  };
+}
+
+describe('Key events', () => {
+  describe('dispatchKeyEvent', () => {
+    it('should capture down to the target and bubble back up', () => {
+      const log = [];
+      const path = [logger('root', log), logger('panel', log), logger('input', log)];
+
+      const event = dispatchKeyEvent(path, { name: 'a' });
+
+      expect(log).to.deep.equal([
+        'root:capture:capture',
+        'panel:capture:capture',
+        'input:target:capture',
+        'input:target',
+        'panel:bubble',
+        'root:bubble',
+      ]);
+      expect(event.target).to.equal(path[2]);
+      expect(event.name).to.equal('a');
+      expect(event.currentTarget).to.be.null;
+    });
+
+    it('should stop when a handler stops propagation', () => {
+      const log = [];
+      const path = [
+        logger('root', log),
+        logger('panel', log, {
+          onKeyPressCapture: (event) => {
+            log.push('panel:capture');
+            event.stopPropagation();
+          },
+        }),
+        logger('input', log),
+      ];
+
+      dispatchKeyEvent(path, { name: 'a' });
+
+      expect(log).to.deep.equal(['root:capture:capture', 'panel:capture']);
+    });
+
+    it('should treat returning true as stopping propagation', () => {
+      const log = [];
+      const path = [logger('root', log), { handleKeyPress: () => true }];
+
+      const event = dispatchKeyEvent(path, { name: 'a' });
+
+      expect(event.propagationStopped).to.be.true;
+      expect(log).to.deep.equal(['root:capture:capture']);
+    });
+
+    it('should record preventDefault without stopping propagation', () => {
+      const log = [];
+      const path = [logger('root', log), { onKeyPress: (event) => event.preventDefault() }];
+
+      const event = dispatchKeyEvent(path, new KeyEvent({ name: 'tab' }));
+
+      expect(event.defaultPrevented).to.be.true;
+      expect(log).to.deep.equal(['root:capture:capture', 'root:bubble']);
+    });
+  });
+
+  describe('with a component tree', () => {
+    class Field extends Component {
+      handleFocus() {}
+
+      handleInput(event) {
+        this.props.log.push(`field:${event.name}`);
+
+        return event.name.length === 1;
+      }
+
+      render() {
+        return { type: 'text', content: 'field' };
+      }
+    }
+
+    class Form extends Component {
+      constructor(props) {
+        super(props);
+        this.field = new Field({ log: props.log, autoFocus: true });
+        this.children = [this.field];
+      }
+
+      handleInputCapture(event) {
+        if (event.ctrl && event.name === 's') {
+          this.props.log.push('form:save');
+          event.stopPropagation();
+        }
+      }
+
+      handleInput(event) {
+        this.props.log.push(`form:${event.name}`);
+      }
+
+      render() {
+        return { type: 'box', children: this.children };
+      }
+    }
+
+    it('should let containers handle keys the focused component leaves alone', () => {
+      const log = [];
+      const tree = new ComponentTree(new Form({ log }));
+
+      tree.mount();
+      tree.updateLayout(20, 5);
+
+      tree.handleInput({ name: 'x' });
+      tree.handleInput({ name: 'escape' });
+      tree.handleInput({ name: 's', ctrl: true });
+
+      expect(log).to.deep.equal(['field:x', 'field:escape', 'form:escape', 'form:save']);
+    });
+  });
+
+  describe('with a host', () => {
+    let host;
+    let stdin;
+
+    beforeEach(() => {
+      stdin = new PassThrough();
+      host = new FerroHost({ stdin, stdout: new PassThrough(), columns: 20, rows: 5 });
+    });
+
+    afterEach(async () => {
+      await host.cleanup();
+    });
+
+    it('should skip Tab navigation when a component prevents the default', async () => {
+      const first = { type: 'text', content: 'a', autoFocus: true, handleFocus() {} };
+      const second = { type: 'text', content: 'b', handleFocus() {} };
+      const keys = [];
+
+      await host.mount({
+        type: 'box',
+        onKeyPress: (event) => {
+          keys.push(event.name);
+          if (event.ctrl && event.name === 'c') {
+            event.preventDefault();
+          }
+        },
+        children: [
+          { ...first, onKeyPress: (event) => event.preventDefault() },
+          second,
+        ],
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      stdin.write('\t');
+      stdin.write('\x03');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(keys).to.deep.equal(['tab', 'c']);
+      expect(host.focusManager.focused.content).to.equal('a');
+      expect(host.isRunning).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,272 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { FocusManager } from '../src/focus.js';
+import { Component, ComponentTree } from '../src/component.js';
+import { FerroHost } from '../src/host.js';
+import { Layout, createLayoutTree } from '../src/layout.js';
+import { measureTree } from '../src/paint.js';
+
+/**
+ * Create a focusable element that records its focus events
+ */
+function field(name, options = {}) {
+  return {
+    type: 'text',
+    name,
+    content: name,
+    events: [],
+    handleFocus() {
+      this.events.push('focus');
+    },
+    handleBlur() {
+      this.events.push('blur');
+    },
+    ...options,
+  };
+}
+
+/**
+ * Lay out an element tree the way the renderer does
+ */
+function layoutOf(element, width = 40, height = 10) {
+  const root = createLayoutTree(element);
+
+  measureTree(root);
+  new Layout().calculate(root, width, height);
+
+  return root;
+}
+
+const row = (...children) => ({ type: 'box', style: { display: 'flex' }, children });
+const column = (...children) => ({
+  type: 'box',
+  style: { display: 'flex', flexDirection: 'column' },
+  children,
+});
+
+describe('FocusManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new FocusManager();
+  });
+
+  describe('Tab order', () => {
+    it('should follow the layout from top to bottom and left to right', () => {
+      // c is declared before b but drawn on the row below it
+      const a = field('a');
+      const b = field('b');
+      const c = field('c');
+      const tree = row(column(a, c), column(b));
+
+      manager.update(layoutOf(tree));
+      manager.focusNext();
+      expect(manager.focused).to.equal(a);
+
+      manager.focusNext();
+      expect(manager.focused).to.equal(b);
+
+      manager.focusNext();
+      expect(manager.focused).to.equal(c);
+
+      manager.focusNext();
+      expect(manager.focused).to.equal(a);
+    });
+
+    it('should move backward and wrap around', () => {
+      const a = field('a');
+      const b = field('b');
+
+      manager.update(layoutOf(column(a, b)));
+      manager.focusPrevious();
+      expect(manager.focused).to.equal(b);
+
+      manager.focusPrevious();
+      expect(manager.focused).to.equal(a);
+    });
+
+    it('should put positive tabIndex first and skip negative ones', () => {
+      const a = field('a');
+      const b = field('b', { tabIndex: 2 });
+      const c = field('c', { tabIndex: 1 });
+      const d = field('d', { tabIndex: -1 });
+
+      manager.update(layoutOf(column(a, b, c, d)));
+
+      expect(manager.getTabbable().map(({ target }) => target.name)).to.deep.equal([
+        'c',
+        'b',
+        'a',
+      ]);
+    });
+
+    it('should skip focusable: false, disabled and non-interactive elements', () => {
+      const a = field('a', { focusable: false });
+      const b = field('b', { disabled: true });
+      const c = { type: 'text', content: 'plain' };
+      const d = { type: 'text', content: 'opt-in', focusable: true };
+
+      manager.update(layoutOf(column(a, b, c, d)));
+
+      expect(manager.getTabbable().map(({ target }) => target)).to.deep.equal([d]);
+    });
+  });
+
+  describe('focus events', () => {
+    it('should blur the previous component and focus the next', () => {
+      const a = field('a');
+      const b = field('b');
+
+      manager.update(layoutOf(column(a, b)));
+      manager.focusNext();
+      manager.focusNext();
+
+      expect(a.events).to.deep.equal(['focus', 'blur']);
+      expect(b.events).to.deep.equal(['focus']);
+      expect(a.focused).to.be.false;
+      expect(b.focused).to.be.true;
+    });
+
+    it('should focus autoFocus components once when they first render', () => {
+      const a = field('a');
+      const b = field('b', { autoFocus: true });
+      const tree = column(a, b);
+
+      expect(manager.update(layoutOf(tree))).to.be.true;
+      expect(manager.focused).to.equal(b);
+
+      manager.focus(a);
+      expect(manager.update(layoutOf(tree))).to.be.false;
+      expect(manager.focused).to.equal(a);
+    });
+
+    it('should keep focus on recreated elements at the same place', () => {
+      const render = () => column(field('a'), field('b'));
+
+      manager.update(layoutOf(render()));
+      manager.focusNext();
+      manager.focusNext();
+
+      const next = render();
+
+      expect(manager.update(layoutOf(next))).to.be.true;
+      expect(manager.focused).to.equal(next.children[1]);
+      expect(next.children[1].focused).to.be.true;
+      expect(next.children[1].events).to.deep.equal([]);
+    });
+  });
+
+  describe('focus traps', () => {
+    it('should keep Tab inside an open dialog and restore focus when it closes', () => {
+      const before = field('before');
+      const ok = field('ok');
+      const cancel = field('cancel');
+      const dialog = { type: 'box', focusTrap: true, children: [column(ok, cancel)] };
+
+      manager.update(layoutOf(column(before)));
+      manager.focusNext();
+      expect(manager.focused).to.equal(before);
+
+      // Opening the dialog moves focus into it
+      expect(manager.update(layoutOf(column(before, dialog)))).to.be.true;
+      expect(manager.focused).to.equal(ok);
+
+      manager.focusNext();
+      manager.focusNext();
+      expect(manager.focused).to.equal(ok);
+
+      // Closing it gives focus back
+      manager.update(layoutOf(column(before)));
+      expect(manager.focused).to.equal(before);
+    });
+
+    it('should prefer autoFocus inside a dialog', () => {
+      const cancel = field('cancel', { autoFocus: true });
+      const dialog = { type: 'box', focusTrap: true, children: [column(field('ok'), cancel)] };
+
+      manager.update(layoutOf(column(field('outside', { autoFocus: true }), dialog)));
+
+      expect(manager.focused).to.equal(cancel);
+    });
+  });
+
+  describe('with a component tree', () => {
+    class Field extends Component {
+      handleFocus() {
+        this.emit('focused');
+      }
+
+      render() {
+        return { type: 'text', content: `${this.props.label}${this.focused ? '*' : ''}` };
+      }
+    }
+
+    class Form extends Component {
+      constructor(props) {
+        super(props);
+        this.first = new Field({ label: 'first' });
+        this.second = new Field({ label: 'second', autoFocus: true });
+        this.children = [this.first, this.second];
+      }
+
+      render() {
+        return { type: 'box', style: { display: 'flex', flexDirection: 'column' }, children: this.children };
+      }
+    }
+
+    it('should render with focus applied and use setFocus', () => {
+      const form = new Form();
+      const tree = new ComponentTree(form);
+
+      tree.mount();
+
+      const layout = tree.updateLayout(20, 5);
+
+      expect(tree.focusedComponent).to.equal(form.second);
+      expect(layout.children[1].content).to.equal('second*');
+
+      tree.setFocus(form.first);
+      expect(form.second.focused).to.be.false;
+      expect(tree.updateLayout(20, 5).children[0].content).to.equal('first*');
+    });
+  });
+
+  describe('with a host', () => {
+    let host;
+    let stdin;
+
+    beforeEach(() => {
+      stdin = new PassThrough();
+      host = new FerroHost({ stdin, stdout: new PassThrough(), columns: 20, rows: 5 });
+    });
+
+    afterEach(async () => {
+      await host.cleanup();
+    });
+
+    it('should move focus with Tab and Shift+Tab', async () => {
+      const keys = [];
+      const a = field('a', { handleKeyPress: (key) => keys.push(`a:${key.name}`) });
+      const b = field('b', { handleKeyPress: (key) => keys.push(`b:${key.name}`) });
+
+      await host.mount(column(a, b));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      stdin.write('\t');
+      await new Promise((resolve) => setImmediate(resolve));
+      stdin.write('\t');
+      await new Promise((resolve) => setImmediate(resolve));
+      stdin.write('x');
+      stdin.write('\x1b[Z');
+      await new Promise((resolve) => setImmediate(resolve));
+      stdin.write('y');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      // Tab reaches the focused component before the host moves focus
+      expect(keys).to.deep.equal(['a:tab', 'b:x', 'b:tab', 'a:y']);
+      expect(a.focused).to.be.true;
+      expect(b.focused).to.be.false;
+    });
+  });
+});
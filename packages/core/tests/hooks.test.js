@@ -0,0 +1,317 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { Component, ComponentTree, createComponent, h } from '../src/component.js';
+import { ErrorBoundary } from '../src/error-boundary.js';
+import { FerroHost } from '../src/host.js';
+import {
+  useState,
+  useReducer,
+  useEffect,
+  useMemo,
+  useRef,
+  useInput,
+  useFocus,
+  useTerminalSize,
+  useInterval,
+} from '../src/hooks.js';
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait for pending input to be read and the frame it schedules to render
+ */
+async function nextFrame(host) {
+  await tick();
+  await host.frameScheduler.waitForFrame();
+}
+
+/**
+ * Get the text of every leaf of a layout tree
+ */
+function leaves(node) {
+  return node.children.length === 0 ? [node.content] : node.children.flatMap(leaves);
+}
+
+describe('Hooks', () => {
+  describe('in a component tree', () => {
+    it('should keep state between renders and re-render when it changes', async () => {
+      let increment;
+      const Counter = createComponent(() => {
+        const [count, setCount] = useState(0);
+        const [total, dispatch] = useReducer((sum, n) => sum + n, 10);
+
+        increment = () => {
+          setCount((n) => n + 1);
+          dispatch(5);
+        };
+
+        return `${count} ${total}`;
+      });
+      const tree = new ComponentTree(new Counter());
+
+      tree.mount();
+      expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['0 10']);
+
+      increment();
+      await tick();
+
+      expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['1 15']);
+    });
+
+    it('should give function components their own state per slot', () => {
+      const setters = {};
+
+      function Item({ name }) {
+        const [clicks, setClicks] = useState(0);
+
+        setters[name] = setClicks;
+
+        return `${name}: ${clicks}`;
+      }
+
+      class List extends Component {
+        render() {
+          return h('box', { style: { display: 'flex', flexDirection: 'column' } },
+            h(Item, { key: 'a', name: 'a' }),
+            h(Item, { key: 'b', name: 'b' })
+          );
+        }
+      }
+
+      const tree = new ComponentTree(new List());
+
+      tree.mount();
+      tree.updateLayout(20, 5);
+      setters.b(3);
+
+      expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['a: 0', 'b: 3']);
+    });
+
+    it('should run effects after layout and clean them up', () => {
+      const log = [];
+
+      function Ticker({ label }) {
+        useEffect(() => {
+          log.push(`start ${label}`);
+
+          return () => log.push(`stop ${label}`);
+        }, [label]);
+
+        return label;
+      }
+
+      const parent = new Component();
+      let children = [h(Ticker, { key: 't', label: 'one' })];
+
+      parent.render = () => h('box', {}, ...children);
+
+      const tree = new ComponentTree(parent);
+
+      tree.mount();
+      tree.updateLayout(20, 5);
+      tree.updateLayout(20, 5);
+      expect(log).to.deep.equal(['start one']);
+
+      children = [h(Ticker, { key: 't', label: 'two' })];
+      tree.updateLayout(20, 5);
+      expect(log).to.deep.equal(['start one', 'stop one', 'start two']);
+
+      children = [];
+      tree.updateLayout(20, 5);
+      children = [h(Ticker, { key: 't', label: 'three' })];
+      tree.updateLayout(20, 5);
+      tree.unmount();
+
+      expect(log.slice(3)).to.deep.equal(['stop two', 'start three', 'stop three']);
+    });
+
+    it('should pass errors from effects to error boundaries and run the other effects', () => {
+      const log = [];
+      const errors = [];
+
+      function Failing() {
+        useEffect(() => {
+          throw new Error('effect failed');
+        }, []);
+
+        return 'failing';
+      }
+
+      function Logger() {
+        useEffect(() => {
+          log.push('ran');
+        }, []);
+
+        return 'logger';
+      }
+
+      const parent = new Component();
+
+      parent.render = () => h(
+        'box',
+        {},
+        h(ErrorBoundary, { fallback: 'fallback', onError: (error, info) => errors.push(`${info.phase}: ${error.message}`) },
+          h(Failing)),
+        h(Logger)
+      );
+
+      const tree = new ComponentTree(parent);
+
+      tree.mount();
+      tree.updateLayout(20, 5);
+
+      expect(errors).to.deep.equal(['effect: effect failed']);
+      expect(log).to.deep.equal(['ran']);
+      expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['fallback', 'logger']);
+    });
+
+    it('should memoize values and keep refs', () => {
+      let computed = 0;
+      let renders;
+      const Widget = createComponent((props) => {
+        const doubled = useMemo(() => {
+          computed++;
+
+          return props.n * 2;
+        }, [props.n]);
+
+        renders = useRef(0);
+        renders.current++;
+
+        return String(doubled);
+      });
+      const widget = new Widget({ n: 2 });
+      const tree = new ComponentTree(widget);
+
+      tree.mount();
+      tree.updateLayout(20, 5);
+      widget.props = { n: 3 };
+
+      expect(leaves(tree.updateLayout(20, 5))).to.deep.equal(['6']);
+      expect(computed).to.equal(2);
+      expect(renders.current).to.equal(3);
+    });
+
+    it('should refuse to run outside of a render', () => {
+      expect(() => useState(0)).to.throw(/can only be called while a component renders/);
+    });
+  });
+
+  describe('with a host', () => {
+    let host;
+    let stdin;
+
+    beforeEach(() => {
+      stdin = new PassThrough();
+      host = new FerroHost({ stdin, stdout: new PassThrough(), columns: 20, rows: 5 });
+    });
+
+    afterEach(async () => {
+      await host.cleanup();
+    });
+
+    it('should pass keys to useInput and re-render on state changes', async () => {
+      const outputs = [];
+
+      function Typist() {
+        const [text, setText] = useState('');
+
+        useInput((key) => setText((value) => value + key.name));
+
+        return `> ${text}`;
+      }
+
+      host.on('render', (output) => outputs.push(output));
+      await host.mount(Typist);
+      await tick();
+
+      stdin.write('hi');
+      await nextFrame(host);
+
+      expect(outputs.at(-1)).to.equal('> hi');
+    });
+
+    it('should report errors from effects and cleanups to the host', async () => {
+      const errors = [];
+
+      function Effects() {
+        useEffect(() => () => {
+          throw new Error('cleanup failed');
+        }, []);
+        useEffect(() => {
+          throw new Error('effect failed');
+        }, []);
+
+        return 'effects';
+      }
+
+      host.on('error', (error, info) => errors.push(`${info.phase}: ${error.message}`));
+      await host.mount(Effects);
+      await tick();
+      await host.unmount();
+
+      expect(errors).to.deep.equal(['effect: effect failed', 'unmount: cleanup failed']);
+    });
+
+    it('should make function components focusable with useFocus', async () => {
+      function Item({ label, autoFocus }) {
+        const { isFocused } = useFocus({ autoFocus });
+
+        return h('text', {}, `${isFocused ? '>' : ' '} ${label}`);
+      }
+
+      class Menu extends Component {
+        render() {
+          return h('box', { style: { display: 'flex', flexDirection: 'column' } },
+            h(Item, { key: 'a', label: 'a', autoFocus: true }),
+            h(Item, { key: 'b', label: 'b' })
+          );
+        }
+      }
+
+      await host.mount(Menu);
+      await tick();
+      expect(host.focusManager.focused.children[0]).to.equal('> a');
+
+      stdin.write('\t');
+      await nextFrame(host);
+
+      expect(host.focusManager.focused.children[0]).to.equal('> b');
+    });
+
+    it('should report the terminal size', async () => {
+      let size;
+
+      await host.mount(() => {
+        size = useTerminalSize();
+
+        return '';
+      });
+      await tick();
+
+      expect(size).to.deep.equal({ columns: 20, rows: 5 });
+    });
+
+    it('should stop intervals on unmount', async () => {
+      let ticks = 0;
+
+      await host.mount(() => {
+        useInterval(() => ticks++, 5);
+
+        return '';
+      });
+      await tick();
+      await wait(30);
+      await host.unmount();
+
+      const stopped = ticks;
+
+      await wait(20);
+
+      expect(stopped).to.be.greaterThan(0);
+      expect(ticks).to.equal(stopped);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 // Test framework: Mocha with Chai
 import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
 import { FerroHost } from '../src/host.js';
 
 describe('FerroHost', () => {
@@ -172,6 +173,193 @@ describe('FerroHost', () => {
     });
   });
 
+  describe('terminal state', () => {
+    const TestComponent = { name: 'TestComponent', render: () => 'Hello' };
+    let written;
+
+    beforeEach(() => {
+      written = [];
+      host.terminal.write = (data) => written.push(data);
+    });
+
+    it('should enter and leave the alternate screen', async () => {
+      host.config.altScreen = true;
+      
+      await host.mount(TestComponent);
+      expect(written).to.include('\x1b[?1049h');
+      
+      await host.cleanup();
+      expect(written).to.include('\x1b[?1049l');
+    });
+
+    it('should restore every mode it touched on cleanup', async () => {
+      host.config.cursorShape = 'bar';
+      host.config.keypad = true;
+      
+      await host.mount(TestComponent);
+      await host.cleanup();
+      
+      const output = written.join('');
+      
+      expect(output).to.include('\x1b[22;0t');
+      expect(output).to.include('\x1b[23;0t');
+      expect(output).to.include('\x1b[0 q');
+      expect(output).to.include('\x1b>');
+      expect(output).to.include('\x1b[?25h');
+      expect(host.terminal.modes.size).to.equal(0);
+    });
+
+    it('should restore the terminal synchronously on crash paths', async () => {
+      host.config.mouse = true;
+      
+      await host.mount(TestComponent);
+      written = [];
+      
+      host.restoreTerminal();
+      
+      expect(written.join('')).to.include('\x1b[?1000l');
+      expect(host.terminal.modes.size).to.equal(0);
+    });
+
+    it('should install exit handlers while running', async () => {
+      const before = process.listenerCount('SIGTERM');
+      
+      await host.mount(TestComponent);
+      expect(process.listenerCount('SIGTERM')).to.equal(before + 1);
+      expect(process.listenerCount('uncaughtExceptionMonitor')).to.be.greaterThan(0);
+      
+      await host.cleanup();
+      expect(process.listenerCount('SIGTERM')).to.equal(before);
+    });
+  });
+
+  describe('streams', () => {
+    const TestComponent = { name: 'TestComponent', render: () => 'Hello' };
+    let stdin;
+    let stdout;
+    let output;
+
+    beforeEach(() => {
+      stdin = new PassThrough();
+      stdout = new PassThrough();
+      output = '';
+      stdout.on('data', (chunk) => {
+        output += chunk.toString();
+      });
+      
+      host = new FerroHost({ stdin, stdout, columns: 20, rows: 5 });
+    });
+
+    it('should write frames to the configured output stream', async () => {
+      await host.mount(TestComponent);
+      await new Promise((resolve) => setImmediate(resolve));
+      
+      expect(output).to.include('Hello');
+      expect(host.renderer.config.width).to.equal(20);
+      expect(host.renderer.config.height).to.equal(5);
+    });
+
+    it('should read keys from the configured input stream', async () => {
+      const keys = [];
+      
+      host.on('input', (key) => keys.push(key));
+      await host.mount(TestComponent);
+      
+      stdin.write('a');
+      await new Promise((resolve) => setImmediate(resolve));
+      
+      expect(keys.map((key) => key.name)).to.include('a');
+    });
+
+    it('should re-read the size source on resize', async () => {
+      let columns = 20;
+      
+      host = new FerroHost({ stdin, stdout, columns: () => columns, rows: 5 });
+      await host.mount(TestComponent);
+      
+      columns = 40;
+      stdout.emit('resize');
+      
+      expect(host.renderer.config.width).to.equal(40);
+    });
+  });
+
+  describe('mouse', () => {
+    let stdin;
+    let calls;
+    let App;
+
+    const send = async (data) => {
+      stdin.write(data);
+      await new Promise((resolve) => setImmediate(resolve));
+    };
+
+    const record = (name) => (event) => calls.push([name, event.localX, event.localY]);
+
+    beforeEach(async () => {
+      stdin = new PassThrough();
+      calls = [];
+      App = {
+        type: 'box',
+        style: { display: 'flex', flexDirection: 'row', width: 20, height: 3 },
+        onScroll: (event) => calls.push(['scroll', event.direction]),
+        children: [
+          {
+            type: 'text',
+            content: 'Left',
+            style: { width: 10 },
+            onClick: record('left'),
+            onMouseEnter: record('enter'),
+            onMouseLeave: record('leave'),
+          },
+          { type: 'text', content: 'Right', style: { width: 10 }, onClick: record('right') },
+        ],
+      };
+      
+      host = new FerroHost({ stdin, stdout: new PassThrough(), columns: 20, rows: 5, mouse: true });
+      await host.mount(App);
+      await new Promise((resolve) => setImmediate(resolve));
+    });
+
+    it('should click the deepest component under the pointer', async () => {
+      await send('\x1b[<0;13;1M\x1b[<0;13;1m');
+      
+      expect(calls).to.deep.equal([['right', 2, 0]]);
+    });
+
+    it('should not click when press and release land on different components', async () => {
+      await send('\x1b[<0;2;1M\x1b[<0;13;1m');
+      
+      expect(calls.filter(([name]) => name === 'left' || name === 'right')).to.have.length(0);
+    });
+
+    it('should send enter and leave events as the pointer moves', async () => {
+      await send('\x1b[<35;3;1M');
+      await send('\x1b[<35;4;1M');
+      await send('\x1b[<35;15;1M');
+      
+      expect(calls).to.deep.equal([
+        ['enter', 2, 0],
+        ['leave', 14, 0],
+      ]);
+    });
+
+    it('should bubble scroll events to an ancestor that handles them', async () => {
+      await send('\x1b[<65;13;1M');
+      
+      expect(calls).to.deep.equal([['scroll', 'down']]);
+    });
+
+    it('should keep emitting raw mouse events', async () => {
+      const events = [];
+      
+      host.on('mouse', (event) => events.push(event.action));
+      await send('\x1b[<0;1;1M\x1b[<32;2;1M\x1b[<35;3;1M');
+      
+      expect(events).to.deep.equal(['press', 'drag', 'move']);
+    });
+  });
+
   describe('event handling', () => {
     it('should register event listeners', () => {
       const handler = () => {};
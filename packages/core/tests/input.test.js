@@ -0,0 +1,308 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { InputManager } from '../src/input.js';
+import { InputTokenizer } from '../src/tokenizer.js';
+
+describe('InputTokenizer', () => {
+  let tokenizer;
+
+  beforeEach(() => {
+    tokenizer = new InputTokenizer();
+  });
+
+  it('should split a chunk into individual keys', () => {
+    expect(tokenizer.push('ab\x1b[A\r\x1bOP\x1b[1;5C')).to.deep.equal([
+      'a',
+      'b',
+      '\x1b[A',
+      '\r',
+      '\x1bOP',
+      '\x1b[1;5C',
+    ]);
+  });
+
+  it('should keep surrogate pairs together', () => {
+    expect(tokenizer.push('😀x')).to.deep.equal(['😀', 'x']);
+  });
+
+  it('should hold back sequences split across chunks', () => {
+    expect(tokenizer.push('x\x1b[1;')).to.deep.equal(['x']);
+    expect(tokenizer.hasPending).to.be.true;
+    expect(tokenizer.push('5A')).to.deep.equal(['\x1b[1;5A']);
+    expect(tokenizer.hasPending).to.be.false;
+  });
+
+  it('should resolve a trailing escape on flush', () => {
+    expect(tokenizer.push('\x1b')).to.deep.equal([]);
+    expect(tokenizer.flush()).to.deep.equal(['\x1b']);
+  });
+
+  it('should read Alt+key and Alt+sequence as one token', () => {
+    expect(tokenizer.push('\x1bx\x1b\x1b[A')).to.deep.equal(['\x1bx', '\x1b\x1b[A']);
+  });
+
+  it('should read a bracketed paste as one token', () => {
+    expect(tokenizer.push('a\x1b[200~x\x1b[Ay')).to.deep.equal(['a']);
+    expect(tokenizer.isPasting).to.be.true;
+    expect(tokenizer.push('\r\x1b[201~b')).to.deep.equal(['\x1b[200~x\x1b[Ay\r\x1b[201~', 'b']);
+  });
+
+  it('should find a paste end marker split across chunks', () => {
+    const chunks = ['\x1b[200~long paste', ' text', '\x1b', '[', '20', '1', '~x'];
+    const tokens = chunks.flatMap((chunk) => tokenizer.push(chunk));
+
+    expect(tokens).to.deep.equal(['\x1b[200~long paste text\x1b[201~', 'x']);
+    expect(tokenizer.hasPending).to.be.false;
+  });
+
+  it('should resolve an unfinished paste on flush', () => {
+    expect(tokenizer.push('\x1b[200~abc')).to.deep.equal([]);
+    expect(tokenizer.push('def')).to.deep.equal([]);
+    expect(tokenizer.flush()).to.deep.equal(['\x1b[200~abcdef']);
+    expect(tokenizer.isPasting).to.be.false;
+  });
+
+  it('should read mouse reports as one token', () => {
+    expect(tokenizer.push('\x1b[<0;3;4M\x1b[M !!')).to.deep.equal(['\x1b[<0;3;4M', '\x1b[M !!']);
+  });
+});
+
+describe('InputManager', () => {
+  let stdin;
+  let input;
+  let keys;
+
+  beforeEach(() => {
+    stdin = new PassThrough();
+    input = new InputManager({ stdin, stdout: new PassThrough(), escapeTimeout: 5 });
+    keys = [];
+    input.on('keypress', (key) => keys.push(key));
+    input.start();
+  });
+
+  afterEach(() => {
+    input.stop();
+  });
+
+  const send = async (data) => {
+    stdin.write(data);
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+
+  describe('parseKey', () => {
+    it('should decode xterm modifier parameters', () => {
+      expect(input.parseKey('\x1b[1;5A')).to.include({ name: 'up', ctrl: true, shift: false });
+      expect(input.parseKey('\x1b[1;2D')).to.include({ name: 'left', shift: true });
+      expect(input.parseKey('\x1b[1;3H')).to.include({ name: 'home', meta: true });
+      expect(input.parseKey('\x1b[3;6~')).to.include({ name: 'delete', ctrl: true, shift: true });
+    });
+
+    it('should decode SS3 keys', () => {
+      expect(input.parseKey('\x1bOA').name).to.equal('up');
+      expect(input.parseKey('\x1bOP').name).to.equal('f1');
+      expect(input.parseKey('\x1bOS').name).to.equal('f4');
+    });
+
+    it('should decode function keys', () => {
+      expect(input.parseKey('\x1b[15~').name).to.equal('f5');
+      expect(input.parseKey('\x1b[17~').name).to.equal('f6');
+      expect(input.parseKey('\x1b[24;5~')).to.include({ name: 'f12', ctrl: true });
+    });
+
+    it('should decode shift+tab', () => {
+      expect(input.parseKey('\x1b[Z')).to.include({ name: 'tab', shift: true });
+    });
+
+    it('should decode Alt combinations', () => {
+      expect(input.parseKey('\x1bx')).to.include({ name: 'x', meta: true });
+      expect(input.parseKey('\x1b\x1b[B')).to.include({ name: 'down', meta: true });
+      expect(input.parseKey('\x1b\x7f')).to.include({ name: 'backspace', meta: true });
+    });
+
+    it('should decode control characters', () => {
+      expect(input.parseKey('\x03')).to.include({ name: 'c', ctrl: true });
+      expect(input.parseKey('\r').name).to.equal('enter');
+      expect(input.parseKey('\t').name).to.equal('tab');
+      expect(input.parseKey('A')).to.include({ name: 'A', shift: true, code: 65 });
+    });
+  });
+
+  describe('parseMouse', () => {
+    it('should decode SGR presses, releases and modifiers', () => {
+      expect(input.parseMouse('\x1b[<0;5;2M')).to.deep.equal({
+        x: 4,
+        y: 1,
+        button: 'left',
+        action: 'press',
+        shift: false,
+        meta: false,
+        ctrl: false,
+      });
+      expect(input.parseMouse('\x1b[<2;1;1m')).to.include({ button: 'right', action: 'release' });
+      expect(input.parseMouse('\x1b[<20;1;1M')).to.include({ shift: true, ctrl: true, meta: false });
+    });
+
+    it('should tell drags from moves', () => {
+      expect(input.parseMouse('\x1b[<32;1;1M')).to.include({ action: 'drag', button: 'left' });
+      expect(input.parseMouse('\x1b[<35;1;1M')).to.include({ action: 'move', button: null });
+    });
+
+    it('should decode scrolling', () => {
+      expect(input.parseMouse('\x1b[<64;1;1M')).to.include({ action: 'scroll', button: 'up' });
+      expect(input.parseMouse('\x1b[<73;1;1M')).to.include({ action: 'scroll', button: 'down', meta: true });
+    });
+
+    it('should decode legacy X10 reports', () => {
+      expect(input.parseMouse('\x1b[M !"')).to.include({ x: 0, y: 1, button: 'left', action: 'press' });
+      expect(input.parseMouse('\x1b[M#!"')).to.include({ button: null, action: 'release' });
+    });
+
+    it('should ignore other input', () => {
+      expect(input.parseMouse('\x1b[A')).to.be.null;
+    });
+  });
+
+  describe('streaming input', () => {
+    it('should emit one keypress per key in a chunk', async () => {
+      await send('hi\x1b[A');
+
+      expect(keys.map((key) => key.name)).to.deep.equal(['h', 'i', 'up']);
+    });
+
+    it('should report a lone escape after the escape timeout', async () => {
+      await send('\x1b');
+      expect(keys).to.have.length(0);
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(keys.map((key) => key.name)).to.deep.equal(['escape']);
+    });
+
+    it('should combine escape with a quickly following key into Alt+key', async () => {
+      await send('\x1b');
+      await send('f');
+
+      expect(keys).to.have.length(1);
+      expect(keys[0]).to.include({ name: 'f', meta: true });
+    });
+
+    it('should emit pastes as a single paste event', async () => {
+      const pastes = [];
+
+      input.on('paste', (text) => pastes.push(text));
+      await send('\x1b[200~hello\x1b');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await send('[Bworld\x1b[201~!');
+
+      expect(pastes).to.deep.equal(['hello\x1b[Bworld']);
+      expect(keys.map((key) => key.name)).to.deep.equal(['!']);
+    });
+
+    it('should enable bracketed paste mode while started', () => {
+      expect(input.terminal.isEnabled('bracketedPaste')).to.be.true;
+
+      input.stop();
+      expect(input.terminal.isEnabled('bracketedPaste')).to.be.false;
+    });
+
+    it('should emit mouse reports as mouse events', async () => {
+      const events = [];
+
+      input.on('mouse', (event) => events.push(event));
+      await send('a\x1b[<0;3;4Mb');
+
+      expect(keys.map((key) => key.name)).to.deep.equal(['a', 'b']);
+      expect(events[0]).to.include({ x: 2, y: 3, button: 'left', action: 'press' });
+    });
+  });
+
+  describe('kitty keyboard protocol', () => {
+    it('should parse CSI u keys with modifiers', () => {
+      expect(input.parseKey('\x1b[105;5u')).to.include({ name: 'i', ctrl: true, eventType: 'press' });
+      expect(input.parseKey('\x1b[9u')).to.include({ name: 'tab', ctrl: false });
+      expect(input.parseKey('\x1b[13;3u')).to.include({ name: 'enter', meta: true });
+      expect(input.parseKey('\x1b[97;9u')).to.include({ name: 'a', meta: true, super: true });
+    });
+
+    it('should parse event types and alternate keys', () => {
+      const key = input.parseKey('\x1b[97:65:113;2:2u');
+
+      expect(key).to.include({
+        name: 'A',
+        shift: true,
+        eventType: 'repeat',
+        shiftedKey: 'A',
+        baseLayoutKey: 'q',
+      });
+      expect(input.parseKey('\x1b[1;5:3A')).to.include({ name: 'up', ctrl: true, eventType: 'release' });
+    });
+
+    it('should report releases separately from presses', async () => {
+      const releases = [];
+
+      input.on('keyrelease', (key) => releases.push(key.name));
+      await send('\x1b[97u\x1b[97;1:3u');
+
+      expect(keys.map((key) => key.name)).to.deep.equal(['a']);
+      expect(releases).to.deep.equal(['a']);
+    });
+
+    describe('negotiation', () => {
+      let written;
+
+      const startWithKitty = (options = {}) => {
+        input.stop();
+        written = [];
+        input = new InputManager({
+          stdin,
+          stdout: new PassThrough(),
+          kittyKeyboard: true,
+          keyboardQueryTimeout: 10,
+          ...options,
+        });
+        input.terminal.write = (data) => written.push(data);
+        input.on('keypress', (key) => keys.push(key));
+        input.start();
+      };
+
+      it('should query the terminal and push flags when it answers', async () => {
+        startWithKitty();
+        expect(written.join('')).to.include('\x1b[?u\x1b[c');
+
+        await send('\x1b[?0u\x1b[?62;22c');
+
+        expect(input.keyboardProtocol).to.equal('kitty');
+        expect(written).to.include('\x1b[>7u');
+        expect(keys).to.have.length(0);
+
+        input.stop();
+        expect(written.at(-1)).to.equal('\x1b[<u');
+      });
+
+      it('should request custom flags', async () => {
+        startWithKitty({ kittyKeyboard: 3 });
+        await send('\x1b[?0u');
+
+        expect(written).to.include('\x1b[>3u');
+      });
+
+      it('should fall back when only device attributes are reported', async () => {
+        startWithKitty();
+        await send('\x1b[?62;22c');
+
+        expect(input.keyboardProtocol).to.equal('legacy');
+        expect(written.join('')).to.not.include('\x1b[>');
+      });
+
+      it('should fall back when the terminal does not answer', async () => {
+        startWithKitty();
+        await new Promise((resolve) => setTimeout(resolve, 30));
+
+        expect(input.keyboardProtocol).to.equal('legacy');
+
+        input.stop();
+        expect(written.join('')).to.not.include('\x1b[<u');
+      });
+    });
+  });
+});
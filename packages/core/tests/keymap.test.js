@@ -0,0 +1,303 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Keymap, normalizeKey, formatKey } from '../src/keymap.js';
+import { InputManager } from '../src/input.js';
+import { FerroHost } from '../src/host.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Press a sequence of keys given as descriptions, e.g. 'ctrl+x'
+ */
+function press(keymap, keys, context) {
+  return keys.split(' ').map((description) => {
+    const parts = description.split('+');
+    const name = parts.pop();
+
+    return keymap.handleKey(
+      { name, ctrl: parts.includes('ctrl'), meta: parts.includes('meta'), shift: false },
+      context
+    );
+  });
+}
+
+describe('Keymap', () => {
+  let keymap;
+  let ran;
+
+  beforeEach(() => {
+    keymap = new Keymap({ timeout: 20 });
+    ran = [];
+    keymap.on('command', (command) => ran.push(command));
+  });
+
+  afterEach(() => {
+    keymap.reset();
+  });
+
+  describe('key descriptions', () => {
+    it('should normalize modifiers, aliases and shifted characters', () => {
+      expect(normalizeKey('Alt+Ctrl+X')).to.equal('ctrl+meta+x');
+      expect(normalizeKey('shift+g')).to.equal('G');
+      expect(normalizeKey('Esc')).to.equal('escape');
+      expect(normalizeKey('ctrl++')).to.equal('ctrl++');
+      expect(normalizeKey('shift+Tab')).to.equal('shift+tab');
+    });
+
+    it('should describe parsed keys the same way', () => {
+      expect(formatKey({ name: 'G', shift: true })).to.equal('G');
+      expect(formatKey({ name: ' ', ctrl: true })).to.equal('ctrl+space');
+      expect(formatKey({ name: 'tab', shift: true })).to.equal('shift+tab');
+    });
+
+    it('should reject unknown modifiers', () => {
+      expect(() => keymap.bind('hyperish+x', 'x')).to.throw(/Unknown modifier/);
+    });
+  });
+
+  describe('sequences', () => {
+    it('should run single keys and chords', () => {
+      keymap.bind('ctrl+s', 'save');
+      keymap.bind('ctrl+x ctrl+c', 'quit');
+
+      expect(press(keymap, 'ctrl+s')).to.deep.equal([true]);
+      expect(press(keymap, 'ctrl+x ctrl+c')).to.deep.equal([true, true]);
+      expect(ran).to.deep.equal(['save', 'quit']);
+    });
+
+    it('should drop a broken sequence and retry the last key alone', () => {
+      keymap.bind('ctrl+x ctrl+c', 'quit');
+      keymap.bind('ctrl+s', 'save');
+
+      expect(press(keymap, 'ctrl+x ctrl+s')).to.deep.equal([true, true]);
+      expect(press(keymap, 'ctrl+x a')).to.deep.equal([true, false]);
+      expect(ran).to.deep.equal(['save']);
+    });
+
+    it('should run the shorter binding when another key breaks the sequence', () => {
+      keymap.bind('g g', 'top');
+      keymap.bind('g', 'go');
+      keymap.bind('x', 'delete');
+
+      expect(press(keymap, 'g x')).to.deep.equal([true, true]);
+      expect(press(keymap, 'g a')).to.deep.equal([true, false]);
+      expect(ran).to.deep.equal(['go', 'delete', 'go']);
+      expect(keymap.hasPending).to.be.false;
+    });
+
+    it('should wait for g g and fall back to g after the timeout', async () => {
+      keymap.bind('g g', 'top');
+      keymap.bind('g', 'go');
+
+      press(keymap, 'g g');
+      expect(ran).to.deep.equal(['top']);
+
+      press(keymap, 'g');
+      expect(ran).to.deep.equal(['top']);
+      expect(keymap.hasPending).to.be.true;
+
+      await wait(40);
+      expect(ran).to.deep.equal(['top', 'go']);
+      expect(keymap.hasPending).to.be.false;
+    });
+
+    it('should forget a chord prefix after the timeout', async () => {
+      keymap.bind('ctrl+x ctrl+c', 'quit');
+
+      press(keymap, 'ctrl+x');
+      await wait(40);
+
+      expect(press(keymap, 'ctrl+c')).to.deep.equal([false]);
+      expect(ran).to.deep.equal([]);
+    });
+  });
+
+  describe('commands and scopes', () => {
+    it('should call command handlers with the key and context', () => {
+      const calls = [];
+
+      keymap.registerCommand('save', (context) => calls.push(context), { description: 'Save' });
+      keymap.bind('ctrl+s', 'save');
+      press(keymap, 'ctrl+s', { scopes: [], target: 'editor' });
+
+      expect(calls).to.have.length(1);
+      expect(calls[0]).to.include({ command: 'save', keys: 'ctrl+s', target: 'editor' });
+      expect(calls[0].key.name).to.equal('s');
+    });
+
+    it('should only use scoped bindings while the scope is active', () => {
+      const editor = { name: 'editor' };
+
+      keymap.bind('d', 'delete-line', { scope: editor });
+      keymap.bind('x', 'close', { scope: 'dialog' });
+
+      press(keymap, 'd x');
+      press(keymap, 'd x', { scopes: [editor, 'dialog'] });
+
+      expect(ran).to.deep.equal(['delete-line', 'close']);
+    });
+
+    it('should prefer priority, then the innermost scope, then the latest binding', () => {
+      keymap.bind('q', 'global-quit');
+      keymap.bind('q', 'panel-quit', { scope: 'panel' });
+      keymap.bind('q', 'list-quit', { scope: 'list' });
+      press(keymap, 'q', { scopes: ['panel', 'list'] });
+
+      keymap.bind('q', 'forced-quit', { priority: 10 });
+      press(keymap, 'q', { scopes: ['panel', 'list'] });
+
+      expect(ran).to.deep.equal(['list-quit', 'forced-quit']);
+    });
+  });
+
+  describe('user keymaps', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(join(tmpdir(), 'keymap-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should replace the keys of overridden commands', async () => {
+      const file = join(directory, 'keymap.json');
+
+      keymap.bind('ctrl+s', 'save', { scope: 'editor' });
+      keymap.bind('ctrl+q', 'quit');
+      await writeFile(file, JSON.stringify({ save: ['ctrl+x ctrl+s', 'F2'], quit: null }));
+      await keymap.loadFile(file);
+
+      press(keymap, 'ctrl+s ctrl+q f2', { scopes: ['editor'] });
+      press(keymap, 'ctrl+x ctrl+s', { scopes: ['editor'] });
+
+      expect(ran).to.deep.equal(['save', 'save']);
+    });
+
+    it('should report invalid files', async () => {
+      const file = join(directory, 'keymap.json');
+
+      await writeFile(file, '{ "save": ');
+
+      try {
+        await keymap.loadFile(file);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid keymap file');
+      }
+    });
+  });
+
+  describe('getBindings', () => {
+    it('should describe bindings for help screens', () => {
+      keymap.registerCommand('save', () => {}, { description: 'Save the file' });
+      keymap.bind('ctrl+s', 'save');
+      keymap.bind('q', 'quit', { description: 'Quit' });
+      keymap.bind('q', 'close', { scope: 'dialog', description: 'Close dialog' });
+
+      expect(keymap.getBindings()).to.have.length(3);
+      expect(keymap.getBindings({ scopes: ['dialog'] })).to.deep.equal([
+        { keys: 'q', command: 'close', description: 'Close dialog', scope: 'dialog', priority: 0 },
+        { keys: 'ctrl+s', command: 'save', description: 'Save the file', scope: 'global', priority: 0 },
+      ]);
+    });
+  });
+
+  describe('with an input manager', () => {
+    it('should keep onKey working on top of the keymap', () => {
+      const input = new InputManager({ stdin: new PassThrough(), stdout: new PassThrough() });
+      const keys = [];
+
+      input.onKey('ctrl+s', (key) => keys.push(key.name));
+      input.onKey('g g', () => keys.push('gg'));
+      input.handleData('\x13gg');
+      input.offKey('ctrl+s');
+      input.handleData('\x13');
+
+      expect(keys).to.deep.equal(['s', 'gg']);
+      input.keymap.reset();
+    });
+  });
+
+  describe('with a host', () => {
+    let host;
+    let stdin;
+
+    beforeEach(() => {
+      stdin = new PassThrough();
+      host = new FerroHost({ stdin, stdout: new PassThrough(), columns: 20, rows: 5, keySequenceTimeout: 20, errorOverlay: false });
+    });
+
+    afterEach(async () => {
+      await host.cleanup();
+    });
+
+    it('should run bindings for keys that components leave alone', async () => {
+      const typed = [];
+      const field = {
+        type: 'text',
+        content: 'field',
+        autoFocus: true,
+        keymapScope: 'editor',
+        handleFocus() {},
+        handleKeyPress: (key) => {
+          typed.push(key.name);
+
+          return key.name === 'q';
+        },
+      };
+
+      host.keymap.bind('q', 'quit');
+      host.keymap.bind('ctrl+x ctrl+s', 'save', { scope: 'editor' });
+      host.keymap.bind('tab', 'complete', { scope: 'editor' });
+
+      const commands = [];
+
+      host.on('command', (command) => commands.push(command));
+      await host.mount({ type: 'box', children: [field] });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      stdin.write('q\x18\x13\t');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      // The chord's second key goes to the keymap, not the field
+      expect(typed).to.deep.equal(['q', 'x', 'tab']);
+      expect(commands).to.deep.equal(['save', 'complete']);
+      expect(host.focusManager.focused).to.equal(field);
+    });
+
+    it('should run bindings when nothing is mounted', () => {
+      const commands = [];
+
+      host.on('command', (command) => commands.push(command));
+      host.keymap.bind('q', 'quit');
+      host.handleInput({ name: 'q', ctrl: false, meta: false, shift: false });
+
+      expect(commands).to.deep.equal(['quit']);
+    });
+
+    it('should report errors from bindings that run after a timeout, and render', async () => {
+      const events = [];
+
+      host.keymap.bind('g g', 'top');
+      host.keymap.bind('g', () => {
+        throw new Error('binding failed');
+      });
+      host.on('error', (error, info) => events.push(`${info.phase}: ${error.message}`));
+      host.on('render', () => events.push('render'));
+      await host.mount({ name: 'App', render: () => 'app' });
+      stdin.write('g');
+      await wait(60);
+
+      const failed = events.indexOf('input: binding failed');
+
+      expect(failed).to.not.equal(-1);
+      expect(events.slice(failed + 1)).to.include('render');
+    });
+  });
+});
@@ -101,6 +101,59 @@ describe('Layout System', () => {
         expect(outerBox.width).to.equal(120); // 100 + 10*2
         expect(outerBox.height).to.equal(70); // 50 + 10*2
       });
+
+      it('should reserve a cell per side for borders', () => {
+        const node = new LayoutNode({ width: 20, padding: 1, border: 'single' });
+        const child = new LayoutNode({ height: 2 });
+
+        node.appendChild(child);
+        layout.calculate(node);
+
+        expect(layout.getContentBox(node)).to.deep.equal({ x: 2, y: 2, width: 16, height: 2 });
+        expect([child.x, child.y, child.width]).to.deep.equal([2, 2, 16]);
+        expect(node.height).to.equal(6);
+      });
+
+      it('should space block children by their margins and center them with auto margins', () => {
+        const node = new LayoutNode({ width: 20 });
+        const first = new LayoutNode({ height: 2, margin: { top: 1, left: 2, right: 3, bottom: 1 } });
+        const second = new LayoutNode({ width: 10, height: 1, margin: { left: 'auto', right: 'auto' } });
+
+        node.appendChild(first);
+        node.appendChild(second);
+        layout.calculate(node);
+
+        expect([first.x, first.y, first.width]).to.deep.equal([2, 1, 15]);
+        expect([second.x, second.y]).to.deep.equal([5, 4]);
+        expect(node.height).to.equal(5);
+      });
+
+      it('should account for margins in flex layout', () => {
+        const row = new LayoutNode({ width: 20, height: 10, display: 'flex' });
+        const first = new LayoutNode({ width: 4, margin: { left: 1, right: 2, top: 1, bottom: 1 } });
+        const modal = new LayoutNode({ width: 6, height: 4, margin: 'auto' });
+
+        row.appendChild(first);
+        row.appendChild(modal);
+        layout.calculate(row);
+
+        expect([first.x, first.y, first.height]).to.deep.equal([1, 1, 8]);
+        expect([modal.x, modal.y]).to.deep.equal([10.5, 3]);
+      });
+
+      it('should start flex items from their flexBasis', () => {
+        const row = new LayoutNode({ width: 20, height: 1, display: 'flex' });
+        const fixed = new LayoutNode({ width: 2, flexBasis: 6, flexShrink: 0 });
+        const half = new LayoutNode({ flexBasis: '50%' });
+        const grow = new LayoutNode({ flexBasis: 0, flexGrow: 1 });
+
+        row.appendChild(fixed);
+        row.appendChild(half);
+        row.appendChild(grow);
+        layout.calculate(row);
+
+        expect(row.children.map((child) => child.width)).to.deep.equal([6, 10, 4]);
+      });
     });
 
     describe('Flexbox Layout', () => {
@@ -279,6 +332,7 @@ describe('Layout System', () => {
           display: 'flex',
           flexDirection: 'row',
           flexWrap: 'wrap',
+          alignContent: 'flex-start',
         });
         
         const child1 = new LayoutNode({ width: 60, height: 30 });
@@ -296,6 +350,78 @@ describe('Layout System', () => {
       });
     });
 
+    describe('Multi-line Flexbox', () => {
+      /**
+       * Create a flex container with fixed-size items
+       */
+      function container(style, sizes) {
+        const node = new LayoutNode({ display: 'flex', ...style });
+
+        for (const [width, height, itemStyle] of sizes) {
+          node.appendChild(new LayoutNode({ width, height, ...itemStyle }));
+        }
+
+        return node;
+      }
+
+      it('should spread wrapped lines with align-content', () => {
+        const node = container({ width: 10, height: 12, flexWrap: 'wrap', alignContent: 'space-between' }, [
+          [6, 2],
+          [6, 3],
+          [3, 2],
+        ]);
+
+        layout.calculate(node);
+
+        expect(node.children.map((child) => [child.x, child.y])).to.deep.equal([[0, 0], [0, 9], [6, 9]]);
+
+        node.style.alignContent = 'stretch';
+        node.style.alignItems = 'flex-end';
+        layout.calculate(node);
+
+        expect(node.children.map((child) => child.y)).to.deep.equal([3.5, 9, 10]);
+      });
+
+      it('should let items override align-items with align-self', () => {
+        const node = container({ width: 10, height: 4, alignItems: 'flex-start' }, [
+          [2, 1],
+          [2, 1, { alignSelf: 'flex-end' }],
+          [2, 'auto', { alignSelf: 'stretch' }],
+        ]);
+
+        layout.calculate(node);
+
+        expect(node.children.map((child) => child.y)).to.deep.equal([0, 3, 0]);
+        expect(node.children[2].height).to.equal(4);
+      });
+
+      it('should reverse directions and wrap lines upwards', () => {
+        const row = container({ width: 10, height: 4, flexDirection: 'row-reverse' }, [[2, 1], [3, 1]]);
+        const column = container({ width: 4, height: 10, flexDirection: 'column-reverse' }, [[1, 2], [1, 3]]);
+        const wrapped = container({ width: 5, height: 6, flexWrap: 'wrap-reverse', alignContent: 'flex-start' }, [[3, 1], [3, 2]]);
+
+        layout.calculate(row);
+        layout.calculate(column);
+        layout.calculate(wrapped);
+
+        expect(row.children.map((child) => child.x)).to.deep.equal([8, 5]);
+        expect(column.children.map((child) => child.y)).to.deep.equal([8, 5]);
+        expect(wrapped.children.map((child) => child.y)).to.deep.equal([5, 3]);
+      });
+
+      it('should place items by their order', () => {
+        const node = container({ width: 10, height: 1 }, [
+          [2, 1, { order: 2 }],
+          [3, 1],
+          [4, 1, { order: -1 }],
+        ]);
+
+        layout.calculate(node);
+
+        expect(node.children.map((child) => child.x)).to.deep.equal([7, 4, 0]);
+      });
+    });
+
     describe('Size Constraints', () => {
       it('should respect min-width and min-height', () => {
         const node = new LayoutNode({
@@ -343,5 +469,247 @@ describe('Layout System', () => {
         expect(child.height).to.equal(75); // 75% of 100
       });
     });
+    describe('Intrinsic Sizing', () => {
+      /**
+       * Create a leaf that wraps words of a text to the available width
+       */
+      function words(text) {
+        const node = new LayoutNode();
+        const list = text.split(' ');
+
+        node.measure = (availableWidth, mode) => {
+          if (mode === 'min-content') {
+            return { width: Math.max(...list.map((word) => word.length)), height: list.length };
+          }
+
+          const width = mode === 'max-content' ? text.length : Math.min(text.length, availableWidth);
+
+          return { width, height: Math.ceil(text.length / Math.max(1, width)) };
+        };
+
+        return node;
+      }
+
+      it('should size flex items to their content', () => {
+        const row = new LayoutNode({ width: 40, height: 5, display: 'flex', alignItems: 'flex-start' });
+        const label = words('hello');
+        const group = new LayoutNode();
+
+        group.appendChild(words('ab'));
+        group.appendChild(words('abc'));
+        row.appendChild(label);
+        row.appendChild(group);
+
+        layout.calculate(row);
+
+        expect([label.x, label.width, label.height]).to.deep.equal([0, 5, 1]);
+        expect([group.x, group.width, group.height]).to.deep.equal([5, 3, 2]);
+        expect(group.children[0].width).to.equal(3);
+      });
+
+      it('should give block leaves the height of their content', () => {
+        const column = new LayoutNode({ width: 4 });
+        const text = words('abcdefgh');
+
+        column.appendChild(text);
+        layout.calculate(column);
+
+        expect(text.height).to.equal(2);
+        expect(column.height).to.equal(2);
+      });
+
+      it('should honour min-content and max-content sizes', () => {
+        const row = new LayoutNode({ width: 6, height: 5, display: 'flex', alignItems: 'flex-start' });
+        const narrow = words('one two three');
+        const wide = words('four five');
+
+        narrow.style.width = 'min-content';
+        narrow.style.flexShrink = 0;
+        wide.style.minWidth = 'min-content';
+        row.appendChild(narrow);
+        row.appendChild(wide);
+
+        layout.calculate(row);
+
+        expect(narrow.width).to.equal(5);
+        expect(narrow.height).to.equal(3);
+        expect(wide.width).to.equal(4);
+
+        const box = new LayoutNode({ width: 'max-content' });
+
+        box.appendChild(words('one two three'));
+        layout.calculate(box, 8, 5);
+
+        expect(box.width).to.equal(13);
+      });
+
+      it('should use explicit sizes over content for flexBasis auto', () => {
+        const row = new LayoutNode({ width: 40, height: 5, display: 'flex' });
+        const sized = words('content');
+        const content = words('content');
+
+        sized.style.width = 3;
+        content.style.flexBasis = 'content';
+        content.style.width = 10;
+        row.appendChild(sized);
+        row.appendChild(content);
+
+        layout.calculate(row);
+
+        expect(sized.width).to.equal(3);
+        expect(content.width).to.equal(7);
+      });
+    });
+
+    describe('Positioning', () => {
+      it('should place absolute nodes against the nearest positioned ancestor', () => {
+        const root = new LayoutNode({ width: 40, height: 20, padding: 2 });
+        const panel = new LayoutNode({ position: 'relative', width: 20, height: 10, border: 'single' });
+        const wrapper = new LayoutNode({ height: 3 });
+        const badge = new LayoutNode({ position: 'absolute', top: 0, right: 0, width: 4, height: 1 });
+        const footer = new LayoutNode({ position: 'absolute', left: 1, right: 1, bottom: 0, height: 2 });
+
+        root.appendChild(panel);
+        panel.appendChild(wrapper);
+        wrapper.appendChild(badge);
+        panel.appendChild(footer);
+        layout.calculate(root);
+
+        // Offsets start inside the panel's border, positions stay relative to the parent
+        expect([badge.x, badge.y]).to.deep.equal([14, 0]);
+        expect([footer.x, footer.y, footer.width]).to.deep.equal([2, 7, 16]);
+      });
+
+      it('should take absolute nodes out of the flow', () => {
+        const column = new LayoutNode({ width: 10 });
+        const first = new LayoutNode({ height: 1 });
+        const overlay = new LayoutNode({ position: 'absolute', height: 4 });
+        const last = new LayoutNode({ height: 1 });
+        const row = new LayoutNode({ width: 10, height: 1, display: 'flex' });
+        const floating = new LayoutNode({ position: 'absolute', width: 5 });
+        const item = new LayoutNode({ flexGrow: 1 });
+
+        column.appendChild(first);
+        column.appendChild(overlay);
+        column.appendChild(last);
+        layout.calculate(column);
+
+        expect(last.y).to.equal(1);
+        expect(column.height).to.equal(2);
+        expect([overlay.x, overlay.y]).to.deep.equal([0, 0]);
+
+        row.appendChild(floating);
+        row.appendChild(item);
+        layout.calculate(row);
+
+        expect([item.x, item.width]).to.deep.equal([0, 10]);
+      });
+
+      it('should shift relative nodes without moving their siblings', () => {
+        const column = new LayoutNode({ width: 10 });
+        const nudged = new LayoutNode({ position: 'relative', top: 1, left: 2, right: 5, height: 1 });
+        const next = new LayoutNode({ height: 1 });
+
+        column.appendChild(nudged);
+        column.appendChild(next);
+        layout.calculate(column);
+
+        expect([nudged.x, nudged.y]).to.deep.equal([2, 1]);
+        expect([next.x, next.y]).to.deep.equal([0, 1]);
+      });
+    });
+
+    describe('Grid Layout', () => {
+      /**
+       * Create a leaf with content of a fixed size
+       */
+      function leaf(width, height, style = {}) {
+        const node = new LayoutNode(style);
+
+        node.measure = (availableWidth) => ({ width: Math.min(width, availableWidth), height });
+
+        return node;
+      }
+
+      it('should size fixed, percentage and fr tracks and place named areas', () => {
+        const grid = new LayoutNode({
+          display: 'grid',
+          width: 40,
+          height: 12,
+          columnGap: 1,
+          gridTemplateColumns: '10 1fr 25%',
+          gridTemplateRows: 'auto 1fr 2',
+          gridTemplateAreas: ['header header header', 'side main main', 'footer footer footer'],
+        });
+        const header = leaf(5, 2, { gridArea: 'header' });
+        const side = leaf(5, 1, { gridArea: 'side' });
+        const main = leaf(5, 1, { gridArea: 'main' });
+        const footer = leaf(6, 1, { gridArea: 'footer', justifySelf: 'center', alignSelf: 'flex-end' });
+
+        [header, side, main, footer].forEach((child) => grid.appendChild(child));
+        layout.calculate(grid);
+
+        expect([header.x, header.y, header.width, header.height]).to.deep.equal([0, 0, 40, 2]);
+        expect([side.x, side.y, side.width, side.height]).to.deep.equal([0, 2, 10, 8]);
+        expect([main.x, main.y, main.width, main.height]).to.deep.equal([11, 2, 29, 8]);
+        expect([footer.x, footer.y, footer.width, footer.height]).to.deep.equal([17, 11, 6, 1]);
+      });
+
+      it('should flow items into free cells around placed ones', () => {
+        const grid = new LayoutNode({ display: 'grid', width: 9, gridTemplateColumns: [3, 3, 3] });
+        const pinned = leaf(1, 1, { gridColumn: '2 / -1', gridRow: 1 });
+        const wide = leaf(1, 1, { gridColumn: 'span 2' });
+        const tall = leaf(1, 1, { gridArea: { row: 2, column: 3, rowSpan: 2 } });
+        const cells = [leaf(1, 1), leaf(1, 1), leaf(1, 1)];
+
+        [pinned, wide, tall, ...cells].forEach((child) => grid.appendChild(child));
+        layout.calculate(grid);
+
+        expect([pinned.x, pinned.y, pinned.width]).to.deep.equal([3, 0, 6]);
+        expect([wide.x, wide.y, wide.width]).to.deep.equal([0, 1, 6]);
+        expect([tall.x, tall.y, tall.height]).to.deep.equal([6, 1, 2]);
+        // Automatic placement moves forward only, leaving the first cell empty
+        expect(cells.map((cell) => [cell.x, cell.y])).to.deep.equal([[0, 2], [3, 2], [0, 3]]);
+        expect(grid.height).to.equal(4);
+      });
+
+      it('should size auto and minmax() tracks from their content', () => {
+        const grid = new LayoutNode({
+          display: 'grid',
+          width: 30,
+          rowGap: 1,
+          columnGap: 2,
+          gridTemplateColumns: 'auto minmax(4, 8) 1fr',
+        });
+        const label = leaf(6, 1);
+        const value = leaf(12, 1);
+        const rest = leaf(3, 2);
+        const note = leaf(2, 3, { gridColumn: 1 });
+
+        [label, value, rest, note].forEach((child) => grid.appendChild(child));
+        layout.calculate(grid);
+
+        expect([label.width, value.x, value.width, rest.x, rest.width]).to.deep.equal([6, 8, 8, 18, 12]);
+        expect([note.y, note.height]).to.deep.equal([3, 3]);
+        expect(grid.height).to.equal(6);
+      });
+
+      it('should fit content-sized grids to their tracks', () => {
+        const row = new LayoutNode({ width: 40, height: 5, display: 'flex', alignItems: 'flex-start' });
+        const grid = new LayoutNode({ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 1 });
+        const filler = new LayoutNode({ flexGrow: 1 });
+
+        grid.appendChild(leaf(4, 1));
+        grid.appendChild(leaf(7, 1));
+        grid.appendChild(leaf(2, 1));
+        row.appendChild(grid);
+        row.appendChild(filler);
+        layout.calculate(row);
+
+        expect([grid.width, grid.height]).to.deep.equal([12, 3]);
+        expect(grid.children[1].x).to.equal(5);
+        expect([filler.x, filler.width]).to.deep.equal([12, 28]);
+      });
+    });
   });
 });
\ No newline at end of file
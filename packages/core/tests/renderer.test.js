@@ -0,0 +1,313 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { Renderer } from '../src/renderer.js';
+import { Component, ComponentTree } from '../src/component.js';
+import { hitTest } from '../src/paint.js';
+
+const box = (style, ...children) => ({ type: 'box', style, children });
+const text = (content) => ({ type: 'text', content });
+
+describe('Renderer', () => {
+  let renderer;
+  let output;
+
+  beforeEach(async () => {
+    renderer = new Renderer({ fullscreen: true, width: 20, height: 5 });
+    output = [];
+    renderer.writeRaw = (data) => {
+      output.push(data);
+    };
+    
+    await renderer.initialize();
+    output = [];
+  });
+
+  afterEach(async () => {
+    await renderer.cleanup();
+  });
+
+  describe('cell diffing', () => {
+    it('should position the cursor absolutely when moving between rows', () => {
+      renderer.render('a\nb');
+      output = [];
+      
+      renderer.render('x\nb\n\n  y');
+      
+      expect(output.join('')).to.include('\x1b[4;3H');
+    });
+
+    it('should only write the cells that changed', () => {
+      renderer.render('hello world');
+      output = [];
+      
+      renderer.render('hello there');
+      
+      const written = output.join('');
+      
+      expect(written).to.include('there');
+      expect(written).to.not.include('hello');
+      expect(written).to.not.include('\x1b[2K');
+    });
+
+    it('should write nothing when the frame is unchanged', () => {
+      renderer.render('static');
+      output = [];
+      
+      renderer.render('static');
+      
+      expect(output.join('')).to.equal('');
+    });
+
+    it('should blank cells that were removed', () => {
+      renderer.render('abc\ndef');
+      output = [];
+      
+      renderer.render('abc');
+      
+      const written = output.join('');
+      
+      expect(written).to.include('\x1b[3D\x1b[0m   ');
+      expect(written).to.not.include('abc');
+    });
+
+    it('should emit SGR changes only where styles change', () => {
+      renderer.render('plain');
+      output = [];
+      
+      renderer.render('pl\x1b[31main\x1b[0m');
+      
+      const written = output.join('');
+      
+      expect(written).to.include('31m');
+      expect(written).to.include('ain');
+      expect(written).to.not.include('pl');
+    });
+
+    it('should use relative moves within a row', () => {
+      renderer.render('a b c');
+      output = [];
+      
+      renderer.render('x b y');
+      
+      // Cursor sits after "a b c", so it steps back to "x" and skips over " b "
+      expect(output.join('')).to.equal('\x1b[5D\x1b[0mx\x1b[3Cy\x1b[0m');
+    });
+
+    it('should track the rendered buffer', () => {
+      renderer.render('one\ntwo');
+      
+      expect(renderer.buffer.toLines()[1].trimEnd()).to.equal('two');
+      expect(renderer.previousBuffer).to.equal(renderer.buffer);
+    });
+  });
+
+  describe('layout painting', () => {
+    const lines = () => renderer.buffer.toLines().map((line) => line.trimEnd());
+
+    it('should stack block children vertically', () => {
+      renderer.render(box({}, text('first'), text('second')));
+      
+      expect(lines().slice(0, 2)).to.deep.equal(['first', 'second']);
+    });
+
+    it('should place flex row children side by side with a gap', () => {
+      renderer.render(box({ display: 'flex', gap: 2 }, text('one'), text('two')));
+      
+      expect(lines()[0]).to.equal('one  two');
+    });
+
+    it('should honour justifyContent', () => {
+      renderer.render(
+        box({ display: 'flex', width: 20, justifyContent: 'flex-end' }, text('end'))
+      );
+      
+      expect(lines()[0]).to.equal(`${' '.repeat(17)}end`);
+    });
+
+    it('should size children by percentage', () => {
+      renderer.render(
+        box(
+          { display: 'flex', width: 20 },
+          box({ width: '50%' }, text('left')),
+          box({ width: '50%' }, text('right'))
+        )
+      );
+      
+      expect(lines()[0]).to.equal('left      right');
+    });
+
+    it('should lay out grid children in columns', () => {
+      renderer.render(
+        box(
+          { display: 'grid', width: 20, height: 2, gridTemplateColumns: '6 1fr', columnGap: 1 },
+          text('name'),
+          text('value'),
+          box({ gridColumn: '1 / 3' }, text('footer'))
+        )
+      );
+      
+      expect(lines().slice(0, 2)).to.deep.equal(['name   value', 'footer']);
+    });
+
+    it('should draw borders around the allocated rectangle and keep content inside them', () => {
+      renderer.render(box({ width: 6, height: 3, border: 'single' }, text('hi')));
+      
+      expect(lines().slice(0, 3)).to.deep.equal(['┌────┐', '│hi  │', '└────┘']);
+    });
+
+    it('should keep children inside padding', () => {
+      renderer.render(box({ padding: { left: 3, top: 1 } }, text('pad')));
+      
+      expect(lines().slice(0, 2)).to.deep.equal(['', '   pad']);
+    });
+
+    it('should clip leaves to their rectangle', () => {
+      renderer.render(box({ display: 'flex' }, box({ width: 3 }, text('truncated'))));
+      
+      expect(lines()[0]).to.equal('tru');
+    });
+
+    it('should call render() on leaf elements', () => {
+      const leaf = { type: 'button', style: {}, render: () => '[ OK ]' };
+      
+      renderer.render(box({}, leaf));
+      
+      expect(lines()[0]).to.equal('[ OK ]');
+    });
+
+    it('should paint the layout computed by a ComponentTree', () => {
+      class Panel extends Component {
+        render() {
+          return box({ display: 'flex', gap: 1 }, text('a'), text('b'));
+        }
+      }
+      
+      const tree = new ComponentTree(new Panel());
+      
+      renderer.render(tree.updateLayout(20, 5));
+      
+      expect(lines()[0]).to.equal('a b');
+      expect(renderer.layoutTree.component).to.equal(tree.root);
+    });
+
+    it('should paint positioned nodes above the flow in zIndex order', () => {
+      renderer.render(
+        box(
+          { width: 20 },
+          box({ position: 'relative', height: 1 }, text('menu'), box({ position: 'absolute', top: 1, width: 6 }, text('item'))),
+          text('content'),
+          box({ position: 'absolute', top: 1, left: 2, zIndex: 1 }, text('TOP'))
+        )
+      );
+
+      expect(lines().slice(0, 2)).to.deep.equal(['menu', 'itTOPnt']);
+    });
+
+    it('should hit test the topmost layer first', () => {
+      renderer.render(
+        box(
+          { width: 20 },
+          text('content'),
+          box({ position: 'absolute', top: 0, left: 4, width: 3, height: 1 }, text('pop'))
+        )
+      );
+
+      const path = hitTest(renderer.layoutTree, 5, 0);
+      const popup = renderer.layoutTree.children[1];
+
+      expect(path.map((entry) => entry.node)).to.deep.equal([renderer.layoutTree, popup, popup.children[0]]);
+      expect(path[1].rect).to.deep.equal({ x: 4, y: 0, width: 3, height: 1 });
+      expect(hitTest(renderer.layoutTree, 1, 0)[1].node).to.equal(renderer.layoutTree.children[0]);
+    });
+  });
+
+  describe('inline mode', () => {
+    let inline;
+    let written;
+
+    beforeEach(async () => {
+      inline = new Renderer({ fullscreen: false, width: 20, height: 10 });
+      written = [];
+      inline.writeRaw = (data) => {
+        written.push(data);
+      };
+      
+      await inline.initialize();
+      written = [];
+    });
+
+    afterEach(async () => {
+      await inline.cleanup();
+    });
+
+    it('should write the first frame without moving up', () => {
+      inline.render('one\ntwo');
+      
+      const frameOutput = written.join('');
+      
+      expect(frameOutput).to.not.include('\x1b[2A');
+      expect(frameOutput).to.include('one');
+      expect(frameOutput.endsWith('\r\n')).to.be.true;
+      expect(inline.liveHeight).to.equal(2);
+    });
+
+    it('should redraw the previous frame in place', () => {
+      inline.render('one\ntwo');
+      written = [];
+      
+      inline.render('one\nTWO');
+      
+      const frameOutput = written.join('');
+      
+      expect(frameOutput.startsWith('\x1b[2A\r')).to.be.true;
+      expect(frameOutput).to.include('TWO');
+      expect(frameOutput).to.not.include('one');
+    });
+
+    it('should clear rows when the frame shrinks', () => {
+      inline.render('a\nb\nc');
+      written = [];
+      
+      inline.render('a');
+      
+      const frameOutput = written.join('');
+      
+      expect(frameOutput).to.include('\x1b[2K');
+      expect(frameOutput.endsWith('\x1b[2A')).to.be.true;
+      expect(inline.liveHeight).to.equal(1);
+    });
+
+    it('should write static text above the live region', () => {
+      inline.render('progress');
+      written = [];
+      
+      inline.writeStatic('done: task 1');
+      
+      const frameOutput = written.join('');
+      
+      expect(frameOutput.indexOf('done: task 1')).to.be.lessThan(frameOutput.indexOf('progress'));
+      expect(frameOutput).to.include('\x1b[J');
+      expect(inline.liveHeight).to.equal(1);
+    });
+
+    it('should write each item of a Static element once', () => {
+      const frame = (items) => ({
+        type: 'box',
+        style: {},
+        children: [
+          { type: 'static', items, style: { display: 'none' } },
+          { type: 'text', content: `${items.length} done` },
+        ],
+      });
+      
+      inline.render(frame(['first']));
+      inline.render(frame(['first', 'second']));
+      
+      const frameOutput = written.join('');
+      
+      expect(frameOutput.match(/first/g)).to.have.lengthOf(1);
+      expect(frameOutput.match(/second/g)).to.have.lengthOf(1);
+      expect(inline.buffer.toLines()[0].trimEnd()).to.equal('2 done');
+    });
+  });
+});
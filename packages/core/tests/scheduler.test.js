@@ -0,0 +1,159 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { FrameScheduler } from '../src/scheduler.js';
+import { Component } from '../src/component.js';
+import { FerroHost } from '../src/host.js';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('FrameScheduler', () => {
+  let renders;
+  let scheduler;
+
+  beforeEach(() => {
+    renders = [];
+    scheduler = new FrameScheduler(() => renders.push(performance.now()), { maxFps: 50 });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('should draw all invalidations before a frame with one render', async () => {
+    scheduler.invalidate();
+    scheduler.invalidate();
+    scheduler.invalidate();
+    await scheduler.waitForFrame();
+
+    expect(renders).to.have.length(1);
+  });
+
+  it('should keep frames apart by the frame interval', async () => {
+    scheduler.invalidate();
+    await scheduler.waitForFrame();
+    scheduler.invalidate();
+    await scheduler.waitForFrame();
+
+    expect(renders).to.have.length(2);
+    expect(renders[1] - renders[0]).to.be.at.least(19);
+  });
+
+  it('should run frame callbacks and skip rendering when nothing changed', async () => {
+    const times = [];
+    const skipped = [];
+
+    scheduler.on('skip', (time) => skipped.push(time));
+    scheduler.requestFrame((time) => times.push(time));
+    scheduler.cancelFrame(scheduler.requestFrame(() => times.push('cancelled')));
+    await scheduler.waitForFrame();
+
+    expect(times).to.have.length(1);
+    expect(typeof times[0]).to.equal('number');
+    expect(skipped).to.deep.equal(times);
+    expect(renders).to.have.length(0);
+  });
+
+  it('should render changes made by frame callbacks in the same frame', async () => {
+    scheduler.requestFrame(() => scheduler.invalidate());
+    await scheduler.waitForFrame();
+
+    expect(renders).to.have.length(1);
+    expect(scheduler.isScheduled).to.be.false;
+  });
+
+  it('should keep running frame callbacks after one throws', async () => {
+    const errors = [];
+    const times = [];
+    const failing = new FrameScheduler(() => renders.push(performance.now()), {
+      maxFps: 50,
+      onError: (error, info) => errors.push([error.message, info.phase]),
+    });
+
+    failing.requestFrame(() => {
+      throw new Error('Frame failed');
+    });
+    failing.requestFrame((time) => {
+      times.push(time);
+      failing.invalidate();
+    });
+    await failing.waitForFrame();
+    failing.stop();
+
+    expect(errors).to.deep.equal([['Frame failed', 'frame']]);
+    expect(times).to.have.length(1);
+    expect(renders).to.have.length(1);
+  });
+
+  it('should drop pending frames when stopped', async () => {
+    scheduler.invalidate();
+    scheduler.stop();
+    await wait(30);
+
+    expect(renders).to.have.length(0);
+  });
+
+  describe('with a host', () => {
+    let host;
+
+    beforeEach(() => {
+      host = new FerroHost({ stdin: new PassThrough(), stdout: new PassThrough(), columns: 20, rows: 5 });
+    });
+
+    afterEach(async () => {
+      await host.cleanup();
+    });
+
+    it('should batch component updates into one render per frame', async () => {
+      const events = [];
+
+      class Counter extends Component {
+        constructor(props) {
+          super(props);
+          this.state = { count: 0 };
+          this.on('afterUpdate', () => events.push(`updated ${this.state.count}`));
+        }
+
+        render() {
+          events.push(`render ${this.state.count}`);
+
+          return `Count: ${this.state.count}`;
+        }
+      }
+
+      const counter = new Counter();
+
+      await host.mount(counter);
+      events.length = 0;
+
+      counter.setState({ count: 1 });
+      counter.setState({ count: 2 });
+      counter.setState({ count: 3 });
+      await host.frameScheduler.waitForFrame();
+
+      expect(events).to.deep.equal(['render 3', 'updated 3']);
+    });
+
+    it('should resolve update() once the frame is rendered', async () => {
+      let renderCount = 0;
+
+      await host.mount({ render: () => `Render ${++renderCount}` });
+      await host.update();
+
+      expect(renderCount).to.equal(2);
+    });
+
+    it('should pass errors from frame callbacks to the host', async () => {
+      const errors = [];
+
+      host.on('error', (error, info) => errors.push([error.message, info.phase]));
+      await host.mount({ render: () => 'Frame' });
+      host.frameScheduler.requestFrame(() => {
+        throw new Error('Update failed');
+      });
+      await host.frameScheduler.waitForFrame();
+
+      expect(errors).to.deep.equal([['Update failed', 'frame']]);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { TerminalState } from '../src/terminal.js';
+
+describe('TerminalState', () => {
+  let written;
+  let terminal;
+
+  beforeEach(() => {
+    written = [];
+    terminal = new TerminalState((data) => written.push(data));
+  });
+
+  it('should write the enable sequence and track the mode', () => {
+    terminal.enable('mouse', 'ON', 'OFF');
+    
+    expect(written).to.deep.equal(['ON']);
+    expect(terminal.isEnabled('mouse')).to.be.true;
+  });
+
+  it('should write the disable sequence once', () => {
+    terminal.enable('mouse', 'ON', 'OFF');
+    
+    expect(terminal.disable('mouse')).to.be.true;
+    expect(terminal.disable('mouse')).to.be.false;
+    expect(written).to.deep.equal(['ON', 'OFF']);
+  });
+
+  it('should restore modes in reverse order', () => {
+    terminal.enable('altScreen', 'A+', 'A-');
+    terminal.enable('mouse', 'M+', 'M-');
+    terminal.enable('title', 'T+', 'T-');
+    written = [];
+    
+    terminal.restore();
+    
+    expect(written).to.deep.equal(['T-', 'M-', 'A-']);
+    expect(terminal.modes.size).to.equal(0);
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * FerroFrame Testing - Headless terminal and helpers for testing FerroFrame apps
+ */
+
+export { VirtualTerminal } from './terminal.js';
+export { TestInput, TestOutput, createTestStreams } from './streams.js';
+export { render, cleanup, waitFor } from './render.js';
+export { keySequence, clickSequence, pasteSequence } from './keys.js';
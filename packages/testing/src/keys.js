@@ -0,0 +1,79 @@
+/**
+ * Keys - Byte sequences a terminal sends for named keys
+ */
+
+const KEY_SEQUENCES = {
+  up: '\x1b[A',
+  down: '\x1b[B',
+  right: '\x1b[C',
+  left: '\x1b[D',
+  home: '\x1b[H',
+  end: '\x1b[F',
+  pageup: '\x1b[5~',
+  pagedown: '\x1b[6~',
+  insert: '\x1b[2~',
+  delete: '\x1b[3~',
+  enter: '\r',
+  return: '\r',
+  escape: '\x1b',
+  tab: '\t',
+  backspace: '\x7f',
+  space: ' ',
+  f1: '\x1bOP',
+  f2: '\x1bOQ',
+  f3: '\x1bOR',
+  f4: '\x1bOS',
+  f5: '\x1b[15~',
+  f6: '\x1b[17~',
+  f7: '\x1b[18~',
+  f8: '\x1b[19~',
+  f9: '\x1b[20~',
+  f10: '\x1b[21~',
+  f11: '\x1b[23~',
+  f12: '\x1b[24~',
+};
+
+/**
+ * Get the sequence for a key description such as 'down', 'ctrl+c', 'meta+x' or 'a'
+ */
+export function keySequence(description) {
+  const parts = String(description).split('+');
+  const name = parts.pop() || '+';
+  const modifiers = new Set(parts.map((part) => part.toLowerCase()));
+  let sequence = KEY_SEQUENCES[name.toLowerCase()] ?? name;
+
+  if (modifiers.has('shift') && name.toLowerCase() === 'tab') {
+    sequence = '\x1b[Z';
+  }
+
+  if (modifiers.has('shift') && name.length === 1) {
+    sequence = sequence.toUpperCase();
+  }
+
+  if (modifiers.has('ctrl') && name.length === 1) {
+    // Control characters are the letter with the upper bits cleared
+    sequence = String.fromCharCode(name.toUpperCase().charCodeAt(0) & 0x1f);
+  }
+
+  if (modifiers.has('meta') || modifiers.has('alt')) {
+    sequence = `\x1b${sequence}`;
+  }
+
+  return sequence;
+}
+
+/**
+ * Get the SGR mouse press and release sequences for a click at a cell (left button by default)
+ */
+export function clickSequence(x, y, button = 0) {
+  const position = `${button};${x + 1};${y + 1}`;
+
+  return [`\x1b[<${position}M`, `\x1b[<${position}m`];
+}
+
+/**
+ * Wrap text in bracketed paste markers, as a terminal does when the user pastes
+ */
+export function pasteSequence(text) {
+  return `\x1b[200~${text}\x1b[201~`;
+}
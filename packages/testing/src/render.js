@@ -0,0 +1,210 @@
+/**
+ * Render - Mount a component in a headless host and drive it like a user would
+ * Input goes through the host's InputManager as raw bytes, output is read back
+ * from a virtual terminal.
+ */
+
+import { FerroHost } from '@ferroframe/core';
+import { createTestStreams } from './streams.js';
+import { clickSequence, keySequence, pasteSequence } from './keys.js';
+
+// Hosts that are still mounted, so they can be torn down between tests
+const mountedHosts = new Set();
+
+/**
+ * Wait for the next turns of the event loop
+ */
+const nextTurns = () =>
+  new Promise((resolve) => {
+    setImmediate(() => setImmediate(resolve));
+  });
+
+/**
+ * Wait until pending input has been read and the resulting render has been drawn
+ * A lone Escape is only reported after the host's escape timeout, and renders
+ * wait for the host's next frame.
+ */
+async function flush(host) {
+  await nextTurns();
+
+  if (host.inputManager?.tokenizer.hasPending) {
+    await new Promise((resolve) => setTimeout(resolve, host.config.escapeTimeout + 1));
+    await nextTurns();
+  }
+
+  await host.frameScheduler.waitForFrame();
+}
+
+/**
+ * Wait for an assertion to pass
+ * The callback is retried until it returns without throwing, or the timeout expires.
+ */
+export async function waitFor(callback, options = {}) {
+  const { timeout = 1000, interval = 10 } = options;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      return await callback();
+    } catch (error) {
+      if (Date.now() >= deadline) {
+        throw error;
+      }
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Find every screen position where a string or pattern appears
+ */
+function findText(terminal, matcher) {
+  const matches = [];
+
+  for (let y = 0; y < terminal.rows; y++) {
+    const line = terminal.getLine(y);
+
+    if (typeof matcher === 'string') {
+      let x = line.indexOf(matcher);
+
+      while (x !== -1) {
+        matches.push({ x, y, text: matcher });
+        x = line.indexOf(matcher, x + 1);
+      }
+    } else {
+      const flags = matcher.flags.includes('g') ? matcher.flags : `${matcher.flags}g`;
+      const pattern = new RegExp(matcher.source, flags);
+
+      for (const match of line.matchAll(pattern)) {
+        matches.push({ x: match.index, y, text: match[0] });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Render a component into a virtual terminal
+ * Options:
+ * - columns, rows: terminal size (default 80x24)
+ * - props: props passed to the component
+ * - any other FerroHost option (fullscreen is on by default)
+ */
+export async function render(component, options = {}) {
+  const { columns = 80, rows = 24, props = {}, ...hostOptions } = options;
+  const { stdin, stdout, terminal } = createTestStreams({ columns, rows });
+  const host = new FerroHost({
+    fullscreen: true,
+    title: null,
+    mouse: true,
+    exitOnCtrlC: false,
+    ...hostOptions,
+    stdin,
+    stdout,
+  });
+
+  await host.mount(component, props);
+  mountedHosts.add(host);
+  await flush(host);
+
+  const queryAllByText = (matcher) => findText(terminal, matcher);
+
+  const getByText = (matcher) => {
+    const [match] = queryAllByText(matcher);
+
+    if (!match) {
+      throw new Error(`Unable to find text ${matcher} on screen:\n${terminal.getText()}`);
+    }
+
+    return match;
+  };
+
+  return {
+    host,
+    stdin,
+    stdout,
+    terminal,
+
+    /**
+     * Press a key, e.g. 'down', 'enter', 'ctrl+a'
+     */
+    async pressKey(key, count = 1) {
+      for (let i = 0; i < count; i++) {
+        stdin.send(keySequence(key));
+        await flush(host);
+      }
+    },
+
+    /**
+     * Type text one character at a time
+     */
+    async type(text) {
+      for (const char of text) {
+        stdin.send(char);
+        await flush(host);
+      }
+    },
+
+    /**
+     * Paste text as a single bracketed paste
+     */
+    async paste(text) {
+      stdin.send(pasteSequence(text));
+      await flush(host);
+    },
+
+    /**
+     * Click a screen cell
+     */
+    async click(x, y, button = 0) {
+      for (const sequence of clickSequence(x, y, button)) {
+        stdin.send(sequence);
+        await flush(host);
+      }
+    },
+
+    /**
+     * Resize the terminal
+     */
+    async resize(newColumns, newRows) {
+      stdout.resize(newColumns, newRows);
+      await flush(host);
+    },
+
+    /**
+     * Wait for pending renders
+     */
+    rerender: () => flush(host),
+
+    getText: (textOptions) => terminal.getText(textOptions),
+    getLine: (y) => terminal.getLine(y),
+    getCell: (x, y) => terminal.getCell(x, y),
+    toSnapshot: (snapshotOptions) => terminal.toSnapshot(snapshotOptions),
+
+    getByText,
+    queryByText: (matcher) => queryAllByText(matcher)[0] ?? null,
+    queryAllByText,
+    findByText: (matcher, waitOptions) => waitFor(() => getByText(matcher), waitOptions),
+    waitFor,
+
+    /**
+     * Unmount the component and restore the virtual terminal
+     */
+    async unmount() {
+      mountedHosts.delete(host);
+      await host.cleanup();
+    },
+  };
+}
+
+/**
+ * Unmount everything rendered so far, typically from an afterEach hook
+ */
+export async function cleanup() {
+  const hosts = [...mountedHosts];
+
+  mountedHosts.clear();
+  await Promise.all(hosts.map((host) => host.cleanup()));
+}
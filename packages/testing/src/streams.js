@@ -0,0 +1,97 @@
+/**
+ * Test streams - Stand-ins for process.stdin and process.stdout
+ * They report themselves as TTYs so the host behaves as it would in a real terminal.
+ */
+
+import { PassThrough, Writable } from 'node:stream';
+import { VirtualTerminal } from './terminal.js';
+
+/**
+ * Input stream that accepts raw mode like a TTY
+ */
+export class TestInput extends PassThrough {
+  constructor() {
+    super();
+
+    this.isTTY = true;
+    this.isRaw = false;
+  }
+
+  setRawMode(mode) {
+    this.isRaw = !!mode;
+
+    return this;
+  }
+
+  /**
+   * Send raw bytes to whoever is reading, as if the user typed them
+   */
+  send(data) {
+    this.write(data);
+  }
+}
+
+/**
+ * Output stream that feeds everything written to it into a virtual terminal
+ */
+export class TestOutput extends Writable {
+  constructor(config = {}) {
+    super({ decodeStrings: false });
+
+    this.isTTY = true;
+    this.terminal = config.terminal ?? new VirtualTerminal(config);
+    this.output = [];
+  }
+
+  get columns() {
+    return this.terminal.columns;
+  }
+
+  get rows() {
+    return this.terminal.rows;
+  }
+
+  getColorDepth() {
+    return 24;
+  }
+
+  hasColors() {
+    return true;
+  }
+
+  _write(chunk, encoding, callback) {
+    const data = typeof chunk === 'string' ? chunk : chunk.toString();
+
+    this.output.push(data);
+    this.terminal.write(data);
+    callback();
+  }
+
+  /**
+   * Everything written so far, as one string
+   */
+  getOutput() {
+    return this.output.join('');
+  }
+
+  /**
+   * Resize the terminal and notify listeners, like a SIGWINCH would
+   */
+  resize(columns, rows) {
+    this.terminal.resize(columns, rows);
+    this.emit('resize');
+  }
+}
+
+/**
+ * Create a connected stdin/stdout pair backed by a virtual terminal
+ */
+export function createTestStreams(config = {}) {
+  const stdout = new TestOutput(config);
+
+  return {
+    stdin: new TestInput(),
+    stdout,
+    terminal: stdout.terminal,
+  };
+}
@@ -0,0 +1,681 @@
+/**
+ * VirtualTerminal - A headless terminal emulator for tests
+ * Consumes the ANSI output of the renderer and keeps a cell grid, cursor and
+ * pen state, so tests can assert on what the user would actually see.
+ */
+
+import { Attr, ScreenBuffer, applySgr, charWidth, createCell } from '@ferroframe/core/utils/buffer';
+
+// Readable names for text attributes, used by getCell() and toSnapshot()
+const ATTR_NAMES = [
+  [Attr.BOLD, 'bold'],
+  [Attr.DIM, 'dim'],
+  [Attr.ITALIC, 'italic'],
+  [Attr.UNDERLINE, 'underline'],
+  [Attr.BLINK, 'blink'],
+  [Attr.REVERSE, 'inverse'],
+  [Attr.HIDDEN, 'hidden'],
+  [Attr.STRIKETHROUGH, 'strikethrough'],
+];
+
+/**
+ * Describe a cell style as a short label, e.g. "bold fg=31"
+ */
+const describeStyle = (cell) => {
+  const parts = ATTR_NAMES.filter(([flag]) => cell.attrs & flag).map(([, name]) => name);
+
+  if (cell.fg) {
+    parts.push(`fg=${cell.fg}`);
+  }
+  if (cell.bg) {
+    parts.push(`bg=${cell.bg}`);
+  }
+
+  return parts.join(' ');
+};
+
+export class VirtualTerminal {
+  constructor(config = {}) {
+    this.config = {
+      columns: 80,
+      rows: 24,
+      scrollbackLimit: 1000,
+      ...config,
+    };
+
+    this.reset();
+  }
+
+  get columns() {
+    return this.config.columns;
+  }
+
+  get rows() {
+    return this.config.rows;
+  }
+
+  /**
+   * Return to the power-on state
+   */
+  reset() {
+    this.buffer = new ScreenBuffer(this.config.columns, this.config.rows);
+    this.mainBuffer = null;
+    this.scrollback = [];
+    this.cursor = { x: 0, y: 0, visible: true };
+    this.savedCursor = null;
+    this.pen = { fg: null, bg: null, attrs: Attr.NONE };
+    this.wrapPending = false;
+    this.modes = new Set();
+    this.keypad = false;
+    this.keyboardFlags = [];
+    this.cursorShape = 0;
+    this.title = '';
+    this.pending = '';
+  }
+
+  /**
+   * Whether the alternate screen is active
+   */
+  get altScreen() {
+    return this.mainBuffer !== null;
+  }
+
+  /**
+   * Feed output into the terminal
+   * Escape sequences split across writes are held back until they are complete.
+   */
+  write(data) {
+    const text = this.pending + String(data);
+    let i = 0;
+
+    this.pending = '';
+
+    while (i < text.length) {
+      if (text[i] === '\x1b') {
+        const length = this.handleEscape(text, i);
+
+        if (length === 0) {
+          this.pending = text.slice(i);
+
+          return;
+        }
+        i += length;
+        continue;
+      }
+
+      const glyph = String.fromCodePoint(text.codePointAt(i));
+
+      this.handleChar(glyph);
+      i += glyph.length;
+    }
+  }
+
+  /**
+   * Resize the screen, keeping content where it fits
+   */
+  resize(columns, rows) {
+    this.config.columns = columns;
+    this.config.rows = rows;
+    this.buffer.resize(columns, rows);
+    this.mainBuffer?.resize(columns, rows);
+    this.cursor.x = Math.min(this.cursor.x, columns - 1);
+    this.cursor.y = Math.min(this.cursor.y, rows - 1);
+    this.wrapPending = false;
+  }
+
+  /**
+   * Get a copy of the cell at a position, with its attributes spelled out
+   */
+  getCell(x, y) {
+    const cell = this.buffer.getCell(x, y);
+
+    if (!cell) {
+      return null;
+    }
+
+    const result = { ...cell };
+
+    for (const [flag, name] of ATTR_NAMES) {
+      result[name] = (cell.attrs & flag) !== 0;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the text of one screen row, without trailing blanks
+   */
+  getLine(y) {
+    return (this.buffer.toLines()[y] ?? '').trimEnd();
+  }
+
+  /**
+   * Get the visible text of the screen
+   * Trailing blanks on each row and trailing empty rows are dropped.
+   * Options:
+   * - scrollback: include lines that have scrolled off the top
+   */
+  getText(options = {}) {
+    const lines = this.buffer.toLines().map((line) => line.trimEnd());
+
+    if (options.scrollback) {
+      lines.unshift(...this.scrollback);
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Serialize the screen for snapshot comparisons
+   * Options:
+   * - styles: wrap styled runs in [style]…[/] markers
+   * - cursor: append the cursor position
+   */
+  toSnapshot(options = {}) {
+    const { styles = false, cursor = false } = options;
+    const lines = this.buffer.cells.map((row) => {
+      if (!styles) {
+        return row
+          .filter((cell) => cell.width > 0)
+          .map((cell) => cell.char)
+          .join('')
+          .trimEnd();
+      }
+
+      let line = '';
+      let current = '';
+
+      for (const cell of row) {
+        if (cell.width === 0) {
+          continue;
+        }
+
+        const label = describeStyle(cell);
+
+        if (label !== current) {
+          line += current ? '[/]' : '';
+          line += label ? `[${label}]` : '';
+          current = label;
+        }
+        line += cell.char;
+      }
+
+      return (line + (current ? '[/]' : '')).replace(/ +$/, '');
+    });
+
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    if (cursor) {
+      const state = this.cursor.visible ? '' : ' (hidden)';
+
+      lines.push(`-- cursor ${this.cursor.x},${this.cursor.y}${state}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Handle one printable or control character
+   */
+  handleChar(char) {
+    switch (char) {
+      case '\r':
+        this.cursor.x = 0;
+        this.wrapPending = false;
+
+        return;
+      case '\n':
+      case '\v':
+      case '\f':
+        this.lineFeed();
+
+        return;
+      case '\b':
+        this.cursor.x = Math.max(0, this.cursor.x - 1);
+        this.wrapPending = false;
+
+        return;
+      case '\t':
+        this.cursor.x = Math.min(this.columns - 1, (Math.floor(this.cursor.x / 8) + 1) * 8);
+        this.wrapPending = false;
+
+        return;
+      default:
+        break;
+    }
+
+    const width = charWidth(char);
+
+    if (width === 0) {
+      // Combining marks join the previous cell; other control characters are ignored
+      const code = char.codePointAt(0);
+
+      if (code >= 32 && !(code >= 0x7f && code < 0xa0)) {
+        const x = this.wrapPending ? this.cursor.x : this.cursor.x - 1;
+        const previous = this.buffer.getCell(x, this.cursor.y);
+
+        if (previous && previous.width > 0) {
+          previous.char += char;
+        }
+      }
+
+      return;
+    }
+
+    if (this.wrapPending || this.cursor.x + width > this.columns) {
+      this.cursor.x = 0;
+      this.lineFeed();
+    }
+
+    const { fg, bg, attrs } = this.pen;
+
+    this.buffer.setCell(this.cursor.x, this.cursor.y, createCell(char, fg, bg, attrs, width));
+
+    // Like real terminals, writing the last column defers the wrap until the next character
+    if (this.cursor.x + width >= this.columns) {
+      this.cursor.x = this.columns - 1;
+      this.wrapPending = true;
+    } else {
+      this.cursor.x += width;
+    }
+  }
+
+  /**
+   * Move down a line, scrolling at the bottom of the screen
+   */
+  lineFeed() {
+    this.wrapPending = false;
+
+    if (this.cursor.y < this.rows - 1) {
+      this.cursor.y++;
+
+      return;
+    }
+
+    this.scrollUp(1);
+  }
+
+  /**
+   * Scroll the screen content up, moving the top rows into the scrollback
+   */
+  scrollUp(count) {
+    for (let n = 0; n < count; n++) {
+      const [row] = this.buffer.cells.splice(0, 1);
+
+      // The alternate screen has no scrollback
+      if (!this.altScreen && row) {
+        this.scrollback.push(
+          row
+            .filter((cell) => cell.width > 0)
+            .map((cell) => cell.char)
+            .join('')
+            .trimEnd()
+        );
+      }
+      this.buffer.cells.push(this.buffer.createRow());
+    }
+
+    if (this.scrollback.length > this.config.scrollbackLimit) {
+      this.scrollback.splice(0, this.scrollback.length - this.config.scrollbackLimit);
+    }
+  }
+
+  /**
+   * Scroll the screen content down, inserting blank rows at the top
+   */
+  scrollDown(count) {
+    for (let n = 0; n < count; n++) {
+      this.buffer.cells.pop();
+      this.buffer.cells.unshift(this.buffer.createRow());
+    }
+  }
+
+  /**
+   * Handle the escape sequence starting at `start`
+   * Returns the number of characters consumed, or 0 if the sequence is incomplete.
+   */
+  handleEscape(text, start) {
+    const next = text[start + 1];
+
+    if (next === undefined) {
+      return 0;
+    }
+
+    if (next === '[') {
+      return this.handleCsi(text, start);
+    }
+
+    // OSC, DCS, APC and PM strings run until BEL or ST
+    if (next === ']' || next === 'P' || next === '_' || next === '^') {
+      const bell = text.indexOf('\x07', start + 2);
+      const st = text.indexOf('\x1b\\', start + 2);
+      const ends = [bell, st].filter((index) => index !== -1);
+
+      if (ends.length === 0) {
+        return 0;
+      }
+
+      const end = Math.min(...ends);
+
+      if (next === ']') {
+        this.handleOsc(text.slice(start + 2, end));
+      }
+
+      return end - start + (end === st ? 2 : 1);
+    }
+
+    // Character set designation and similar: ESC, intermediates, final
+    if (next >= ' ' && next <= '/') {
+      let i = start + 1;
+
+      while (i < text.length && text[i] >= ' ' && text[i] <= '/') {
+        i++;
+      }
+
+      return i < text.length ? i - start + 1 : 0;
+    }
+
+    // SS3 carries one more character
+    if (next === 'O') {
+      return start + 2 < text.length ? 3 : 0;
+    }
+
+    switch (next) {
+      case '7':
+        this.saveCursor();
+        break;
+      case '8':
+        this.restoreCursor();
+        break;
+      case '=':
+        this.keypad = true;
+        break;
+      case '>':
+        this.keypad = false;
+        break;
+      case 'c':
+        this.reset();
+        break;
+      case 'D':
+        this.lineFeed();
+        break;
+      case 'E':
+        this.cursor.x = 0;
+        this.lineFeed();
+        break;
+      case 'M':
+        if (this.cursor.y > 0) {
+          this.cursor.y--;
+        } else {
+          this.scrollDown(1);
+        }
+        this.wrapPending = false;
+        break;
+      default:
+        break;
+    }
+
+    return 2;
+  }
+
+  /**
+   * Handle a control sequence (ESC [ params intermediates final)
+   */
+  handleCsi(text, start) {
+    let i = start + 2;
+
+    while (i < text.length && text[i] >= '0' && text[i] <= '?') {
+      i++;
+    }
+
+    const paramEnd = i;
+
+    while (i < text.length && text[i] >= ' ' && text[i] <= '/') {
+      i++;
+    }
+
+    if (i >= text.length) {
+      return 0;
+    }
+
+    const raw = text.slice(start + 2, paramEnd);
+    const intermediates = text.slice(paramEnd, i);
+    const final = text[i];
+    const length = i - start + 1;
+
+    if (intermediates === ' ' && final === 'q') {
+      this.cursorShape = parseInt(raw, 10) || 0;
+
+      return length;
+    }
+
+    if (intermediates) {
+      return length;
+    }
+
+    const isPrivate = raw.startsWith('?');
+    const paramString = isPrivate ? raw.slice(1) : raw;
+    const params = paramString.split(';').map((p) => parseInt(p, 10));
+    const count = (index = 0) => Math.max(1, params[index] || 1);
+
+    if (final === 'm' && !isPrivate) {
+      applySgr(this.pen, paramString);
+
+      return length;
+    }
+
+    if (final === 'h' || final === 'l') {
+      for (const param of paramString.split(';')) {
+        this.setMode(`${isPrivate ? '?' : ''}${param}`, final === 'h');
+      }
+
+      return length;
+    }
+
+    // Kitty keyboard protocol flag stack
+    if (final === 'u' && raw.startsWith('>')) {
+      this.keyboardFlags.push(parseInt(raw.slice(1), 10) || 0);
+
+      return length;
+    }
+    if (final === 'u' && raw.startsWith('<')) {
+      this.keyboardFlags.splice(-Math.max(1, parseInt(raw.slice(1), 10) || 1));
+
+      return length;
+    }
+
+    if (isPrivate || raw.startsWith('>') || raw.startsWith('<') || raw.startsWith('=')) {
+      return length;
+    }
+
+    this.wrapPending = false;
+
+    switch (final) {
+      case 'A':
+        this.moveTo(this.cursor.x, this.cursor.y - count());
+        break;
+      case 'B':
+        this.moveTo(this.cursor.x, this.cursor.y + count());
+        break;
+      case 'C':
+        this.moveTo(this.cursor.x + count(), this.cursor.y);
+        break;
+      case 'D':
+        this.moveTo(this.cursor.x - count(), this.cursor.y);
+        break;
+      case 'E':
+        this.moveTo(0, this.cursor.y + count());
+        break;
+      case 'F':
+        this.moveTo(0, this.cursor.y - count());
+        break;
+      case 'G':
+        this.moveTo(count() - 1, this.cursor.y);
+        break;
+      case 'd':
+        this.moveTo(this.cursor.x, count() - 1);
+        break;
+      case 'H':
+      case 'f':
+        this.moveTo(count(1) - 1, count(0) - 1);
+        break;
+      case 'J':
+        this.eraseInDisplay(params[0] || 0);
+        break;
+      case 'K':
+        this.eraseInLine(params[0] || 0);
+        break;
+      case 'X':
+        this.eraseCells(this.cursor.x, this.cursor.y, count());
+        break;
+      case 'S':
+        this.scrollUp(count());
+        break;
+      case 'T':
+        this.scrollDown(count());
+        break;
+      case 's':
+        this.saveCursor();
+        break;
+      case 'u':
+        this.restoreCursor();
+        break;
+      default:
+        break;
+    }
+
+    return length;
+  }
+
+  /**
+   * Handle an operating system command
+   */
+  handleOsc(body) {
+    const separator = body.indexOf(';');
+    const command = separator === -1 ? body : body.slice(0, separator);
+
+    if (command === '0' || command === '2') {
+      this.title = body.slice(separator + 1);
+    }
+  }
+
+  /**
+   * Set or reset a terminal mode
+   */
+  setMode(mode, enabled) {
+    if (enabled) {
+      this.modes.add(mode);
+    } else {
+      this.modes.delete(mode);
+    }
+
+    if (mode === '?25') {
+      this.cursor.visible = enabled;
+    } else if (mode === '?1049') {
+      this.setAltScreen(enabled);
+    }
+  }
+
+  /**
+   * Switch between the main and the alternate screen
+   */
+  setAltScreen(enabled) {
+    if (enabled === this.altScreen) {
+      return;
+    }
+
+    if (enabled) {
+      this.saveCursor();
+      this.mainBuffer = this.buffer;
+      this.buffer = new ScreenBuffer(this.columns, this.rows);
+    } else {
+      this.buffer = this.mainBuffer;
+      this.mainBuffer = null;
+      this.restoreCursor();
+    }
+  }
+
+  /**
+   * Check whether a mode such as '?1049' or '?2004' is enabled
+   */
+  isModeEnabled(mode) {
+    return this.modes.has(String(mode));
+  }
+
+  /**
+   * Move the cursor, clamped to the screen
+   */
+  moveTo(x, y) {
+    this.cursor.x = Math.max(0, Math.min(this.columns - 1, x));
+    this.cursor.y = Math.max(0, Math.min(this.rows - 1, y));
+    this.wrapPending = false;
+  }
+
+  saveCursor() {
+    this.savedCursor = {
+      x: this.cursor.x,
+      y: this.cursor.y,
+      pen: { ...this.pen },
+    };
+  }
+
+  restoreCursor() {
+    if (!this.savedCursor) {
+      this.moveTo(0, 0);
+
+      return;
+    }
+
+    this.moveTo(this.savedCursor.x, this.savedCursor.y);
+    this.pen = { ...this.savedCursor.pen };
+  }
+
+  /**
+   * Blank cells using the current background color
+   */
+  eraseCells(x, y, count) {
+    this.buffer.fill(x, y, count, 1, createCell(' ', null, this.pen.bg));
+  }
+
+  /**
+   * Erase part of the current line (0: to end, 1: to start, 2: whole line)
+   */
+  eraseInLine(mode) {
+    const { x, y } = this.cursor;
+
+    if (mode === 0) {
+      this.eraseCells(x, y, this.columns - x);
+    } else if (mode === 1) {
+      this.eraseCells(0, y, x + 1);
+    } else {
+      this.eraseCells(0, y, this.columns);
+    }
+  }
+
+  /**
+   * Erase part of the screen (0: to end, 1: to start, 2/3: whole screen)
+   */
+  eraseInDisplay(mode) {
+    const { y } = this.cursor;
+
+    if (mode === 0) {
+      this.eraseInLine(0);
+      this.buffer.fill(0, y + 1, this.columns, this.rows - y - 1, createCell(' ', null, this.pen.bg));
+    } else if (mode === 1) {
+      this.eraseInLine(1);
+      this.buffer.fill(0, 0, this.columns, y, createCell(' ', null, this.pen.bg));
+    } else {
+      this.buffer.fill(0, 0, this.columns, this.rows, createCell(' ', null, this.pen.bg));
+
+      if (mode === 3) {
+        this.scrollback = [];
+      }
+    }
+  }
+}
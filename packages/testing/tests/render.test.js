@@ -0,0 +1,79 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { render, cleanup, waitFor, keySequence } from '../src/index.js';
+
+describe('render', () => {
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  describe('keySequence', () => {
+    it('should map named keys to terminal sequences', () => {
+      expect(keySequence('down')).to.equal('\x1b[B');
+      expect(keySequence('enter')).to.equal('\r');
+      expect(keySequence('f5')).to.equal('\x1b[15~');
+      expect(keySequence('x')).to.equal('x');
+    });
+
+    it('should apply modifiers', () => {
+      expect(keySequence('ctrl+c')).to.equal('\x03');
+      expect(keySequence('meta+x')).to.equal('\x1bx');
+      expect(keySequence('shift+a')).to.equal('A');
+      expect(keySequence('+')).to.equal('+');
+    });
+  });
+
+  describe('waitFor', () => {
+    it('should retry until the callback passes', async () => {
+      let attempts = 0;
+      const result = await waitFor(() => {
+        attempts++;
+        if (attempts < 3) {
+          throw new Error('not yet');
+        }
+
+        return 'done';
+      });
+
+      expect(result).to.equal('done');
+    });
+
+    it('should rethrow the last error after the timeout', async () => {
+      try {
+        await waitFor(() => {
+          throw new Error('never');
+        }, { timeout: 30 });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('never');
+      }
+    });
+  });
+
+  describe('render', () => {
+    it('should pass key presses through the input manager', async () => {
+      const keys = [];
+      const App = {
+        name: 'App',
+        render: () => `Pressed: ${keys.join(',')}`,
+        handleInput: (key) => keys.push(key.ctrl ? `ctrl+${key.name}` : key.name),
+      };
+      const screen = await render(App, { columns: 30, rows: 3 });
+
+      await screen.pressKey('up');
+      await screen.pressKey('ctrl+c');
+      await screen.type('hi');
+
+      expect(screen.getText()).to.equal('Pressed: up,ctrl+c,h,i');
+      expect(screen.host.isRunning).to.be.true;
+    });
+
+    it('should throw a helpful error when text is missing', async () => {
+      const screen = await render({ name: 'App', render: () => 'Hello' }, { columns: 10, rows: 2 });
+
+      expect(() => screen.getByText('Goodbye')).to.throw(/Unable to find text Goodbye[\s\S]*Hello/);
+      expect(screen.queryByText('Goodbye')).to.be.null;
+      expect(screen.getByText(/H\w+/)).to.deep.equal({ x: 0, y: 0, text: 'Hello' });
+    });
+  });
+});
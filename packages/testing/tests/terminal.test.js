@@ -0,0 +1,185 @@
+// Test framework: Mocha with Chai
+import { expect } from 'chai';
+import { FerroHost, Renderer } from '@ferroframe/core';
+import { VirtualTerminal, createTestStreams } from '../src/index.js';
+
+describe('VirtualTerminal', () => {
+  let terminal;
+
+  beforeEach(() => {
+    terminal = new VirtualTerminal({ columns: 10, rows: 4 });
+  });
+
+  describe('text', () => {
+    it('should print text at the cursor', () => {
+      terminal.write('Hello');
+
+      expect(terminal.getText()).to.equal('Hello');
+      expect(terminal.cursor).to.include({ x: 5, y: 0 });
+    });
+
+    it('should handle carriage returns and line feeds', () => {
+      terminal.write('one\r\ntwo');
+
+      expect(terminal.getText()).to.equal('one\ntwo');
+    });
+
+    it('should defer wrapping until the next character', () => {
+      terminal.write('0123456789');
+      expect(terminal.cursor).to.include({ x: 9, y: 0 });
+
+      terminal.write('a');
+      expect(terminal.getText()).to.equal('0123456789\na');
+    });
+
+    it('should scroll into the scrollback at the bottom', () => {
+      terminal.write('1\r\n2\r\n3\r\n4\r\n5');
+
+      expect(terminal.getText()).to.equal('2\n3\n4\n5');
+      expect(terminal.getText({ scrollback: true })).to.equal('1\n2\n3\n4\n5');
+    });
+
+    it('should give wide characters two cells', () => {
+      terminal.write('日本');
+
+      expect(terminal.getCell(0, 0).char).to.equal('日');
+      expect(terminal.getCell(1, 0).width).to.equal(0);
+      expect(terminal.getCell(2, 0).char).to.equal('本');
+      expect(terminal.cursor.x).to.equal(4);
+    });
+  });
+
+  describe('escape sequences', () => {
+    it('should move the cursor', () => {
+      terminal.write('\x1b[3;4Hx\x1b[2Dy\x1b[1Az\x1b[1G!');
+
+      expect(terminal.getLine(1)).to.equal('!  z');
+      expect(terminal.getLine(2)).to.equal('  yx');
+    });
+
+    it('should erase lines and the display', () => {
+      terminal.write('abcdef\x1b[1;3H\x1b[K');
+      expect(terminal.getLine(0)).to.equal('ab');
+
+      terminal.write('\x1b[2J');
+      expect(terminal.getText()).to.equal('');
+    });
+
+    it('should track SGR state per cell', () => {
+      terminal.write('\x1b[1;31ma\x1b[22;44mb\x1b[0mc');
+
+      expect(terminal.getCell(0, 0)).to.include({ char: 'a', fg: '31', bold: true });
+      expect(terminal.getCell(1, 0)).to.include({ fg: '31', bg: '44', bold: false });
+      expect(terminal.getCell(2, 0)).to.include({ fg: null, bg: null, attrs: 0 });
+    });
+
+    it('should keep sequences split across writes', () => {
+      terminal.write('\x1b[3');
+      terminal.write('1mred');
+
+      expect(terminal.getText()).to.equal('red');
+      expect(terminal.getCell(0, 0).fg).to.equal('31');
+    });
+
+    it('should track modes, cursor visibility and the title', () => {
+      terminal.write('\x1b[?25l\x1b[?2004h\x1b]0;My App\x07');
+
+      expect(terminal.cursor.visible).to.be.false;
+      expect(terminal.isModeEnabled('?2004')).to.be.true;
+      expect(terminal.title).to.equal('My App');
+    });
+
+    it('should track the kitty keyboard flag stack', () => {
+      terminal.write('\x1b[>1u\x1b[>7u');
+      expect(terminal.keyboardFlags).to.deep.equal([1, 7]);
+
+      terminal.write('\x1b[<u');
+      expect(terminal.keyboardFlags).to.deep.equal([1]);
+    });
+
+    it('should switch to the alternate screen and back', () => {
+      terminal.write('main');
+      terminal.write('\x1b[?1049h\x1b[2J\x1b[1;1Halt');
+      expect(terminal.getText()).to.equal('alt');
+
+      terminal.write('\x1b[?1049l');
+      expect(terminal.getText()).to.equal('main');
+      expect(terminal.cursor.x).to.equal(4);
+    });
+  });
+
+  describe('toSnapshot', () => {
+    it('should serialize text, styles and the cursor', () => {
+      terminal.write('a\x1b[1mbc\x1b[0m\r\n\x1b[?25l');
+
+      expect(terminal.toSnapshot()).to.equal('abc');
+      expect(terminal.toSnapshot({ styles: true, cursor: true })).to.equal(
+        'a[bold]bc[/]\n-- cursor 0,1 (hidden)'
+      );
+    });
+  });
+
+  describe('with the renderer', () => {
+    it('should reproduce every frame the renderer draws', async () => {
+      const { stdout } = createTestStreams({ columns: 12, rows: 3 });
+      const renderer = new Renderer({ stdout, fullscreen: true });
+      const frames = [
+        { type: 'box', children: ['first', 'line two'], style: { flexDirection: 'column' } },
+        { type: 'box', children: ['first', 'line 2!'], style: { flexDirection: 'column' } },
+        { type: 'box', children: ['日本'], style: { flexDirection: 'column' } },
+      ];
+
+      await renderer.initialize();
+
+      for (const frame of frames) {
+        renderer.render(frame);
+
+        // The screen must match the renderer's own idea of the frame
+        const expected = renderer.buffer.toLines().map((line) => line.trimEnd());
+
+        expect(stdout.terminal.getText()).to.equal(expected.join('\n').trimEnd());
+      }
+
+      await renderer.cleanup();
+    });
+  });
+
+  describe('with a host', () => {
+    let host;
+
+    afterEach(async () => {
+      if (host?.isRunning) {
+        await host.cleanup();
+      }
+    });
+
+    it('should show what the user sees after mounting and key presses', async () => {
+      const { stdin, stdout, terminal: screen } = createTestStreams({ columns: 20, rows: 5 });
+      let count = 0;
+      const Counter = {
+        name: 'Counter',
+        render: () => `Count: ${count}`,
+        handleInput: (key) => {
+          if (key.name === 'up') {
+            count++;
+            host.scheduleRender();
+          }
+        },
+      };
+
+      host = new FerroHost({ stdin, stdout, fullscreen: true });
+      await host.mount(Counter);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(screen.getText()).to.equal('Count: 0');
+
+      stdin.send('\x1b[A');
+      stdin.send('\x1b[A');
+      await new Promise((resolve) => setImmediate(resolve));
+      await host.frameScheduler.waitForFrame();
+      expect(screen.getText()).to.equal('Count: 2');
+
+      await host.cleanup();
+      expect(screen.cursor.visible).to.be.true;
+    });
+  });
+});